@@ -0,0 +1,565 @@
+'use strict'
+const fs = require('fs')
+const path = require('path')
+const {parseArgs} = require('util')
+const {Accumulator, Prover, AccumulatorError, InvalidArgumentError} = require('./index')
+const curves = require('./curves')
+const encoding = require('./encoding')
+const hashes = require('./hashes')
+const keys = require('./keys')
+
+/**
+ * The version of the state file format.
+ * @private
+ */
+const VERSION = 1
+
+/**
+ * The options every command accepts.
+ * @private
+ */
+const COMMON = {
+  json: {type: 'boolean', default: false},
+  help: {type: 'boolean', short: 'h', default: false},
+}
+
+/**
+ * The usage of each command.
+ * @private
+ */
+const USAGE = `Usage: ecc-acc <command> [options]
+
+Commands:
+  init                      Create an accumulator state file.
+    --curve NAME            The curve (default secp256k1), which is one of
+                            ${curves.names().join(', ')}.
+    --hash NAME             The hash algorithm (default SHA-256).
+    --secret HEX            Import a secret instead of generating one.
+    --keystore FILE         Import the secret from a keystore.
+    --encrypt               Store the secret encrypted with ECC_ACC_PASSWORD.
+    --duplicates POLICY     The duplicate policy, reject (default) or multiset.
+    --track                 Record the data of each member.
+    --force                 Replace an existing state file.
+  add ELEMENT...            Add elements and write the update to --out.
+  del ELEMENT...            Delete elements and write the update to --out.
+  has ELEMENT               Check whether an element is a member.
+  prove ELEMENT...          Write a witness of membership to --out. Uses the prover state file
+                            if --prover is given.
+  verify FILE               Verify a witness. Uses the prover state file if --prover is given.
+  export-checkpoint         Write a checkpoint for provers to --out.
+  prover-sync UPDATE...     Apply update files to the prover state file, creating it from
+                            --checkpoint or an empty accumulation if it does not exist.
+    --checkpoint FILE       The checkpoint to create the prover from.
+    --curve NAME            The curve, if there is no checkpoint (default secp256k1).
+    --hash NAME             The hash algorithm, if there is no checkpoint (default SHA-256).
+
+Options:
+  --state FILE              The accumulator state file (default accumulator.json).
+  --prover FILE             The prover state file (prover.json for prover-sync).
+  --out FILE                The file to write an update, witness or checkpoint to.
+  --hex                     Elements are hex encoded bytes instead of UTF-8 strings.
+  --json                    Print results as JSON.
+
+Witnesses and updates are read and written in the JSON form of their codec in the encoding
+export, and checkpoints are written with the curve and hash they use. The password of an
+encrypted secret is read from ECC_ACC_PASSWORD. Commands that check something exit with 1 if
+the check fails, and every command exits with 2 if it cannot be completed.
+`
+
+/**
+ * Run the command-line tool.
+ * @param {String[]} argv The arguments, excluding the node executable and script.
+ * @param {Object} [io] The streams and environment to use.
+ * @param {stream.Writable} [io.stdout] The stream results are written to.
+ * @param {stream.Writable} [io.stderr] The stream errors are written to.
+ * @param {Object} [io.env] The environment variables.
+ * @returns {Promise<Number>} The exit code.
+ */
+async function main(argv, io = {}) {
+  const {stdout = process.stdout, stderr = process.stderr, env = process.env} = io
+  const [name, ...args] = argv
+  if (name === undefined || name === 'help' || name === '--help' || name === '-h') {
+    stdout.write(USAGE)
+    return name === undefined ? 2 : 0
+  }
+  if (!Object.hasOwn(COMMANDS, name)) {
+    stderr.write('ecc-acc: unknown command ' + name + '\n' + USAGE)
+    return 2
+  }
+  const command = COMMANDS[name]
+  let parsed
+  try {
+    parsed = parseArgs({
+      args,
+      options: Object.assign({}, COMMON, command.options),
+      allowPositionals: true,
+    })
+  } catch (err) {
+    stderr.write('ecc-acc: ' + err.message + '\n')
+    return 2
+  }
+  const {values, positionals} = parsed
+  if (values.help) {
+    stdout.write(USAGE)
+    return 0
+  }
+  let result
+  try {
+    result = await command.run(values, positionals, env)
+  } catch (err) {
+    if (!(err instanceof AccumulatorError || err.code === 'ENOENT' || err instanceof SyntaxError)) {
+      throw err
+    }
+    stderr.write('ecc-acc: ' + err.message + '\n')
+    return 2
+  }
+  stdout.write(values.json ? JSON.stringify(result.json, null, 2) + '\n' : result.text + '\n')
+  return result.ok === false ? 1 : 0
+}
+
+/**
+ * The commands keyed by name. Each command has the options it accepts in addition to the common
+ * options and a function that runs it and returns its result as text and as JSON.
+ * @private
+ */
+const COMMANDS = {
+
+  init: {
+    options: {
+      state: {type: 'string', default: 'accumulator.json'},
+      curve: {type: 'string', default: 'secp256k1'},
+      hash: {type: 'string', default: 'SHA-256'},
+      secret: {type: 'string'},
+      keystore: {type: 'string'},
+      encrypt: {type: 'boolean', default: false},
+      duplicates: {type: 'string'},
+      track: {type: 'boolean', default: false},
+      force: {type: 'boolean', default: false},
+    },
+    async run(values, positionals, env) {
+      expectPositionals(positionals, 0, 0)
+      const curve = curves.byName(values.curve)
+      hashes.get(values.hash)
+      if (values.secret !== undefined && values.keystore !== undefined) {
+        throw new InvalidArgumentError('Give either --secret or --keystore')
+      }
+      let c
+      if (values.secret !== undefined) {
+        c = parseHex(values.secret, 'Secret')
+      } else if (values.keystore !== undefined) {
+        const keystore = await fs.promises.readFile(values.keystore, 'utf8')
+        c = await keys.decrypt(curve, keystore, password(env))
+      }
+      if (c !== undefined && (c <= 0n || c >= curve.n)) {
+        throw new InvalidArgumentError('Secret is not in the range of the group order')
+      }
+      const accumulator = new Accumulator(curve, values.hash, c, {
+        duplicates: values.duplicates,
+        track: values.track,
+      })
+      const state = {
+        version: VERSION,
+        type: 'accumulator',
+        curve: values.curve,
+        hash: values.hash,
+        snapshot: await accumulator.toSnapshot(!values.encrypt),
+      }
+      if (values.encrypt) {
+        state.keystore = await keys.encrypt(curve, accumulator.c, password(env))
+      }
+      await writeFile(values.state, state, {force: values.force, secret: true})
+      return {
+        text: 'Initialized ' + values.curve + ' accumulator with ' + values.hash + ' in ' +
+          values.state,
+        json: {state: values.state, curve: values.curve, hash: values.hash},
+      }
+    },
+  },
+
+  add: {
+    options: {
+      state: {type: 'string', default: 'accumulator.json'},
+      out: {type: 'string'},
+      hex: {type: 'boolean', default: false},
+    },
+    async run(values, positionals, env) {
+      expectPositionals(positionals, 1)
+      const D = positionals.map(d => parseElement(d, values.hex))
+      const {accumulator, state} = await loadAccumulator(values.state, env)
+      const update = D.length === 1 ? await accumulator.add(D[0]) :
+        await accumulator.addBatch(D)
+      return await publish(accumulator, state, values, update, 'Added')
+    },
+  },
+
+  del: {
+    options: {
+      state: {type: 'string', default: 'accumulator.json'},
+      out: {type: 'string'},
+      hex: {type: 'boolean', default: false},
+    },
+    async run(values, positionals, env) {
+      expectPositionals(positionals, 1)
+      const D = positionals.map(d => parseElement(d, values.hex))
+      const {accumulator, state} = await loadAccumulator(values.state, env)
+      const update = D.length === 1 ? await accumulator.delElement(D[0]) :
+        await accumulator.delElementBatch(D)
+      return await publish(accumulator, state, values, update, 'Deleted')
+    },
+  },
+
+  has: {
+    options: {
+      state: {type: 'string', default: 'accumulator.json'},
+      prover: {type: 'string'},
+      hex: {type: 'boolean', default: false},
+    },
+    async run(values, positionals, env) {
+      expectPositionals(positionals, 1, 1)
+      const party = await loadParty(values, env)
+      const member = await party.has(parseElement(positionals[0], values.hex))
+      return {
+        ok: member,
+        text: positionals[0] + (member ? ' is a member' : ' is not a member') + ' of ' +
+          count(party.size),
+        json: {element: positionals[0], member, size: party.size},
+      }
+    },
+  },
+
+  prove: {
+    options: {
+      state: {type: 'string', default: 'accumulator.json'},
+      prover: {type: 'string'},
+      out: {type: 'string'},
+      hex: {type: 'boolean', default: false},
+    },
+    async run(values, positionals, env) {
+      expectPositionals(positionals, 1)
+      const D = positionals.map(d => parseElement(d, values.hex))
+      const party = await loadParty(values, env)
+      const [codec, witness] = D.length === 1 ?
+        [encoding.Witness, await party.prove(D[0])] :
+        [encoding.AggregateWitness, await party.proveMany(D)]
+      const json = codec.toJSON(party.curve, witness)
+      await writeOutput(values.out, json)
+      return {
+        text: 'Proved ' + count(D.length) + (values.out ? ' to ' + values.out : ''),
+        json: {elements: positionals, witness: json},
+      }
+    },
+  },
+
+  verify: {
+    options: {
+      state: {type: 'string', default: 'accumulator.json'},
+      prover: {type: 'string'},
+    },
+    async run(values, positionals, env) {
+      expectPositionals(positionals, 1, 1)
+      const json = JSON.parse(await fs.promises.readFile(positionals[0], 'utf8'))
+      const party = await loadParty(values, env)
+      let valid
+      if (json.type === 'AggregateWitness') {
+        valid = await party.verifyMany(encoding.AggregateWitness.fromJSON(party.curve, json))
+      } else {
+        // The update of an addition contains a witness of the element it added.
+        const codec = json.type === 'WitnessUpdate' ? encoding.WitnessUpdate : encoding.Witness
+        valid = await party.verify(codec.fromJSON(party.curve, json))
+      }
+      return {
+        ok: valid,
+        text: positionals[0] + (valid ? ' is valid' : ' is not valid'),
+        json: {file: positionals[0], valid},
+      }
+    },
+  },
+
+  'export-checkpoint': {
+    options: {
+      state: {type: 'string', default: 'accumulator.json'},
+      out: {type: 'string'},
+    },
+    async run(values, positionals, env) {
+      expectPositionals(positionals, 0, 0)
+      const {accumulator, state} = await loadAccumulator(values.state, env)
+      const checkpoint = await accumulator.checkpoint()
+      // The checkpoint file names its curve and hash so that provers can be created from it.
+      const json = {
+        version: VERSION,
+        type: 'checkpoint',
+        curve: state.curve,
+        hash: state.hash,
+        checkpoint: encoding.Checkpoint.toJSON(accumulator.curve, checkpoint),
+      }
+      await writeOutput(values.out, json)
+      return {
+        text: 'Exported checkpoint at update ' + checkpoint.seq + ' with ' +
+          count(checkpoint.A.length) + (values.out ? ' to ' + values.out : ''),
+        json: {seq: checkpoint.seq, checkpoint: json},
+      }
+    },
+  },
+
+  'prover-sync': {
+    options: {
+      prover: {type: 'string', default: 'prover.json'},
+      checkpoint: {type: 'string'},
+      curve: {type: 'string'},
+      hash: {type: 'string'},
+    },
+    async run(values, positionals) {
+      let prover
+      let state
+      if (fs.existsSync(values.prover)) {
+        ({prover, state} = await loadProver(values.prover))
+      } else {
+        // The curve and hash default to those of the checkpoint.
+        let file = {curve: 'secp256k1', hash: 'SHA-256'}
+        if (values.checkpoint !== undefined) {
+          file = await readState(values.checkpoint, 'checkpoint')
+          for (let option of ['curve', 'hash']) {
+            if (values[option] !== undefined && values[option] !== file[option]) {
+              throw new InvalidArgumentError('The checkpoint uses ' + option + ' ' + file[option])
+            }
+          }
+        }
+        state = {version: VERSION, type: 'prover', curve: values.curve || file.curve,
+          hash: values.hash || file.hash}
+        const curve = curves.byName(state.curve)
+        hashes.get(state.hash)
+        const checkpoint = file.checkpoint === undefined ? undefined :
+          encoding.Checkpoint.fromJSON(curve, file.checkpoint)
+        prover = new Prover(curve, state.hash, checkpoint)
+      }
+      // Apply updates in order of their sequence numbers, skipping those already applied.
+      const updates = []
+      for (let file of positionals) {
+        const json = await fs.promises.readFile(file, 'utf8')
+        updates.push(encoding.AnyUpdate.fromJSON(prover.curve, json))
+      }
+      updates.sort((a, b) => a.seq - b.seq)
+      let applied = 0
+      for (let update of updates) {
+        if (update.seq > prover.seq) {
+          await apply(prover, update)
+          applied++
+        }
+      }
+      state.snapshot = await prover.toSnapshot()
+      await writeFile(values.prover, state, {force: true})
+      return {
+        text: 'Applied ' + applied + (applied === 1 ? ' update' : ' updates') +
+          '; prover is at update ' + prover.seq + ' with ' + count(prover.size),
+        json: {applied, seq: prover.seq, size: prover.size},
+      }
+    },
+  },
+
+}
+
+/**
+ * Save an accumulator after an update and write the update to the output file.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Object} state The contents of the state file.
+ * @param {Object} values The options of the command.
+ * @param {Object} update The update.
+ * @param {String} verb The past tense of the operation.
+ * @returns {Promise<Object>} The result of the command.
+ * @private
+ */
+async function publish(accumulator, state, values, update, verb) {
+  const json = encoding.AnyUpdate.toJSON(accumulator.curve, update)
+  state.snapshot = await accumulator.toSnapshot(state.keystore === undefined)
+  // Write the update first so that it is not lost if the state cannot be saved.
+  await writeOutput(values.out, json)
+  await writeFile(values.state, state, {force: true, secret: true})
+  const D = 'D' in update ? update.D : [update.d]
+  return {
+    text: verb + ' ' + count(D.length) + ' in update ' + update.seq + ' (' +
+      count(accumulator.size) + ')' + (values.out ? '; wrote ' + values.out : ''),
+    json: {seq: update.seq, op: update.op, size: accumulator.size, update: json},
+  }
+}
+
+/**
+ * Apply an update of any kind to a prover.
+ * @param {Prover} prover The prover.
+ * @param {Object} update The update.
+ * @returns {Promise} A promise that resolves when the update has been applied.
+ * @private
+ */
+async function apply(prover, update) {
+  if (update.op === 'rotate') {
+    return await prover.migrate(update)
+  }
+  return 'D' in update ? await prover.updateBatch(update) : await prover.update(update)
+}
+
+/**
+ * Load the prover state file if --prover is given, or the accumulator state file otherwise.
+ * @param {Object} values The options of the command.
+ * @param {Object} env The environment variables.
+ * @returns {Promise<(Accumulator|Prover)>} The accumulator or prover.
+ * @private
+ */
+async function loadParty(values, env) {
+  if (values.prover !== undefined) {
+    return (await loadProver(values.prover)).prover
+  }
+  return (await loadAccumulator(values.state, env)).accumulator
+}
+
+/**
+ * Load an accumulator from its state file.
+ * @param {String} file The state file.
+ * @param {Object} env The environment variables.
+ * @returns {Promise<{accumulator: Accumulator, state: Object}>} The accumulator and the contents
+ * of the state file.
+ * @private
+ */
+async function loadAccumulator(file, env) {
+  const state = await readState(file, 'accumulator')
+  const curve = curves.byName(state.curve)
+  const c = state.keystore === undefined ? undefined :
+    await keys.decrypt(curve, state.keystore, password(env))
+  const accumulator = await Accumulator.fromSnapshot(curve, state.hash, state.snapshot, c)
+  return {accumulator, state}
+}
+
+/**
+ * Load a prover from its state file.
+ * @param {String} file The state file.
+ * @returns {Promise<{prover: Prover, state: Object}>} The prover and the contents of the state
+ * file.
+ * @private
+ */
+async function loadProver(file) {
+  const state = await readState(file, 'prover')
+  const prover = await Prover.fromSnapshot(curves.byName(state.curve), state.hash, state.snapshot)
+  return {prover, state}
+}
+
+/**
+ * Read a state file and check its type.
+ * @param {String} file The state file.
+ * @param {String} type The expected type.
+ * @returns {Promise<Object>} The contents of the state file.
+ * @private
+ */
+async function readState(file, type) {
+  const state = JSON.parse(await fs.promises.readFile(file, 'utf8'))
+  if (state.version !== VERSION || state.type !== type) {
+    throw new InvalidArgumentError(file + ' is not an ecc-acc ' + type + ' file')
+  }
+  return state
+}
+
+/**
+ * Write a JSON file atomically by writing a temporary file and renaming it.
+ * @param {String} file The file.
+ * @param {Object} contents The contents.
+ * @param {Object} options Optional settings.
+ * @param {Boolean} [options.force] True to replace an existing file.
+ * @param {Boolean} [options.secret] True if the file may contain a secret and should only be
+ * readable by its owner.
+ * @returns {Promise} A promise that resolves when the file has been written.
+ * @private
+ */
+async function writeFile(file, contents, {force, secret}) {
+  const temporary = path.join(path.dirname(file), '.' + path.basename(file) + '.tmp')
+  await fs.promises.writeFile(temporary, JSON.stringify(contents, null, 2) + '\n', {
+    mode: secret ? 0o600 : 0o644,
+  })
+  if (!force && fs.existsSync(file)) {
+    await fs.promises.unlink(temporary)
+    throw new InvalidArgumentError(file + ' already exists; use --force to replace it')
+  }
+  await fs.promises.rename(temporary, file)
+}
+
+/**
+ * Write an update, witness or checkpoint to the output file if one is given.
+ * @param {String} [file] The output file.
+ * @param {Object} json The JSON form of the object.
+ * @returns {Promise} A promise that resolves when the file has been written.
+ * @private
+ */
+async function writeOutput(file, json) {
+  if (file !== undefined) {
+    await fs.promises.writeFile(file, JSON.stringify(json, null, 2) + '\n')
+  }
+}
+
+/**
+ * Read the password of an encrypted secret from the environment.
+ * @param {Object} env The environment variables.
+ * @returns {String} The password.
+ * @private
+ */
+function password(env) {
+  if (!env.ECC_ACC_PASSWORD) {
+    throw new InvalidArgumentError('Set ECC_ACC_PASSWORD to the password of the secret')
+  }
+  return env.ECC_ACC_PASSWORD
+}
+
+/**
+ * Convert an element given on the command line to its data.
+ * @param {String} d The element.
+ * @param {Boolean} hex True if the element is hex encoded bytes.
+ * @returns {(String|Buffer)} The data.
+ * @private
+ */
+function parseElement(d, hex) {
+  if (!hex) {
+    return d
+  }
+  if (!/^([0-9a-f]{2})*$/i.test(d)) {
+    throw new InvalidArgumentError(d + ' is not hex encoded bytes')
+  }
+  return Buffer.from(d, 'hex')
+}
+
+/**
+ * Convert a hex number given on the command line to a BigInt.
+ * @param {String} value The hex number.
+ * @param {String} name The name of the value.
+ * @returns {BigInt} The number.
+ * @private
+ */
+function parseHex(value, name) {
+  if (!/^(0x)?[0-9a-f]+$/i.test(value)) {
+    throw new InvalidArgumentError(name + ' is not a hex number')
+  }
+  return BigInt(value.startsWith('0x') ? value : '0x' + value)
+}
+
+/**
+ * Check the number of positional arguments of a command.
+ * @param {String[]} positionals The positional arguments.
+ * @param {Number} min The minimum number.
+ * @param {Number} [max] The maximum number.
+ * @private
+ */
+function expectPositionals(positionals, min, max = Infinity) {
+  if (positionals.length < min || positionals.length > max) {
+    throw new InvalidArgumentError(max === 0 ? 'Command takes no arguments' :
+      'Command takes ' + (min === max ? min : 'at least ' + min) +
+      (min === 1 ? ' argument' : ' arguments'))
+  }
+}
+
+/**
+ * Describe a number of elements.
+ * @param {Number} n The number.
+ * @returns {String} The description.
+ * @private
+ */
+function count(n) {
+  return n + (n === 1 ? ' element' : ' elements')
+}
+
+module.exports = {
+  main,
+}
@@ -0,0 +1,253 @@
+'use strict'
+const {modInv, modPow} = require('bigint-mod-arith')
+const type = require('./type')
+const tf = type.typeforce
+const {InvalidArgumentError} = require('./errors')
+
+/**
+ * The adapters of the curves adapted automatically, keyed by curve.
+ * @private
+ */
+const adapted = new WeakMap()
+
+/**
+ * Return the adapter for a curve. An adapter is returned as is. A @noble curve with a
+ * ProjectivePoint class is adapted as a Weierstrass curve and a @noble curve with an ExtendedPoint
+ * class is adapted as an Edwards curve.
+ * @param {Curve} curve A curve adapter or a @noble curve.
+ * @returns {CurveAdapter} The adapter.
+ */
+function adapt(curve) {
+  tf(tf.tuple(type.Curve), arguments)
+  if (type.isCurveAdapter(curve)) {
+    return curve
+  }
+  if (!adapted.has(curve)) {
+    adapted.set(curve, curve.ProjectivePoint ? weierstrass(curve) : edwards(curve))
+  }
+  return adapted.get(curve)
+}
+
+/**
+ * Create an adapter for a @noble Weierstrass curve, such as secp256k1, P-256 or the first group of
+ * BLS12-381. Points are encoded in compressed form.
+ * @param {Object} curve The @noble curve.
+ * @param {String} [name] The name of the curve.
+ * @returns {CurveAdapter} The adapter.
+ */
+function weierstrass(curve, name) {
+  tf(tf.tuple(tf.object({ProjectivePoint: tf.Function, CURVE: {n: type.BigInt}}),
+    tf.maybe(tf.String)), arguments)
+  const {ProjectivePoint} = curve
+  return {
+    name,
+    n: curve.CURVE.n,
+    ZERO: ProjectivePoint.ZERO,
+    BASE: ProjectivePoint.BASE,
+    isPoint: x => x instanceof ProjectivePoint,
+    toBytes: point => point.toRawBytes(true),
+    fromBytes: bytes => ProjectivePoint.fromHex(bytes),
+  }
+}
+
+/**
+ * Create an adapter for a @noble Edwards curve, such as ed25519 or ed448. The adapter works in the
+ * subgroup of prime order, so decoding rejects points with a torsion component.
+ * @param {Object} curve The @noble curve.
+ * @param {String} [name] The name of the curve.
+ * @returns {CurveAdapter} The adapter.
+ */
+function edwards(curve, name) {
+  tf(tf.tuple(tf.object({ExtendedPoint: tf.Function, CURVE: {n: type.BigInt}}),
+    tf.maybe(tf.String)), arguments)
+  const {ExtendedPoint} = curve
+  return {
+    name,
+    n: curve.CURVE.n,
+    ZERO: ExtendedPoint.ZERO,
+    BASE: ExtendedPoint.BASE,
+    isPoint: x => x instanceof ExtendedPoint,
+    toBytes: point => point.toRawBytes(),
+    fromBytes: bytes => {
+      const point = ExtendedPoint.fromHex(bytes)
+      if (!point.isTorsionFree()) {
+        throw new Error('Point is not in the subgroup of prime order')
+      }
+      return point
+    },
+  }
+}
+
+/**
+ * Create an adapter for a @noble group of prime order built on an Edwards curve, such as
+ * ristretto255 (RistrettoPoint) or decaf448 (DecafPoint).
+ * @param {function} Point The point class of the group.
+ * @param {BigInt} n The order of the group.
+ * @param {String} [name] The name of the group.
+ * @returns {CurveAdapter} The adapter.
+ */
+function ristretto(Point, n, name) {
+  tf(tf.tuple(tf.Function, type.BigInt, tf.maybe(tf.String)), arguments)
+  return {
+    name,
+    n,
+    ZERO: Point.ZERO,
+    BASE: Point.BASE,
+    isPoint: x => x instanceof Point,
+    toBytes: point => point.toRawBytes(),
+    fromBytes: bytes => Point.fromHex(bytes),
+  }
+}
+
+/**
+ * The modulus of the reference group, a safe prime p = 2q + 1.
+ * @private
+ */
+const P = BigInt('0xddcd23c26b885922451de350378866893dabe4d822233c1e87c1e0b6330f72db')
+
+/**
+ * The order of the reference group.
+ * @private
+ */
+const Q = (P - 1n) / 2n
+
+/**
+ * The length in bytes of an encoded point of the reference group.
+ * @private
+ */
+const LENGTH = 32
+
+/**
+ * An element of the reference group, written additively.
+ * @private
+ */
+class Point {
+
+  /**
+   * Creates a point.
+   * @param {BigInt} x The quadratic residue modulo p that represents the point.
+   */
+  constructor(x) {
+    this.x = x
+  }
+
+  add(other) {
+    return new Point(this.x * other.x % P)
+  }
+
+  subtract(other) {
+    return new Point(this.x * modInv(other.x, P) % P)
+  }
+
+  multiply(k) {
+    if (typeof(k) !== 'bigint' || k < 1n || k >= Q) {
+      throw new RangeError('Expected valid scalar 0 < scalar < ' + Q)
+    }
+    return new Point(modPow(this.x, k, P))
+  }
+
+  equals(other) {
+    return this.x === other.x
+  }
+
+}
+
+Point.ZERO = new Point(1n)
+Point.BASE = new Point(4n)
+
+/**
+ * Create an adapter for a reference group written in plain BigInt arithmetic: the quadratic
+ * residues modulo a 256-bit safe prime. The group has no dependencies and is meant for testing.
+ * Discrete logarithms modulo a prime of this size are not hard, so it must not be used to protect
+ * an accumulator.
+ * @returns {CurveAdapter} The adapter.
+ */
+function reference() {
+  return {
+    name: 'reference',
+    n: Q,
+    ZERO: Point.ZERO,
+    BASE: Point.BASE,
+    isPoint: x => x instanceof Point,
+    toBytes: point => Buffer.from(point.x.toString(16).padStart(LENGTH * 2, '0'), 'hex'),
+    fromBytes: bytes => {
+      if (bytes.length !== LENGTH) {
+        throw new Error('Expected ' + LENGTH + ' bytes')
+      }
+      const x = BigInt('0x' + Buffer.from(bytes).toString('hex'))
+      if (x < 1n || x >= P || modPow(x, Q, P) !== 1n) {
+        throw new Error('Point is not a quadratic residue')
+      }
+      return new Point(x)
+    },
+  }
+}
+
+/**
+ * The adapters of the @noble curves that can be looked up by name, keyed by name.
+ * @private
+ */
+const NAMED = {
+  secp256k1: () => weierstrass(require('@noble/curves/secp256k1').secp256k1, 'secp256k1'),
+  p256: () => weierstrass(require('@noble/curves/p256').p256, 'p256'),
+  p384: () => weierstrass(require('@noble/curves/p384').p384, 'p384'),
+  ed25519: () => edwards(require('@noble/curves/ed25519').ed25519, 'ed25519'),
+  ed448: () => edwards(require('@noble/curves/ed448').ed448, 'ed448'),
+  ristretto255: () => {
+    const {ed25519, RistrettoPoint} = require('@noble/curves/ed25519')
+    return ristretto(RistrettoPoint, ed25519.CURVE.n, 'ristretto255')
+  },
+  decaf448: () => {
+    const {ed448, DecafPoint} = require('@noble/curves/ed448')
+    return ristretto(DecafPoint, ed448.CURVE.n, 'decaf448')
+  },
+  reference: () => reference(),
+}
+
+/**
+ * Return the names of the curves that can be looked up with {@link byName}.
+ * @returns {Array<String>} The names.
+ */
+function names() {
+  return Object.keys(NAMED)
+}
+
+/**
+ * Return the adapter for a curve by name, which is one of secp256k1, p256, p384, ed25519, ed448,
+ * ristretto255, decaf448 or reference.
+ * @param {String} name The name of the curve.
+ * @returns {CurveAdapter} The adapter.
+ * @throws {InvalidArgumentError} If the curve is not supported.
+ */
+function byName(name) {
+  tf(tf.tuple(tf.String), arguments)
+  if (!Object.hasOwn(NAMED, name)) {
+    throw new InvalidArgumentError('Unsupported curve ' + name)
+  }
+  return NAMED[name]()
+}
+
+/**
+ * Multiply a point by a scalar that may be zero or negative.
+ * @param {Point} point The point.
+ * @param {BigInt} scalar The scalar.
+ * @param {BigInt} n The group order of the curve.
+ * @param {Point} inf The point at infinity.
+ * @returns {Point} The product.
+ * @private
+ */
+function scale(point, scalar, n, inf) {
+  scalar = (scalar % n + n) % n
+  return scalar === 0n ? inf : point.multiply(scalar)
+}
+
+module.exports = {
+  adapt,
+  byName,
+  names,
+  scale,
+  weierstrass,
+  edwards,
+  ristretto,
+  reference,
+}
@@ -0,0 +1,476 @@
+'use strict'
+const {InvalidArgumentError} = require('./errors')
+
+/**
+ * The deepest nesting of arrays and objects in structured data.
+ * @private
+ */
+const DEPTH = 64
+
+/**
+ * The largest integer that is encoded in the head of a data item rather than as a bignum.
+ * @private
+ */
+const MAX_UINT64 = (1n << 64n) - 1n
+
+/**
+ * The major types of CBOR data items.
+ * @private
+ */
+const UINT = 0
+const NINT = 1
+const BYTES = 2
+const TEXT = 3
+const ARRAY = 4
+const MAP = 5
+const TAG = 6
+const SIMPLE = 7
+
+/**
+ * The tags of positive and negative bignums.
+ * @private
+ */
+const POSITIVE = 2
+const NEGATIVE = 3
+
+/**
+ * The self-described CBOR tag 55799, which prefixes the canonical encoding of structured data to
+ * separate it from strings and byte arrays. It is not valid UTF-8, so no string has these bytes.
+ * @private
+ */
+const PREFIX = Buffer.from('d9d9f7', 'hex')
+
+/**
+ * Check whether a value is the data of an element: a string, a byte array, or structured data
+ * made of integers, BigInts, other finite numbers, booleans, null, strings, byte arrays, arrays
+ * and plain objects. A byte array that is the prefixed encoding of structured data is not the
+ * data of an element, since it would map to the same element as the structured data.
+ * @param {*} value The value.
+ * @returns {Boolean} True if the value is data; false otherwise.
+ * @private
+ */
+function isData(value) {
+  if (value instanceof Uint8Array) {
+    return !isPrefixed(value)
+  }
+  return typeof(value) === 'string' || isValue(value, 0)
+}
+
+/**
+ * Check whether bytes are the prefixed canonical encoding of structured data.
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {Boolean} True if the bytes are prefixed structured data; false otherwise.
+ * @private
+ */
+function isPrefixed(bytes) {
+  if (bytes.length <= PREFIX.length || !PREFIX.equals(bytes.subarray(0, PREFIX.length))) {
+    return false
+  }
+  try {
+    decode(bytes.subarray(PREFIX.length))
+    return true
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * Check whether a value can be encoded as structured data.
+ * @param {*} value The value.
+ * @param {Number} depth The nesting of the value.
+ * @returns {Boolean} True if the value can be encoded; false otherwise.
+ * @private
+ */
+function isValue(value, depth) {
+  if (['string', 'bigint', 'boolean'].includes(typeof(value))) {
+    return true
+  }
+  if (typeof(value) === 'number') {
+    return Number.isFinite(value)
+  }
+  if (value === null || value instanceof Uint8Array) {
+    return true
+  }
+  if (typeof(value) !== 'object' || depth >= DEPTH) {
+    return false
+  }
+  if (Array.isArray(value)) {
+    // Holes in sparse arrays are not values.
+    return Object.keys(value).length === value.length &&
+      value.every(item => isValue(item, depth + 1))
+  }
+  return isPlainObject(value) && Object.values(value).every(item => isValue(item, depth + 1))
+}
+
+/**
+ * Check whether a value is an object created by an object literal or with a null prototype.
+ * @param {Object} value The value.
+ * @returns {Boolean} True if the value is a plain object; false otherwise.
+ * @private
+ */
+function isPlainObject(value) {
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === Object.prototype || prototype === null
+}
+
+/**
+ * Convert the data of an element to the bytes that are hashed to map it to Zq. A string is
+ * encoded as UTF-8 and a byte array is its own bytes, as they always have been, and structured
+ * data is its canonical encoding after the self-described CBOR tag, so no two elements have the
+ * same bytes.
+ * @param {Data} d The data.
+ * @returns {Buffer} The bytes.
+ * @throws {InvalidArgumentError} If the data is not the data of an element.
+ * @private
+ */
+function toBytes(d) {
+  if (d instanceof Uint8Array && isPrefixed(d)) {
+    throw new InvalidArgumentError('Bytes are the encoding of structured data')
+  }
+  return isStructured(d) ? Buffer.concat([PREFIX, encode(d)]) : octets(d)
+}
+
+/**
+ * Convert a string or byte array to bytes, encoding a string as UTF-8.
+ * @param {Octets} d The string or byte array.
+ * @returns {Buffer} The bytes.
+ * @private
+ */
+function octets(d) {
+  return typeof(d) === 'string' ? Buffer.from(d, 'utf8') : Buffer.from(d)
+}
+
+/**
+ * Check whether the data of an element is structured data rather than a string or byte array.
+ * @param {Data} d The data.
+ * @returns {Boolean} True if the data is structured; false otherwise.
+ * @private
+ */
+function isStructured(d) {
+  return typeof(d) !== 'string' && !(d instanceof Uint8Array)
+}
+
+/**
+ * Encode structured data in the core deterministic encoding of CBOR described in section 4.2.1
+ * of RFC 8949. Integers, whether Numbers or BigInts, are encoded as the shortest integer or as a
+ * bignum, so equal integers have the same encoding, other numbers are encoded as the shortest
+ * float that represents them exactly, and the keys of objects are sorted by their encodings.
+ * @param {*} value The value.
+ * @returns {Buffer} The encoding.
+ * @throws {InvalidArgumentError} If the value is not structured data.
+ * @private
+ */
+function encode(value) {
+  if (!isValue(value, 0)) {
+    throw new InvalidArgumentError('Value cannot be encoded as element data')
+  }
+  const chunks = []
+  write(chunks, value)
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Write the encoding of a value.
+ * @param {Buffer[]} chunks The chunks of the encoding so far.
+ * @param {*} value The value.
+ * @private
+ */
+function write(chunks, value) {
+  if (typeof(value) === 'string') {
+    const bytes = Buffer.from(value, 'utf8')
+    chunks.push(head(TEXT, BigInt(bytes.length)), bytes)
+  } else if (typeof(value) === 'bigint' || Number.isInteger(value)) {
+    writeInteger(chunks, BigInt(value))
+  } else if (typeof(value) === 'number') {
+    chunks.push(float(value))
+  } else if (typeof(value) === 'boolean') {
+    chunks.push(Buffer.from([value ? 0xf5 : 0xf4]))
+  } else if (value === null) {
+    chunks.push(Buffer.from([0xf6]))
+  } else if (value instanceof Uint8Array) {
+    chunks.push(head(BYTES, BigInt(value.length)), Buffer.from(value))
+  } else if (Array.isArray(value)) {
+    chunks.push(head(ARRAY, BigInt(value.length)))
+    for (let item of value) {
+      write(chunks, item)
+    }
+  } else {
+    // Sort the entries by the bytewise order of their encoded keys.
+    const entries = Object.keys(value).map(key => [encode(key), value[key]])
+    entries.sort(([a], [b]) => Buffer.compare(a, b))
+    chunks.push(head(MAP, BigInt(entries.length)))
+    for (let [key, item] of entries) {
+      chunks.push(key)
+      write(chunks, item)
+    }
+  }
+}
+
+/**
+ * Write the encoding of an integer, as a bignum if it does not fit in 64 bits.
+ * @param {Buffer[]} chunks The chunks of the encoding so far.
+ * @param {BigInt} value The integer.
+ * @private
+ */
+function writeInteger(chunks, value) {
+  const [major, tag, n] = value < 0n ? [NINT, NEGATIVE, -1n - value] : [UINT, POSITIVE, value]
+  if (n <= MAX_UINT64) {
+    chunks.push(head(major, n))
+    return
+  }
+  const hex = n.toString(16)
+  const bytes = Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex')
+  chunks.push(head(TAG, BigInt(tag)), head(BYTES, BigInt(bytes.length)), bytes)
+}
+
+/**
+ * Encode the head of a data item with the shortest encoding of its argument.
+ * @param {Number} major The major type.
+ * @param {BigInt} n The argument.
+ * @returns {Buffer} The head.
+ * @private
+ */
+function head(major, n) {
+  if (n < 24n) {
+    return Buffer.from([major << 5 | Number(n)])
+  }
+  const size = n < 0x100n ? 1 : n < 0x10000n ? 2 : n < 0x100000000n ? 4 : 8
+  const argument = Buffer.alloc(8)
+  argument.writeBigUInt64BE(n)
+  // The additional information 24 to 27 gives the argument in 1, 2, 4 or 8 bytes.
+  const initial = Buffer.from([major << 5 | 24 + Math.log2(size)])
+  return Buffer.concat([initial, argument.subarray(8 - size)])
+}
+
+/**
+ * Encode a finite number that is not an integer as the shortest of a half, single or double
+ * precision float that represents it exactly.
+ * @param {Number} value The number.
+ * @returns {Buffer} The encoding.
+ * @private
+ */
+function float(value) {
+  const half = toHalf(value)
+  if (half !== null) {
+    const bytes = Buffer.from([0xf9, 0, 0])
+    bytes.writeUInt16BE(half, 1)
+    return bytes
+  }
+  if (Math.fround(value) === value) {
+    const bytes = Buffer.from([0xfa, 0, 0, 0, 0])
+    bytes.writeFloatBE(value, 1)
+    return bytes
+  }
+  const bytes = Buffer.alloc(9)
+  bytes[0] = 0xfb
+  bytes.writeDoubleBE(value, 1)
+  return bytes
+}
+
+/**
+ * Find the bits of the half precision float that represents a number exactly.
+ * @param {Number} value The number.
+ * @returns {?Number} The bits, or null if no half precision float represents the number.
+ * @private
+ */
+function toHalf(value) {
+  const sign = value < 0 ? 0x8000 : 0
+  const magnitude = Math.abs(value)
+  // Look for an exponent at which the significand is an integer of at most 11 bits.
+  for (let e = -14; e <= 15; e++) {
+    const m = magnitude * 2 ** (10 - e)
+    if (Number.isInteger(m) && m < 2048) {
+      if (m >= 1024) {
+        return sign | (e + 15) << 10 | (m - 1024)
+      }
+      // Only the smallest exponent has subnormal significands.
+      if (e === -14) {
+        return sign | m
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Convert the bits of a half precision float to a number.
+ * @param {Number} bits The bits.
+ * @returns {Number} The number.
+ * @private
+ */
+function fromHalf(bits) {
+  const exponent = bits >> 10 & 0x1f
+  const m = bits & 0x3ff
+  const magnitude = exponent === 0 ? m * 2 ** -24 :
+    exponent === 31 ? (m === 0 ? Infinity : NaN) : (m + 1024) * 2 ** (exponent - 25)
+  return bits & 0x8000 ? -magnitude : magnitude
+}
+
+/**
+ * Decode structured data from its canonical encoding. Integers are decoded as Numbers if they
+ * are safe integers and as BigInts otherwise, byte strings as Buffers, and maps as plain objects.
+ * @param {Uint8Array} bytes The encoding.
+ * @returns {*} The value.
+ * @throws {InvalidArgumentError} If the bytes are not the canonical encoding of structured data.
+ * @private
+ */
+function decode(bytes) {
+  bytes = Buffer.from(bytes)
+  const reader = {bytes, offset: 0}
+  const value = read(reader, 0)
+  if (reader.offset !== bytes.length) {
+    throw new InvalidArgumentError('Unexpected data after encoded element')
+  }
+  // A value has exactly one encoding, so any other encoding of it is rejected.
+  if (!isValue(value, 0) || !encode(value).equals(bytes)) {
+    throw new InvalidArgumentError('Element encoding is not canonical')
+  }
+  return value
+}
+
+/**
+ * Read a data item.
+ * @param {Object} reader The bytes and the offset of the next data item.
+ * @param {Number} depth The nesting of the data item.
+ * @returns {*} The value.
+ * @private
+ */
+function read(reader, depth) {
+  if (depth > DEPTH) {
+    throw new InvalidArgumentError('Element is nested too deeply')
+  }
+  const initial = take(reader, 1)[0]
+  const major = initial >> 5
+  const info = initial & 0x1f
+  if (major === SIMPLE) {
+    return readSimple(reader, info)
+  }
+  const n = readArgument(reader, info)
+  if (major === UINT || major === NINT) {
+    return toInteger(major === UINT ? n : -1n - n)
+  }
+  if (major === BYTES) {
+    return Buffer.from(take(reader, n))
+  }
+  if (major === TEXT) {
+    return new TextDecoder('utf-8', {fatal: true}).decode(take(reader, n))
+  }
+  if (major === ARRAY) {
+    return Array.from({length: count(reader, n)}, () => read(reader, depth + 1))
+  }
+  if (major === MAP) {
+    return Object.fromEntries(Array.from({length: count(reader, n)}, () => {
+      const key = read(reader, depth + 1)
+      if (typeof(key) !== 'string') {
+        throw new InvalidArgumentError('Element keys must be strings')
+      }
+      return [key, read(reader, depth + 1)]
+    }))
+  }
+  // The only tags are those of bignums.
+  if (n !== BigInt(POSITIVE) && n !== BigInt(NEGATIVE)) {
+    throw new InvalidArgumentError('Unknown element tag ' + n)
+  }
+  const magnitude = read(reader, depth + 1)
+  if (!(magnitude instanceof Uint8Array)) {
+    throw new InvalidArgumentError('Bignum must be a byte string')
+  }
+  const value = BigInt('0x0' + magnitude.toString('hex'))
+  return n === BigInt(POSITIVE) ? value : -1n - value
+}
+
+/**
+ * Read a simple value or float.
+ * @param {Object} reader The bytes and the offset of the next data item.
+ * @param {Number} info The additional information of the data item.
+ * @returns {(Boolean|null|Number)} The value.
+ * @private
+ */
+function readSimple(reader, info) {
+  const simple = {20: false, 21: true, 22: null}
+  if (info in simple) {
+    return simple[info]
+  }
+  if (info === 25) {
+    return fromHalf(take(reader, 2).readUInt16BE(0))
+  }
+  if (info === 26) {
+    return take(reader, 4).readFloatBE(0)
+  }
+  if (info !== 27) {
+    throw new InvalidArgumentError('Unknown element simple value ' + info)
+  }
+  return take(reader, 8).readDoubleBE(0)
+}
+
+/**
+ * Read the argument of a data item.
+ * @param {Object} reader The bytes and the offset of the next data item.
+ * @param {Number} info The additional information of the data item.
+ * @returns {BigInt} The argument.
+ * @private
+ */
+function readArgument(reader, info) {
+  if (info < 24) {
+    return BigInt(info)
+  }
+  if (info > 27) {
+    throw new InvalidArgumentError('Indefinite and reserved lengths are not canonical')
+  }
+  const size = 1 << info - 24
+  const bytes = Buffer.alloc(8)
+  take(reader, size).copy(bytes, 8 - size)
+  return bytes.readBigUInt64BE(0)
+}
+
+/**
+ * Check the number of items of an array or map against the remaining bytes, each of which is at
+ * least one byte.
+ * @param {Object} reader The bytes and the offset of the next data item.
+ * @param {BigInt} n The number of items.
+ * @returns {Number} The number of items.
+ * @private
+ */
+function count(reader, n) {
+  if (n > BigInt(reader.bytes.length - reader.offset)) {
+    throw new InvalidArgumentError('Unexpected end of element')
+  }
+  return Number(n)
+}
+
+/**
+ * Take bytes from a reader.
+ * @param {Object} reader The bytes and the offset of the next data item.
+ * @param {(Number|BigInt)} length The number of bytes.
+ * @returns {Buffer} The bytes.
+ * @private
+ */
+function take(reader, length) {
+  const end = reader.offset + Number(length)
+  if (BigInt(length) > BigInt(reader.bytes.length - reader.offset)) {
+    throw new InvalidArgumentError('Unexpected end of element')
+  }
+  const bytes = reader.bytes.subarray(reader.offset, end)
+  reader.offset = end
+  return bytes
+}
+
+/**
+ * Convert a decoded integer to a Number if it is a safe integer.
+ * @param {BigInt} n The integer.
+ * @returns {(Number|BigInt)} The integer.
+ * @private
+ */
+function toInteger(n) {
+  return n >= BigInt(Number.MIN_SAFE_INTEGER) && n <= BigInt(Number.MAX_SAFE_INTEGER) ?
+    Number(n) : n
+}
+
+module.exports = {
+  isData,
+  isStructured,
+  toBytes,
+  octets,
+  encode,
+  decode,
+}
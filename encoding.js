@@ -0,0 +1,698 @@
+'use strict'
+const crypto = require('crypto')
+const type = require('./type')
+const tf = type.typeforce
+const curves = require('./curves')
+const data = require('./data')
+const {InvalidArgumentError, InvalidPointError} = require('./errors')
+
+/**
+ * The version of the binary and JSON formats produced by the encoders. Version 1 did not have
+ * the sequence numbers, operations and links of updates and checkpoints, and is not supported.
+ * @private
+ */
+const VERSION = 2
+
+/**
+ * The operations an update can perform, in the order of their binary identifiers.
+ * @private
+ */
+const OPS = ['add', 'del', 'rotate']
+
+/**
+ * The encodings of the data of an element, in the order of their binary identifiers: UTF-8
+ * strings, byte arrays, and structured data in its canonical CBOR encoding.
+ * @private
+ */
+const KINDS = ['utf8', 'hex', 'cbor']
+
+/**
+ * Serializers for a single field of an encoded object, keyed by the kind of field.
+ * @private
+ */
+const fields = {
+
+  d: {
+    write(curve, d) {
+      const kind = kindOf(d)
+      const bytes = toBytes(kind, d)
+      const header = Buffer.alloc(5)
+      header.writeUInt8(KINDS.indexOf(kind), 0)
+      header.writeUInt32BE(bytes.length, 1)
+      return Buffer.concat([header, bytes])
+    },
+    read(curve, reader) {
+      const kind = KINDS[reader.uint8()]
+      if (kind === undefined) {
+        throw new InvalidArgumentError('Unknown element encoding')
+      }
+      return fromBytes(kind, reader.bytes(reader.uint32()))
+    },
+    toJSON(curve, d) {
+      const kind = kindOf(d)
+      return {encoding: kind, value: kind === 'utf8' ? d : toBytes(kind, d).toString('hex')}
+    },
+    fromJSON(curve, d) {
+      if (!d || typeof(d.value) !== 'string') {
+        throw new InvalidArgumentError('Element must have a string value')
+      }
+      if (d.encoding === 'utf8') {
+        return d.value
+      }
+      if (!KINDS.includes(d.encoding)) {
+        throw new InvalidArgumentError('Unknown element encoding ' + d.encoding)
+      }
+      if (!/^([0-9a-f]{2})*$/i.test(d.value)) {
+        throw new InvalidArgumentError('Element value is not valid hex')
+      }
+      return fromBytes(d.encoding, Buffer.from(d.value, 'hex'))
+    },
+  },
+
+  D: {
+    write(curve, D) {
+      return list(D.map(d => fields.d.write(curve, d)))
+    },
+    read(curve, reader) {
+      return Array.from({length: reader.uint32()}, () => fields.d.read(curve, reader))
+    },
+    toJSON(curve, D) {
+      return D.map(d => fields.d.toJSON(curve, d))
+    },
+    fromJSON(curve, D) {
+      if (!Array.isArray(D)) {
+        throw new InvalidArgumentError('Elements must be an array')
+      }
+      return D.map(d => fields.d.fromJSON(curve, d))
+    },
+  },
+
+  point: {
+    write(curve, point) {
+      const bytes = pointToBytes(curve, point)
+      return Buffer.concat([Buffer.from([bytes.length]), bytes])
+    },
+    read(curve, reader) {
+      return pointFromBytes(curve, reader.bytes(reader.uint8()))
+    },
+    toJSON(curve, point) {
+      return pointToBytes(curve, point).toString('hex')
+    },
+    fromJSON(curve, point) {
+      if (typeof(point) !== 'string' || !/^([0-9a-f]{2})+$/i.test(point)) {
+        throw new InvalidPointError('Point is not valid hex')
+      }
+      return pointFromBytes(curve, Buffer.from(point, 'hex'))
+    },
+  },
+
+  points: {
+    write(curve, points) {
+      return list(points.map(point => fields.point.write(curve, point)))
+    },
+    read(curve, reader) {
+      return Array.from({length: reader.uint32()}, () => fields.point.read(curve, reader))
+    },
+    toJSON(curve, points) {
+      return points.map(point => fields.point.toJSON(curve, point))
+    },
+    fromJSON(curve, points) {
+      if (!Array.isArray(points)) {
+        throw new InvalidArgumentError('Points must be an array')
+      }
+      return points.map(point => fields.point.fromJSON(curve, point))
+    },
+  },
+
+  scalar: {
+    write(curve, scalar) {
+      const bytes = scalarToBytes(scalar)
+      return Buffer.concat([Buffer.from([bytes.length]), bytes])
+    },
+    read(curve, reader) {
+      const bytes = reader.bytes(reader.uint8())
+      if (bytes.length > 0 && bytes[0] === 0) {
+        throw new InvalidArgumentError('Scalar has a leading zero byte')
+      }
+      return checkScalar(curve, bytes.length === 0 ? 0n : BigInt('0x' + bytes.toString('hex')))
+    },
+    toJSON(curve, scalar) {
+      return scalar.toString(16)
+    },
+    fromJSON(curve, scalar) {
+      // Only the lowercase hex without leading zeros that toJSON writes is accepted.
+      const isHex = typeof(scalar) === 'string' && /^(0|[1-9a-f][0-9a-f]*)$/.test(scalar)
+      if (!isHex) {
+        throw new InvalidArgumentError('Scalar is not canonical hex')
+      }
+      return checkScalar(curve, BigInt('0x' + scalar))
+    },
+  },
+
+  scalars: {
+    write(curve, scalars) {
+      return list(scalars.map(scalar => fields.scalar.write(curve, scalar)))
+    },
+    read(curve, reader) {
+      return Array.from({length: reader.uint32()}, () => fields.scalar.read(curve, reader))
+    },
+    toJSON(curve, scalars) {
+      return scalars.map(scalar => fields.scalar.toJSON(curve, scalar))
+    },
+    fromJSON(curve, scalars) {
+      if (!Array.isArray(scalars)) {
+        throw new InvalidArgumentError('Scalars must be an array')
+      }
+      return scalars.map(scalar => fields.scalar.fromJSON(curve, scalar))
+    },
+  },
+
+  i: {
+    write(curve, i) {
+      const bytes = Buffer.alloc(4)
+      // The maximum value represents a null index.
+      bytes.writeUInt32BE(i === null ? 0xffffffff : i)
+      return bytes
+    },
+    read(curve, reader) {
+      const i = reader.uint32()
+      return i === 0xffffffff ? null : i
+    },
+    toJSON(curve, i) {
+      return i
+    },
+    fromJSON(curve, i) {
+      if (i !== null && !(Number.isInteger(i) && i >= 0 && i < 0xffffffff)) {
+        throw new InvalidArgumentError('Invalid index ' + i)
+      }
+      return i
+    },
+  },
+
+  seq: {
+    write(curve, seq) {
+      const bytes = Buffer.alloc(4)
+      bytes.writeUInt32BE(seq)
+      return bytes
+    },
+    read(curve, reader) {
+      return reader.uint32()
+    },
+    toJSON(curve, seq) {
+      return seq
+    },
+    fromJSON(curve, seq) {
+      const isValid = Number.isInteger(seq) && seq >= 0 && seq <= 0xffffffff
+      if (!isValid) {
+        throw new InvalidArgumentError('Invalid sequence number ' + seq)
+      }
+      return seq
+    },
+  },
+
+  op: {
+    write(curve, op) {
+      return Buffer.from([OPS.indexOf(op)])
+    },
+    read(curve, reader) {
+      const op = OPS[reader.uint8()]
+      if (!op) {
+        throw new InvalidArgumentError('Unknown operation')
+      }
+      return op
+    },
+    toJSON(curve, op) {
+      return op
+    },
+    fromJSON(curve, op) {
+      if (!OPS.includes(op)) {
+        throw new InvalidArgumentError('Unknown operation ' + op)
+      }
+      return op
+    },
+  },
+
+  link: {
+    write(curve, link) {
+      return Buffer.from(link, 'hex')
+    },
+    read(curve, reader) {
+      return reader.bytes(32).toString('hex')
+    },
+    toJSON(curve, link) {
+      return link
+    },
+    fromJSON(curve, link) {
+      if (typeof(link) !== 'string' || !/^[0-9a-f]{64}$/i.test(link)) {
+        throw new InvalidArgumentError('Link is not valid hex')
+      }
+      return link.toLowerCase()
+    },
+  },
+
+}
+
+/**
+ * Creates an encoder and decoder for a typedef.
+ * @param {String} name The name of the typedef.
+ * @param {Number} tag The byte that identifies the typedef in the binary format.
+ * @param {Object} schema The kind of each property of the typedef, in encoding order.
+ * @returns {Codec} The codec.
+ * @private
+ */
+function codec(name, tag, schema) {
+  const properties = Object.keys(schema)
+  return {
+
+    // Encode an object to bytes.
+    encode(curve, value) {
+      tf(tf.tuple(type.Curve, type[name]), arguments)
+      return Buffer.concat([Buffer.from([VERSION, tag])].concat(properties.map(property => {
+        return fields[schema[property]].write(curve, value[property])
+      })))
+    },
+
+    // Decode an object from bytes.
+    decode(curve, bytes) {
+      tf(tf.tuple(type.Curve, type.Bytes), arguments)
+      const reader = new Reader(Buffer.from(bytes))
+      checkVersion(reader.uint8())
+      if (reader.uint8() !== tag) {
+        throw new InvalidArgumentError('Encoded object is not of type ' + name)
+      }
+      const value = {}
+      for (let property of properties) {
+        value[property] = fields[schema[property]].read(curve, reader)
+      }
+      if (!reader.done()) {
+        throw new InvalidArgumentError('Unexpected data after encoded ' + name)
+      }
+      return value
+    },
+
+    // Convert an object to a form that can be serialized as JSON.
+    toJSON(curve, value) {
+      tf(tf.tuple(type.Curve, type[name]), arguments)
+      const json = {version: VERSION, type: name}
+      for (let property of properties) {
+        json[property] = fields[schema[property]].toJSON(curve, value[property])
+      }
+      return json
+    },
+
+    // Convert the JSON form of an object, parsed or unparsed, back to the object.
+    fromJSON(curve, json) {
+      tf(tf.tuple(type.Curve, tf.oneOf(tf.Object, tf.String)), arguments)
+      json = parse(json)
+      checkVersion(json.version)
+      if (json.type !== name) {
+        throw new InvalidArgumentError('Encoded object is not of type ' + name)
+      }
+      const value = {}
+      for (let property of properties) {
+        if (!(property in json)) {
+          throw new InvalidArgumentError(name + ' is missing property ' + property)
+        }
+        value[property] = fields[schema[property]].fromJSON(curve, json[property])
+      }
+      return value
+    },
+
+  }
+}
+
+/**
+ * Parse the JSON form of an encoded object if it is unparsed.
+ * @param {(Object|String)} json The JSON form, parsed or unparsed.
+ * @returns {Object} The parsed JSON form.
+ * @throws {InvalidArgumentError} If the JSON form is not valid JSON of an object.
+ * @private
+ */
+function parse(json) {
+  if (typeof(json) === 'string') {
+    try {
+      json = JSON.parse(json)
+    } catch (err) {
+      throw new InvalidArgumentError('Encoded object is not valid JSON: ' + err.message)
+    }
+  }
+  if (json === null || typeof(json) !== 'object') {
+    throw new InvalidArgumentError('Encoded object is not a JSON object')
+  }
+  return json
+}
+
+/**
+ * Check that an encoded object is in the version of the formats produced by the encoders.
+ * @param {*} version The version of the encoded object.
+ * @private
+ */
+function checkVersion(version) {
+  if (version !== VERSION) {
+    throw new InvalidArgumentError('Unsupported version ' + version + ' of encoded object; ' +
+      'expected version ' + VERSION)
+  }
+}
+
+/**
+ * Find the encoding of the data of an element.
+ * @param {Data} d The data.
+ * @returns {String} The encoding, which is one of KINDS.
+ * @private
+ */
+function kindOf(d) {
+  if (typeof(d) === 'string') {
+    return 'utf8'
+  }
+  return data.isStructured(d) ? 'cbor' : 'hex'
+}
+
+/**
+ * Encode the data of an element as its bytes. Structured data is encoded without the prefix that
+ * separates it from other elements when it is mapped, since its encoding identifies it.
+ * @param {String} kind The encoding, which is one of KINDS.
+ * @param {Data} d The data.
+ * @returns {Buffer} The bytes.
+ * @private
+ */
+function toBytes(kind, d) {
+  return kind === 'cbor' ? data.encode(d) : data.toBytes(d)
+}
+
+/**
+ * Decode the data of an element from its bytes.
+ * @param {String} kind The encoding, which is one of KINDS.
+ * @param {Buffer} bytes The bytes.
+ * @returns {Data} The data.
+ * @private
+ */
+function fromBytes(kind, bytes) {
+  if (kind === 'utf8') {
+    return bytes.toString('utf8')
+  }
+  if (kind === 'hex') {
+    if (!data.isData(bytes)) {
+      throw new InvalidArgumentError('Element bytes are the encoding of structured data')
+    }
+    return Buffer.from(bytes)
+  }
+  const d = data.decode(bytes)
+  // Strings and byte arrays are not encoded as structured data, which is mapped differently.
+  if (!data.isStructured(d)) {
+    throw new InvalidArgumentError('Structured element is a string or byte array')
+  }
+  return d
+}
+
+/**
+ * Encode a point in the canonical encoding of its curve. The point at infinity is encoded as a
+ * single zero byte.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {Point} point The point to encode.
+ * @returns {Buffer} The encoded point.
+ * @private
+ */
+function pointToBytes(curve, point) {
+  curve = curves.adapt(curve)
+  if (!curve.isPoint(point)) {
+    throw new InvalidPointError('Point is not on the configured curve')
+  }
+  if (point.equals(curve.ZERO)) {
+    return Buffer.from([0])
+  }
+  return Buffer.from(curve.toBytes(point))
+}
+
+/**
+ * Encode a list of encoded items prefixed by the number of items.
+ * @param {Buffer[]} items The encoded items.
+ * @returns {Buffer} The encoded list.
+ * @private
+ */
+function list(items) {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(items.length)
+  return Buffer.concat([length].concat(items))
+}
+
+/**
+ * Encode a non-negative scalar as big-endian bytes with no leading zeros.
+ * @param {BigInt} scalar The scalar to encode.
+ * @returns {Buffer} The encoded scalar.
+ * @private
+ */
+function scalarToBytes(scalar) {
+  if (scalar === 0n) {
+    return Buffer.alloc(0)
+  }
+  const hex = scalar.toString(16)
+  return Buffer.from(hex.length % 2 ? '0' + hex : hex, 'hex')
+}
+
+/**
+ * Check that a decoded scalar is less than the group order.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {BigInt} scalar The decoded scalar.
+ * @returns {BigInt} The scalar.
+ * @private
+ */
+function checkScalar(curve, scalar) {
+  if (scalar >= curves.adapt(curve).n) {
+    throw new InvalidArgumentError('Scalar is not less than the group order')
+  }
+  return scalar
+}
+
+/**
+ * Decode a point and validate that it lies on the curve.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {Buffer} bytes The encoded point.
+ * @returns {Point} The decoded point.
+ * @private
+ */
+function pointFromBytes(curve, bytes) {
+  curve = curves.adapt(curve)
+  if (bytes.length === 1 && bytes[0] === 0) {
+    return curve.ZERO
+  }
+  try {
+    return curve.fromBytes(bytes)
+  } catch (err) {
+    throw new InvalidPointError('Invalid point: ' + err.message)
+  }
+}
+
+/**
+ * Reads fields sequentially from a buffer.
+ * @private
+ */
+class Reader {
+
+  /**
+   * Creates a reader positioned at the start of a buffer.
+   * @param {Buffer} buffer The buffer to read.
+   */
+  constructor(buffer) {
+    this.buffer = buffer
+    this.offset = 0
+  }
+
+  /**
+   * Read a number of bytes.
+   * @param {Number} length The number of bytes to read.
+   * @returns {Buffer} The bytes.
+   */
+  bytes(length) {
+    if (this.offset + length > this.buffer.length) {
+      throw new InvalidArgumentError('Unexpected end of data')
+    }
+    const bytes = this.buffer.subarray(this.offset, this.offset + length)
+    this.offset += length
+    return bytes
+  }
+
+  /**
+   * Read an unsigned 8-bit integer.
+   * @returns {Number} The integer.
+   */
+  uint8() {
+    return this.bytes(1).readUInt8()
+  }
+
+  /**
+   * Read an unsigned big-endian 32-bit integer.
+   * @returns {Number} The integer.
+   */
+  uint32() {
+    return this.bytes(4).readUInt32BE()
+  }
+
+  /**
+   * Check whether every byte has been read.
+   * @returns {Boolean} True if there are no bytes left; false otherwise.
+   */
+  done() {
+    return this.offset === this.buffer.length
+  }
+
+}
+
+/**
+ * @typedef {Object} Codec
+ * @property {function} encode Encode an object to bytes with the signature
+ * `encode(curve, value)`. The encoding begins with a version byte and a byte identifying the
+ * typedef. Points are in the canonical encoding of the curve, which is compressed for
+ * Weierstrass curves.
+ * @property {function} decode Decode an object from bytes with the signature
+ * `decode(curve, bytes)`. Points are validated to be in the group of the curve. Malformed
+ * input throws an InvalidArgumentError, or an InvalidPointError if a point is not valid.
+ * @property {function} toJSON Convert an object to its JSON form with the signature
+ * `toJSON(curve, value)`.
+ * @property {function} fromJSON Convert the JSON form of an object back to the object with the
+ * signature `fromJSON(curve, json)`, throwing the same errors as `decode`.
+ */
+
+/**
+ * A codec for a single point. Its binary form is the encoded point without a header and its
+ * JSON form is the hex representation of the binary form.
+ * @private
+ */
+const Point = {
+  encode(curve, point) {
+    tf(tf.tuple(type.Curve, type.Point), arguments)
+    return pointToBytes(curve, point)
+  },
+  decode(curve, bytes) {
+    tf(tf.tuple(type.Curve, type.Bytes), arguments)
+    return pointFromBytes(curve, Buffer.from(bytes))
+  },
+  toJSON(curve, point) {
+    tf(tf.tuple(type.Curve, type.Point), arguments)
+    return fields.point.toJSON(curve, point)
+  },
+  fromJSON(curve, json) {
+    tf(tf.tuple(type.Curve, tf.String), arguments)
+    return fields.point.fromJSON(curve, json)
+  },
+}
+
+const Update = codec('Update', 1, {
+  seq: 'seq', op: 'op', prev: 'link', d: 'd', z: 'point', Q: 'point', i: 'i',
+})
+
+const BatchUpdate = codec('BatchUpdate', 5, {
+  seq: 'seq', op: 'op', prev: 'link', D: 'D', z: 'point', Q: 'points', i: 'i',
+})
+
+const WitnessUpdate = codec('WitnessUpdate', 3, {
+  seq: 'seq', op: 'op', prev: 'link', d: 'd', z: 'point', v: 'point', w: 'point', Q: 'point',
+  i: 'i',
+})
+
+const RotationUpdate = codec('RotationUpdate', 8, {
+  seq: 'seq', op: 'op', prev: 'link', z: 'point', Q: 'points', i: 'i',
+})
+
+/**
+ * The codec of each kind of update keyed by the byte that identifies it in the binary format.
+ * @private
+ */
+const UPDATES = new Map([
+  [1, Update],
+  [3, WitnessUpdate],
+  [5, BatchUpdate],
+  [8, RotationUpdate],
+])
+
+/**
+ * A codec for any update published by an accumulator, which chooses the codec of the update's
+ * kind when encoding and reads the kind from the header when decoding. The witnesses of a
+ * BatchWitnessUpdate are not encoded.
+ * @private
+ */
+const AnyUpdate = {
+  encode(curve, update) {
+    tf(tf.tuple(type.Curve, tf.Object), arguments)
+    return codecOf(update).encode(curve, update)
+  },
+  decode(curve, bytes) {
+    tf(tf.tuple(type.Curve, type.Bytes), arguments)
+    if (bytes.length < 2 || !UPDATES.has(bytes[1])) {
+      throw new InvalidArgumentError('Encoded object is not an update')
+    }
+    return UPDATES.get(bytes[1]).decode(curve, bytes)
+  },
+  toJSON(curve, update) {
+    tf(tf.tuple(type.Curve, tf.Object), arguments)
+    return codecOf(update).toJSON(curve, update)
+  },
+  fromJSON(curve, json) {
+    tf(tf.tuple(type.Curve, tf.oneOf(tf.Object, tf.String)), arguments)
+    json = parse(json)
+    const names = {Update, WitnessUpdate, BatchUpdate, RotationUpdate}
+    if (!Object.hasOwn(names, json.type)) {
+      throw new InvalidArgumentError('Encoded object is not an update')
+    }
+    return names[json.type].fromJSON(curve, json)
+  },
+}
+
+/**
+ * Choose the codec of an update from its operation and properties.
+ * @param {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate|RotationUpdate)} update The
+ * update.
+ * @returns {Codec} The codec.
+ * @private
+ */
+function codecOf(update) {
+  if (update.op === 'rotate') {
+    return RotationUpdate
+  }
+  if ('D' in update) {
+    return BatchUpdate
+  }
+  return 'v' in update ? WitnessUpdate : Update
+}
+
+/**
+ * Compute the link of an update, which is the SHA-256 digest of its binary encoding. Since the
+ * encoding includes the link of the previous update, each link commits to the entire history of
+ * the accumulation. The witness of a WitnessUpdate is not part of its link, so an update and the
+ * witness update it was derived from have the same link.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate|RotationUpdate)} update The
+ * update.
+ * @returns {String} The hex representation of the link.
+ */
+function link(curve, update) {
+  tf(tf.tuple(type.Curve, tf.oneOf(type.Update, type.BatchUpdate, type.RotationUpdate)),
+    arguments)
+  let bytes
+  if (update.op === 'rotate') {
+    bytes = RotationUpdate.encode(curve, update)
+  } else {
+    bytes = 'D' in update ? BatchUpdate.encode(curve, update) : Update.encode(curve, update)
+  }
+  return crypto.createHash('sha256').update(bytes).digest('hex')
+}
+
+module.exports = {
+  Point,
+  Update,
+  Witness: codec('Witness', 2, {d: 'd', v: 'point', w: 'point'}),
+  WitnessUpdate,
+  Checkpoint: codec('Checkpoint', 4, {
+    z: 'point', Q: 'points', A: 'scalars', i: 'i', seq: 'seq', link: 'link',
+  }),
+  BatchUpdate,
+  NonMembershipWitness: codec('NonMembershipWitness', 6, {
+    d: 'd', v: 'point', w: 'point', r: 'scalar',
+  }),
+  MembershipProof: codec('MembershipProof', 7, {
+    V: 'point', W: 'point', T: 'point', s1: 'scalar', s2: 'scalar',
+  }),
+  RotationUpdate,
+  AggregateWitness: codec('AggregateWitness', 9, {D: 'D', v: 'point'}),
+  AnyUpdate,
+  link,
+}
@@ -0,0 +1,200 @@
+'use strict'
+
+/**
+ * The base class of every error thrown by this module.
+ * @extends Error
+ */
+class AccumulatorError extends Error {
+
+  /**
+   * Creates an error.
+   * @param {String} message A description of the error.
+   */
+  constructor(message) {
+    super(message)
+    this.name = this.constructor.name
+  }
+
+}
+
+/**
+ * Thrown when an argument does not have the expected type or value.
+ * @extends AccumulatorError
+ */
+class InvalidArgumentError extends AccumulatorError {}
+
+/**
+ * Thrown when a point is not a valid point of the expected curve or group.
+ * @extends InvalidArgumentError
+ */
+class InvalidPointError extends InvalidArgumentError {}
+
+/**
+ * Thrown when an update cannot be applied.
+ * @extends InvalidArgumentError
+ * @property {String} reason A description of why the update cannot be applied.
+ * @property {Number} seq The sequence number of the update that was rejected.
+ */
+class InvalidUpdateError extends InvalidArgumentError {
+
+  /**
+   * Creates an invalid update error.
+   * @param {String} reason A description of why the update cannot be applied.
+   * @param {Number} seq The sequence number of the update that was rejected.
+   */
+  constructor(reason, seq) {
+    super('Update ' + seq + ' is invalid: ' + reason)
+    this.reason = reason
+    this.seq = seq
+  }
+
+}
+
+/**
+ * Thrown when an update does not directly follow the last update applied by a Prover.
+ * @extends InvalidUpdateError
+ * @property {Number} expected The sequence number of the next update the Prover can apply.
+ * @property {Number} received The sequence number of the update that was rejected.
+ */
+class SequenceError extends InvalidUpdateError {
+
+  /**
+   * Creates a sequence error.
+   * @param {String} reason A description of why the update cannot be applied.
+   * @param {Number} expected The sequence number of the next update the Prover can apply.
+   * @param {Number} received The sequence number of the update that was rejected.
+   */
+  constructor(reason, expected, received) {
+    super(reason, received)
+    this.expected = expected
+    this.received = received
+  }
+
+}
+
+/**
+ * Thrown when an update has already been applied, such as when a message is replayed.
+ * @extends SequenceError
+ */
+class DuplicateUpdateError extends SequenceError {}
+
+/**
+ * Thrown when an update skips ahead of the next expected update, such as when a message is dropped
+ * or arrives out of order. The missing updates must be applied first.
+ * @extends SequenceError
+ */
+class UpdateGapError extends SequenceError {}
+
+/**
+ * Thrown when an update has the expected sequence number but does not link to the last update
+ * applied, which means it was produced from a different history of the accumulation.
+ * @extends SequenceError
+ */
+class BrokenLinkError extends SequenceError {}
+
+/**
+ * Thrown when an element is required to be a member of the accumulation but is not.
+ * @extends AccumulatorError
+ */
+class NotMemberError extends AccumulatorError {}
+
+/**
+ * Thrown when an element is required not to be a member of the accumulation but is, or appears
+ * more than once where it may appear only once.
+ * @extends AccumulatorError
+ */
+class DuplicateMemberError extends AccumulatorError {}
+
+/**
+ * Thrown when an element maps to the same value in Zq as a tracked member with different data.
+ * @extends AccumulatorError
+ */
+class HashCollisionError extends AccumulatorError {}
+
+/**
+ * Thrown when an operation requires an accumulation with at least one member, or a Prover that
+ * has received an accumulation.
+ * @extends AccumulatorError
+ */
+class EmptyAccumulatorError extends AccumulatorError {}
+
+/**
+ * Thrown when fewer parties than the threshold return a valid response to a request of a
+ * threshold accumulator.
+ * @extends AccumulatorError
+ * @property {Number[]} failed The indices of the parties that did not respond or responded with
+ * an invalid share.
+ */
+class QuorumError extends AccumulatorError {
+
+  /**
+   * Creates a quorum error.
+   * @param {String} message A description of the error.
+   * @param {Number[]} failed The indices of the parties that did not respond or responded with an
+   * invalid share.
+   */
+  constructor(message, failed) {
+    super(message)
+    this.failed = failed
+  }
+
+}
+
+/**
+ * Thrown when a log of updates is not valid, such as when its hash chain is broken, a checkpoint
+ * is not signed, or replaying its updates does not reach the accumulation of a checkpoint.
+ * @extends AccumulatorError
+ * @property {Number} seq The sequence number of the entry or checkpoint that is not valid, or 0
+ * if the log as a whole is not valid.
+ */
+class InvalidLogError extends AccumulatorError {
+
+  /**
+   * Creates an invalid log error.
+   * @param {String} message A description of the error.
+   * @param {Number} seq The sequence number of the entry or checkpoint that is not valid.
+   */
+  constructor(message, seq) {
+    super(message)
+    this.seq = seq
+  }
+
+}
+
+/**
+ * Thrown when a request to a [Server](#Server) fails, and used by the server to reject requests
+ * that it cannot route or accept.
+ * @extends AccumulatorError
+ * @property {Number} status The HTTP status code of the response.
+ */
+class HttpError extends AccumulatorError {
+
+  /**
+   * Creates an HTTP error.
+   * @param {String} message A description of the error.
+   * @param {Number} status The HTTP status code of the response.
+   */
+  constructor(message, status) {
+    super(message)
+    this.status = status
+  }
+
+}
+
+module.exports = {
+  AccumulatorError,
+  InvalidArgumentError,
+  InvalidPointError,
+  InvalidUpdateError,
+  SequenceError,
+  DuplicateUpdateError,
+  UpdateGapError,
+  BrokenLinkError,
+  NotMemberError,
+  DuplicateMemberError,
+  HashCollisionError,
+  EmptyAccumulatorError,
+  QuorumError,
+  InvalidLogError,
+  HttpError,
+}
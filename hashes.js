@@ -0,0 +1,92 @@
+'use strict'
+const crypto = require('crypto')
+const type = require('./type')
+const tf = type.typeforce
+const {InvalidArgumentError} = require('./errors')
+
+/**
+ * The registered hash backends keyed by name.
+ * @private
+ */
+const backends = new Map()
+
+/**
+ * Register a hash backend under a name, replacing any backend already registered under the name.
+ * The name can then be passed as H to the constructors of this module.
+ * @param {String} name The name of the hash algorithm.
+ * @param {HashBackend} backend The implementation of the hash algorithm.
+ */
+function register(name, backend) {
+  tf(tf.tuple(tf.String, type.HashBackend), arguments)
+  backends.set(name, backend)
+}
+
+/**
+ * Return the hash backend registered under a name.
+ * @param {String} name The name of the hash algorithm.
+ * @returns {HashBackend} The implementation of the hash algorithm.
+ * @throws {InvalidArgumentError} If no backend is registered under the name.
+ */
+function get(name) {
+  tf(tf.tuple(tf.String), arguments)
+  if (!backends.has(name)) {
+    throw new InvalidArgumentError('Unsupported hash algorithm ' + name)
+  }
+  return backends.get(name)
+}
+
+/**
+ * Return the names of the registered hash backends.
+ * @returns {String[]} The names.
+ */
+function names() {
+  return [...backends.keys()]
+}
+
+/**
+ * Create a backend for a hash algorithm of node's crypto module.
+ * @param {String} algorithm The name of the algorithm in node's crypto module.
+ * @param {Number} blockSize The input block size of the algorithm in bytes.
+ * @returns {HashBackend} The backend.
+ * @private
+ */
+function fixed(algorithm, blockSize) {
+  return {
+    digest: data => crypto.createHash(algorithm).update(data).digest(),
+    blockSize,
+  }
+}
+
+/**
+ * Create a backend for an extendable-output function of node's crypto module.
+ * @param {String} algorithm The name of the function in node's crypto module.
+ * @param {Number} outputLength The length in bytes of a digest.
+ * @returns {HashBackend} The backend.
+ * @private
+ */
+function extendable(algorithm, outputLength) {
+  const xof = (data, length) => crypto.createHash(algorithm, {outputLength: length})
+    .update(data).digest()
+  return {
+    digest: data => xof(data, outputLength),
+    xof,
+  }
+}
+
+register('SHA-1', fixed('sha1', 64))
+register('SHA-256', fixed('sha256', 64))
+register('SHA-384', fixed('sha384', 128))
+register('SHA-512', fixed('sha512', 128))
+register('SHA3-256', fixed('sha3-256', 136))
+register('SHA3-384', fixed('sha3-384', 104))
+register('SHA3-512', fixed('sha3-512', 72))
+register('BLAKE2b-512', fixed('blake2b512', 128))
+register('BLAKE2s-256', fixed('blake2s256', 64))
+register('SHAKE128', extendable('shake128', 32))
+register('SHAKE256', extendable('shake256', 64))
+
+module.exports = {
+  register,
+  get,
+  names,
+}
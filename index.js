@@ -1,78 +1,245 @@
 'use strict'
 const {randBetween} = require('bigint-crypto-utils')
-const {modInv} = require('bigint-mod-arith')
-const {webcrypto: {subtle}} = require('crypto')
-const assert = require('assert')
-const tf = require('typeforce')
+const {modInv, modPow} = require('bigint-mod-arith')
+const {EventEmitter, once} = require('events')
 const type = require('./type')
+const tf = type.typeforce
+const encoding = require('./encoding')
+const curves = require('./curves')
+const keys = require('./keys')
+const threshold = require('./threshold')
+const log = require('./log')
+const server = require('./server')
+const snapshot = require('./snapshot')
+const map = require('./map')
+const data = require('./data')
+const hashes = require('./hashes')
+const zk = require('./zk')
+const errors = require('./errors')
+const {
+  InvalidArgumentError,
+  InvalidPointError,
+  InvalidUpdateError,
+  DuplicateUpdateError,
+  UpdateGapError,
+  BrokenLinkError,
+  NotMemberError,
+  DuplicateMemberError,
+  HashCollisionError,
+  EmptyAccumulatorError,
+  InvalidLogError,
+} = errors
 
-class Accumulator {
+/**
+ * The link that precedes the first update of an accumulation.
+ * @private
+ */
+const GENESIS = '0'.repeat(64)
+
+/**
+ * The number of published updates an accumulator retains to replay to subscribers by default.
+ * @private
+ */
+const HISTORY = 1024
+
+class Accumulator extends EventEmitter {
 
   /**
    * Creates a new Accumulator instance. An Accumulator is a trusted party that stores a secret and
-   * can modify the accumulation of member elements.
-   * @param {Curve} curve An object containing the curve parameters.
+   * can modify the accumulation of member elements. It emits each update it publishes as an
+   * 'update' event and can replay recent updates to subscribers with
+   * [updates](#Accumulator+updates).
+   * @param {(Curve|PairingCurve)} curve An object containing the curve parameters. If a pairing
+   * curve is provided, elements are accumulated in its first group and the accumulator can publish
+   * a public key for use by a Verifier.
    * @param {(String|function)} H The name of a hash algorithm or a function that returns a digest
    * for an input String or Buffer.
    * @param {BigInt} [c] An optional secret. If not provided, a random secret is generated.
+   * @param {Object} [options] Optional settings.
+   * @param {String} [options.duplicates] The duplicate policy, which is 'reject' to reject adding
+   * an element that is already a member, or 'multiset' to accumulate it once for each time it is
+   * added. Defaults to 'reject'.
+   * @param {Boolean} [options.track] True to record the data of each member, which allows hash
+   * collisions between different data to be detected.
+   * @param {HashToField} [options.hashToField] Options to map elements to Zq with hash_to_field
+   * from RFC 9380 instead of reducing a digest modulo the group order.
+   * @param {Number} [options.history] The number of published updates retained to replay to
+   * subscribers. Defaults to 1024. With a history of 0, subscribers receive only the updates
+   * published while they wait for them.
    */
-  constructor(curve, H, c) {
-    tf(tf.tuple(type.Curve, type.Hash, tf.maybe(type.BigInt)), arguments)
-    this.inf = curve.ProjectivePoint.ZERO
-    this.g = curve.ProjectivePoint.BASE
-    this.n = curve.CURVE.n
+  constructor(curve, H, c, options = {}) {
+    tf(tf.tuple(tf.oneOf(type.Curve, type.PairingCurve), type.Hash, tf.maybe(type.BigInt),
+      tf.maybe(type.MemberOptions)), arguments)
+    super()
+    // Accumulate in the first group of a pairing curve.
+    if (type.isPairingCurve(curve)) {
+      this.pairing = curve
+      curve = curve.G1
+    }
+    this.curve = curves.adapt(curve)
+    this.inf = this.curve.ZERO
+    this.g = this.curve.BASE
+    this.n = this.curve.n
     this.H = H
     this.c = c ? c : randBetween(this.n)
+    this.duplicates = options.duplicates || 'reject'
+    this.members = options.track ? new Map() : null
+    this.hashToField = options.hashToField || null
+    this.A = []
     this.z = this.g
     this.Q = this.inf
     this.i = null
+    this.seq = 0
+    this.link = GENESIS
+    this.history = options.history === undefined ? HISTORY : options.history
+    this.published = []
+    // Each subscriber waits on the update event.
+    this.setMaxListeners(0)
   }
 
   /**
    * Add an element to the accumulation.
    * @param {Data} d The element to add.
    * @returns {Promise<WitnessUpdate>} A witness of the element's membership.
+   * @throws {DuplicateMemberError} If the element is a member and duplicates are rejected.
+   * @throws {HashCollisionError} If members are tracked and the element maps to the same value as
+   * a member with different data.
    */
   async add(d) {
     tf(tf.tuple(type.Data), arguments)
-    // Map data to e in Zq.
-    const e = await map(this.H, d, this.n)
-    // Create witness before updating z.
-    const v = this.z
-    const w = this.z.multiply(this.c)
-    // Update z' = z ^ ((e + c) mod n).
-    this.z = this.z.multiply((e + this.c) % this.n)
-    // If Q is the point at infinity, Q = g, otherwise Q = Q ^ c.
-    this.Q = this.Q.equals(this.inf) ? this.g : this.Q.multiply(this.c)
-    const Q = this.Q.multiply(this.c)
-    // If i is Null, i = 0, otherwise i + 1.
-    this.i = this.i === null ? 0 : this.i + 1
-    // Create public component.
-    const {z, i} = this
-    return {d, z, v, w, Q, i}
+    return insert(this, d, await mapElement(this, d))
+  }
+
+  /**
+   * Synchronous version of [add](#Accumulator+add).
+   * @param {Data} d The element to add.
+   * @returns {WitnessUpdate} A witness of the element's membership.
+   */
+  addSync(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return insert(this, d, mapElementSync(this, d))
   }
 
   /**
    * Delete an element from the accumulation.
    * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
    * @returns {Promise<Update>} The updated public component.
+   * @throws {EmptyAccumulatorError} If the accumulation has no members.
+   * @throws {NotMemberError} If the witness does not prove the element's membership.
    */
-  async del({d, v, w}) {
+  async del(witness) {
     tf(tf.tuple(type.Witness), arguments)
-    // Verify element is a member.
-    assert(this.verify({d, v, w}), 'Accumulator does not contain d')
-    // Map data to e in Zq.
-    const e = await map(this.H, d, this.n)
-    // Update z' = z ^ ((e + c)^-1 mod n).
-    this.z = this.z.multiply(modInv((e + this.c) % this.n, this.n))
-    // If Q is g, Q = the point at infinity, otherwise Q = g ^ (c ^ -1).
-    const Q = this.Q
-    this.Q = this.Q.equals(this.g) ? this.inf : this.Q.multiply(modInv(this.c, this.n))
-    // If i is 0, i = Null, otherwise i = i - 1.
-    this.i = this.i === 0 ? null : this.i - 1
-    // Create public component.
-    const {z, i} = this
-    return {d, z, Q, i}
+    return removeWitnessed(this, witness, await mapElement(this, witness.d))
+  }
+
+  /**
+   * Synchronous version of [del](#Accumulator+del).
+   * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+   * @returns {Update} The updated public component.
+   */
+  delSync(witness) {
+    tf(tf.tuple(type.Witness), arguments)
+    return removeWitnessed(this, witness, mapElementSync(this, witness.d))
+  }
+
+  /**
+   * Delete an element from the accumulation without a witness of its membership. The accumulator
+   * uses its secret in place of the witness.
+   * @param {Data} d The element to delete.
+   * @returns {Promise<Update>} The updated public component.
+   * @throws {EmptyAccumulatorError} If the accumulation has no members.
+   * @throws {NotMemberError} If the element is not a member.
+   */
+  async delElement(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return remove(this, d, await mapElement(this, d))
+  }
+
+  /**
+   * Synchronous version of [delElement](#Accumulator+delElement).
+   * @param {Data} d The element to delete.
+   * @returns {Update} The updated public component.
+   */
+  delElementSync(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return remove(this, d, mapElementSync(this, d))
+  }
+
+  /**
+   * Add several elements to the accumulation in a single update.
+   * @param {Data[]} D The elements to add.
+   * @returns {Promise<BatchWitnessUpdate>} The aggregated update and a witness of each element's
+   * membership.
+   * @throws {DuplicateMemberError} If an element is a member or appears more than once in the
+   * batch and duplicates are rejected.
+   * @throws {HashCollisionError} If members are tracked and an element maps to the same value as
+   * another element with different data.
+   */
+  async addBatch(D) {
+    tf(tf.tuple(tf.arrayOf(type.Data)), arguments)
+    return insertBatch(this, D, await mapElements(this, D))
+  }
+
+  /**
+   * Synchronous version of [addBatch](#Accumulator+addBatch).
+   * @param {Data[]} D The elements to add.
+   * @returns {BatchWitnessUpdate} The aggregated update and a witness of each element's
+   * membership.
+   */
+  addBatchSync(D) {
+    tf(tf.tuple(tf.arrayOf(type.Data)), arguments)
+    return insertBatch(this, D, mapElementsSync(this, D))
+  }
+
+  /**
+   * Delete several elements from the accumulation in a single update.
+   * @param {(Witness[]|WitnessUpdate[])} witnesses A witness of each element's membership.
+   * @returns {Promise<BatchUpdate>} The aggregated update.
+   * @throws {EmptyAccumulatorError} If the accumulation has no members.
+   * @throws {NotMemberError} If a witness does not prove its element's membership.
+   * @throws {DuplicateMemberError} If the batch contains an element more than once and duplicates
+   * are rejected.
+   */
+  async delBatch(witnesses) {
+    tf(tf.tuple(tf.arrayOf(type.Witness)), arguments)
+    const D = witnesses.map(({d}) => d)
+    return removeWitnessedBatch(this, witnesses, await mapElements(this, D))
+  }
+
+  /**
+   * Synchronous version of [delBatch](#Accumulator+delBatch).
+   * @param {(Witness[]|WitnessUpdate[])} witnesses A witness of each element's membership.
+   * @returns {BatchUpdate} The aggregated update.
+   */
+  delBatchSync(witnesses) {
+    tf(tf.tuple(tf.arrayOf(type.Witness)), arguments)
+    const D = witnesses.map(({d}) => d)
+    return removeWitnessedBatch(this, witnesses, mapElementsSync(this, D))
+  }
+
+  /**
+   * Delete several elements from the accumulation in a single update without witnesses of their
+   * membership. The accumulator uses its secret in place of the witnesses.
+   * @param {Data[]} D The elements to delete.
+   * @returns {Promise<BatchUpdate>} The aggregated update.
+   * @throws {EmptyAccumulatorError} If the accumulation has no members.
+   * @throws {NotMemberError} If an element is not a member.
+   * @throws {DuplicateMemberError} If the batch contains an element more than once and duplicates
+   * are rejected.
+   */
+  async delElementBatch(D) {
+    tf(tf.tuple(tf.arrayOf(type.Data)), arguments)
+    return removeBatch(this, D, await mapElements(this, D))
+  }
+
+  /**
+   * Synchronous version of [delElementBatch](#Accumulator+delElementBatch).
+   * @param {Data[]} D The elements to delete.
+   * @returns {BatchUpdate} The aggregated update.
+   */
+  delElementBatchSync(D) {
+    tf(tf.tuple(tf.arrayOf(type.Data)), arguments)
+    return removeBatch(this, D, mapElementsSync(this, D))
   }
 
   /**
@@ -80,25 +247,321 @@ class Accumulator {
    * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
    * @returns {Promise<Boolean>} True if element is a member of the accumulation; false otherwise.
    */
-  async verify({d, v}) {
+  async verify(witness) {
+    tf(tf.tuple(type.Witness), arguments)
+    return isWitness(this, witness, await mapElement(this, witness.d))
+  }
+
+  /**
+   * Synchronous version of [verify](#Accumulator+verify).
+   * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+   * @returns {Boolean} True if element is a member of the accumulation; false otherwise.
+   */
+  verifySync(witness) {
     tf(tf.tuple(type.Witness), arguments)
-    // Map data to e in Zq.
-    const e = await map(this.H, d, this.n)
-    // Compare z and v ^ (map(e) + c mod n)
-    return this.z.equals(v.multiply((e + this.c) % this.n))
+    return isWitness(this, witness, mapElementSync(this, witness.d))
   }
 
   /**
    * Compute a proof of membership for an element.
    * @param {Data} d The element to prove.
    * @returns {Promise<Witness>} A witness of the element's membership.
+   * @throws {NotMemberError} If the element is not a member.
    */
   async prove(d) {
     tf(tf.tuple(type.Data), arguments)
-    const e = await map(this.H, d, this.n)
-    const v = this.z.multiply(modInv((e + this.c) % this.n, this.n))
-    const w = this.z.multiply(modInv(e, this.n))
-    return {d, v, w}
+    return proveMember(this, d, await mapElement(this, d))
+  }
+
+  /**
+   * Synchronous version of [prove](#Accumulator+prove).
+   * @param {Data} d The element to prove.
+   * @returns {Witness} A witness of the element's membership.
+   */
+  proveSync(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return proveMember(this, d, mapElementSync(this, d))
+  }
+
+  /**
+   * Verify several elements are all members of the accumulation with a single witness.
+   * @param {AggregateWitness} witness A witness of the elements' membership.
+   * @returns {Promise<Boolean>} True if every element is a member of the accumulation; false
+   * otherwise.
+   */
+  async verifyMany(witness) {
+    tf(tf.tuple(type.AggregateWitness), arguments)
+    return isAggregateWitness(this, witness, await mapElements(this, witness.D))
+  }
+
+  /**
+   * Synchronous version of [verifyMany](#Accumulator+verifyMany).
+   * @param {AggregateWitness} witness A witness of the elements' membership.
+   * @returns {Boolean} True if every element is a member of the accumulation; false otherwise.
+   */
+  verifyManySync(witness) {
+    tf(tf.tuple(type.AggregateWitness), arguments)
+    return isAggregateWitness(this, witness, mapElementsSync(this, witness.D))
+  }
+
+  /**
+   * Compute a single proof of membership for several elements. The size of the witness does not
+   * depend on the number of elements.
+   * @param {Data[]} D The elements to prove.
+   * @returns {Promise<AggregateWitness>} A witness of the elements' membership.
+   * @throws {InvalidArgumentError} If no elements are given.
+   * @throws {NotMemberError} If an element is not a member, or appears in D more times than it is a
+   * member.
+   */
+  async proveMany(D) {
+    tf(tf.tuple(tf.arrayOf(type.Data)), arguments)
+    return proveMembers(this, D, await mapElements(this, D))
+  }
+
+  /**
+   * Synchronous version of [proveMany](#Accumulator+proveMany).
+   * @param {Data[]} D The elements to prove.
+   * @returns {AggregateWitness} A witness of the elements' membership.
+   */
+  proveManySync(D) {
+    tf(tf.tuple(tf.arrayOf(type.Data)), arguments)
+    return proveMembers(this, D, mapElementsSync(this, D))
+  }
+
+  /**
+   * Verify an element is not a member of the accumulation.
+   * @param {NonMembershipWitness} witness A witness of the element's non-membership.
+   * @returns {Promise<Boolean>} True if element is not a member of the accumulation; false
+   * otherwise.
+   */
+  async verifyNonMembership(witness) {
+    tf(tf.tuple(type.NonMembershipWitness), arguments)
+    return isNonMembershipWitness(this, witness, await mapElement(this, witness.d))
+  }
+
+  /**
+   * Synchronous version of [verifyNonMembership](#Accumulator+verifyNonMembership).
+   * @param {NonMembershipWitness} witness A witness of the element's non-membership.
+   * @returns {Boolean} True if element is not a member of the accumulation; false otherwise.
+   */
+  verifyNonMembershipSync(witness) {
+    tf(tf.tuple(type.NonMembershipWitness), arguments)
+    return isNonMembershipWitness(this, witness, mapElementSync(this, witness.d))
+  }
+
+  /**
+   * Verify a proof of knowledge of a witness of membership, which does not reveal the element.
+   * @param {MembershipProof} proof The proof.
+   * @param {BigInt} [challenge] The challenge sent to the prover in an interactive proof. If not
+   * provided, the proof is verified as a non-interactive proof.
+   * @returns {Promise<Boolean>} True if the proof is valid; false otherwise.
+   */
+  async verifyProof(proof, challenge) {
+    tf(tf.tuple(type.MembershipProof, tf.maybe(type.BigInt)), arguments)
+    // Compare W and V ^ c, then verify knowledge of the blinding value and element.
+    const {hashToField} = this
+    return proof.W.equals(proof.V.multiply(this.c)) &&
+      await zk.verify(this.curve, this.H, this.z, proof, challenge, {hashToField})
+  }
+
+  /**
+   * Compute a proof of non-membership for an element.
+   * @param {Data} d The element to prove.
+   * @returns {Promise<NonMembershipWitness>} A witness of the element's non-membership.
+   * @throws {DuplicateMemberError} If the element is a member.
+   */
+  async proveNonMembership(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return proveNonMember(this, d, await mapElement(this, d))
+  }
+
+  /**
+   * Synchronous version of [proveNonMembership](#Accumulator+proveNonMembership).
+   * @param {Data} d The element to prove.
+   * @returns {NonMembershipWitness} A witness of the element's non-membership.
+   */
+  proveNonMembershipSync(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return proveNonMember(this, d, mapElementSync(this, d))
+  }
+
+  /**
+   * Check whether an element is a member of the accumulation. If members are tracked, an element
+   * with different data than the member it maps to is not a member.
+   * @param {Data} d The element to check.
+   * @returns {Promise<Boolean>} True if the element is a member; false otherwise.
+   */
+  async has(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return hasMember(this, d, await mapElement(this, d))
+  }
+
+  /**
+   * Synchronous version of [has](#Accumulator+has).
+   * @param {Data} d The element to check.
+   * @returns {Boolean} True if the element is a member; false otherwise.
+   */
+  hasSync(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return hasMember(this, d, mapElementSync(this, d))
+  }
+
+  /**
+   * The number of members of the accumulation, counting each copy of an element that was added
+   * more than once.
+   * @type {Number}
+   */
+  get size() {
+    return this.A.length
+  }
+
+  /**
+   * Compute the public key that a Verifier uses to verify witnesses. This requires the accumulator
+   * to have been constructed with a pairing curve.
+   * @returns {Promise<Point>} The generator of the second group raised to the secret value.
+   * @throws {InvalidArgumentError} If the accumulator was not constructed with a pairing curve.
+   */
+  async publicKey() {
+    if (!this.pairing) {
+      throw new InvalidArgumentError('Accumulator was not constructed with a pairing curve')
+    }
+    return this.pairing.G2.ProjectivePoint.BASE.multiply(this.c)
+  }
+
+  /**
+   * Replace the secret with a new one. The accumulation and public components are rebuilt for the
+   * current members, so every witness issued under the old secret becomes invalid. The returned
+   * update carries the new public components, which cannot be computed without the secret, and
+   * must be applied by each Prover with [migrate](#Prover+migrate). A Verifier must be
+   * constructed again with the new public key.
+   * @param {BigInt} [c] The new secret. If not provided, a random secret is generated.
+   * @returns {Promise<RotationUpdate>} The update that migrates provers to the new secret.
+   * @throws {InvalidArgumentError} If the new secret is out of range or equal to the current
+   * secret.
+   */
+  async rotate(c) {
+    tf(tf.tuple(tf.maybe(type.BigInt)), arguments)
+    const {g, n} = this
+    c = c === undefined ? randBetween(n - 1n) : c
+    if (c <= 0n || c >= n) {
+      throw new InvalidArgumentError('Secret is not in the range of the group order')
+    }
+    if (c === this.c) {
+      throw new InvalidArgumentError('New secret is the current secret')
+    }
+    // Rebuild z = g ^ (product of (e + c) mod n) over the current members.
+    this.z = g.multiply(this.A.reduce((product, e) => (product * (e + c)) % n, 1n))
+    // Compute Q0 = g through Qi+1 = g ^ (c ^ (i + 1)) for the new secret.
+    const Q = [g].concat(this.A.map((e, k) => g.multiply(modPow(c, BigInt(k + 1), n))))
+    this.Q = this.i === null ? this.inf : Q[this.i]
+    this.c = c
+    const {z, i} = this
+    return sequence(this, 'rotate', {z, Q, i})
+  }
+
+  /**
+   * Iterate over the updates published by the accumulator in order. Retained updates starting
+   * from the given sequence number are replayed first, then each update is yielded as it is
+   * published. The accumulator is also an async iterable of the updates it publishes from the
+   * time iteration begins.
+   * @param {Number} [from] The sequence number of the first update. Defaults to the next update.
+   * @param {Object} [options] Optional settings.
+   * @param {AbortSignal} [options.signal] A signal that ends the iteration when aborted.
+   * @returns {AsyncIterableIterator<Object>} The updates, which are those returned by the methods
+   * that modify the accumulation.
+   * @throws {UpdateGapError} If an update to replay is no longer retained.
+   * @throws {InvalidArgumentError} If the first update is after the next update.
+   */
+  updates(from, options = {}) {
+    tf(tf.tuple(tf.maybe(tf.UInt32), tf.maybe(type.StreamOptions)), arguments)
+    return subscribe(this, from, options.signal)
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.updates()
+  }
+
+  /**
+   * Export a checkpoint of the accumulation from which a new Prover can be constructed. The
+   * checkpoint contains only public information.
+   * @returns {Promise<Checkpoint>} The checkpoint.
+   */
+  async checkpoint() {
+    // Compute Q0 = g through Qi+1 = g ^ (c ^ (i + 1)) from the base point.
+    const Q = [this.g].concat(this.A.map((e, k) => {
+      return this.g.multiply(modPow(this.c, BigInt(k + 1), this.n))
+    }))
+    const {z, i, seq, link} = this
+    return {z, Q, A: this.A.slice(), i, seq, link}
+  }
+
+  /**
+   * Take a snapshot of the accumulator's state that can be serialized as JSON. The secret is left
+   * out of the snapshot unless requested, in which case the snapshot must be handled as securely
+   * as the secret itself.
+   * @param {Boolean} [includeSecret] True to include the secret in the snapshot.
+   * @returns {Promise<Snapshot>} The snapshot.
+   */
+  async toSnapshot(includeSecret = false) {
+    tf(tf.tuple(tf.maybe(tf.Boolean)), arguments)
+    const {curve} = this
+    const state = {
+      z: encoding.Point.toJSON(curve, this.z),
+      Q: encoding.Point.toJSON(curve, this.Q),
+      i: this.i,
+      seq: this.seq,
+      link: this.link,
+      A: this.A.map(e => e.toString(16)),
+      duplicates: this.duplicates,
+      members: membersToJSON(this),
+      hashToField: hashToFieldToJSON(this),
+      // A commitment to the secret that allows a separately stored secret to be checked on restore.
+      commitment: encoding.Point.toJSON(curve, this.g.multiply(this.c)),
+    }
+    if (includeSecret) {
+      state.c = this.c.toString(16)
+    }
+    return await snapshot.seal('Accumulator', curve, this.H, state)
+  }
+
+  /**
+   * Restore an accumulator from a snapshot.
+   * @param {(Curve|PairingCurve)} curve An object containing the curve parameters.
+   * @param {(String|function)} H The name of a hash algorithm or a function that returns a digest
+   * for an input String or Buffer.
+   * @param {(Snapshot|String)} s The snapshot, parsed or unparsed.
+   * @param {BigInt} [c] The secret, which is required if the snapshot does not include it.
+   * @param {Object} [options] Optional settings, which are the same as those of the constructor.
+   * The duplicate policy is restored from the snapshot, and members are tracked if they were
+   * tracked when the snapshot was taken.
+   * @returns {Promise<Accumulator>} The restored accumulator.
+   * @throws {InvalidArgumentError} If the snapshot is not valid or does not match the secret.
+   */
+  static async fromSnapshot(curve, H, s, c, options) {
+    tf(tf.tuple(tf.oneOf(type.Curve, type.PairingCurve), type.Hash,
+      tf.oneOf(type.Snapshot, tf.String), tf.maybe(type.BigInt), tf.maybe(type.MemberOptions)),
+      arguments)
+    const group = type.isPairingCurve(curve) ? curve.G1 : curve
+    const state = await snapshot.open('Accumulator', group, H, s, type.AccumulatorState)
+    if (c === undefined) {
+      if (typeof(state.c) !== 'string') {
+        throw new InvalidArgumentError('Snapshot does not include the secret')
+      }
+      c = BigInt('0x' + state.c)
+    }
+    const accumulator = new Accumulator(curve, H, c, restoreOptions(state, options))
+    const commitment = encoding.Point.fromJSON(group, state.commitment)
+    if (!accumulator.g.multiply(c).equals(commitment)) {
+      throw new InvalidArgumentError('Secret does not match snapshot')
+    }
+    accumulator.z = encoding.Point.fromJSON(group, state.z)
+    accumulator.Q = encoding.Point.fromJSON(group, state.Q)
+    accumulator.i = state.i
+    accumulator.seq = state.seq
+    accumulator.link = state.link
+    accumulator.A = state.A.map(e => BigInt('0x' + e))
+    membersFromJSON(accumulator, state.members)
+    return accumulator
   }
 
 }
@@ -111,152 +574,2076 @@ class Prover {
    * @param {Curve} curve An object containing the curve parameters.
    * @param {(String|function)} H The name of a hash algorithm or a function that produces a
    * digest for an input String or Buffer.
+   * @param {Checkpoint} [checkpoint] An optional checkpoint exported by the Accumulator. If
+   * provided, the prover starts from the checkpoint instead of from an empty accumulation.
+   * @param {Object} [options] Optional settings.
+   * @param {Boolean} [options.strict] True to check that each update is consistent with the state
+   * of the prover before applying it. Updates that fail are rejected and recorded in `rejected`.
+   * Checking an update takes time quadratic in the number of members.
+   * @param {String} [options.duplicates] The duplicate policy, which must match the policy of the
+   * Accumulator. Updates that add an element that is already a member are rejected if the policy
+   * is 'reject'. Defaults to 'reject'.
+   * @param {Boolean} [options.track] True to record the data of each member added after the
+   * prover is constructed, which allows hash collisions between different data to be detected.
+   * @param {HashToField} [options.hashToField] Options to map elements to Zq with hash_to_field
+   * from RFC 9380 instead of reducing a digest modulo the group order. The options must match
+   * those of the Accumulator.
    */
-  constructor(curve, H) {
-    tf(tf.tuple(type.Curve, type.Hash), arguments)
-    this.inf = curve.ProjectivePoint.ZERO
-    this.n = curve.CURVE.n
+  constructor(curve, H, checkpoint, options = {}) {
+    tf(tf.tuple(type.Curve, type.Hash, tf.maybe(type.Checkpoint), tf.maybe(type.ProverOptions)),
+      arguments)
+    this.curve = curves.adapt(curve)
+    this.inf = this.curve.ZERO
+    this.n = this.curve.n
     this.H = H
     this.A = []
-    this.Q = [curve.ProjectivePoint.BASE]
+    this.Q = [this.curve.BASE]
     this.i = null
     this.z = undefined
+    this.seq = 0
+    this.link = GENESIS
+    this.strict = Boolean(options.strict)
+    this.rejected = []
+    this.duplicates = options.duplicates || 'reject'
+    this.members = options.track ? new Map() : null
+    this.hashToField = options.hashToField || null
+    if (checkpoint) {
+      const {z, Q, A, i, seq, link} = checkpoint
+      // There is one member for each index and one power of the secret more than members.
+      if (A.length !== (i === null ? 0 : i + 1)) {
+        throw new InvalidArgumentError('Checkpoint members do not match index')
+      }
+      if (Q.length !== A.length + 1) {
+        throw new InvalidArgumentError('Checkpoint public components do not match index')
+      }
+      if (!Q[0].equals(this.Q[0])) {
+        throw new InvalidArgumentError('Checkpoint does not start at the base point')
+      }
+      if (this.duplicates === 'reject' && new Set(A).size !== A.length) {
+        throw new DuplicateMemberError('Checkpoint contains an element more than once')
+      }
+      if (this.strict && !z.equals(accumulate(this.inf, Q, A, this.n))) {
+        throw new InvalidArgumentError(
+          'Checkpoint accumulation does not match members and public components')
+      }
+      this.A = A.slice()
+      this.Q = Q.slice()
+      this.i = i
+      this.z = z
+      this.seq = seq
+      this.link = link
+    }
   }
 
   /**
    * Update membership data. This must be called after any element is added or deleted from the
-   * accumulation.
+   * accumulation, in the order of the updates. An update that does not directly follow the last
+   * update applied is rejected without changing any state.
    * @param {(Update|WitnessUpdate)} updateOrWitness An update or witness.
+   * @throws {DuplicateUpdateError} If the update has already been applied.
+   * @throws {UpdateGapError} If an earlier update has not been applied.
+   * @throws {BrokenLinkError} If the update does not link to the last update applied.
+   * @throws {InvalidUpdateError} If the prover is strict and the update is not consistent with
+   * its state.
+   * @throws {DuplicateMemberError} If the update adds an element that is already a member and
+   * duplicates are rejected.
+   * @throws {HashCollisionError} If members are tracked and the update adds an element that maps
+   * to the same value as a member with different data.
    */
-  async update({d, z, Q, i}) {
+  async update(update) {
     tf(tf.tuple(type.Update), arguments)
-    // Map data to e in Zq.
-    const e = await map(this.H, d, this.n)
-    if (i === null || i < this.i) {
-      // Delete removed element if i < current index.
-      this.A = this.A.filter(v => v !== e)
-    } else {
-      // Add element.
-      this.A.push(e)
-    }
-    // Add public component.
-    if (i === null) {
-      this.Q[1] = Q
-    } else {
-      this.Q[i + 1] = Q
-    }
-    // Update i.
-    this.i = i
-    // Update accumulation.
-    this.z = z
+    const {d, Q, i} = update
+    // The public component is Qi+1, or Q0 if no members remain.
+    const components = [[i === null ? 0 : i + 1, Q]]
+    apply(this, update, [d], [await mapElement(this, d)], components)
+  }
+
+  /**
+   * Synchronous version of [update](#Prover+update).
+   * @param {(Update|WitnessUpdate)} updateOrWitness An update or witness.
+   */
+  updateSync(update) {
+    tf(tf.tuple(type.Update), arguments)
+    const {d, Q, i} = update
+    const components = [[i === null ? 0 : i + 1, Q]]
+    apply(this, update, [d], [mapElementSync(this, d)], components)
+  }
+
+  /**
+   * Update membership data with an aggregated update of several elements. The update is applied
+   * atomically.
+   * @param {(BatchUpdate|BatchWitnessUpdate)} update An aggregated update.
+   * @throws {DuplicateUpdateError} If the update has already been applied.
+   * @throws {UpdateGapError} If an earlier update has not been applied.
+   * @throws {BrokenLinkError} If the update does not link to the last update applied.
+   * @throws {InvalidUpdateError} If the prover is strict and the update is not consistent with
+   * its state.
+   * @throws {DuplicateMemberError} If the update adds an element that is already a member, or adds
+   * an element more than once, and duplicates are rejected.
+   * @throws {HashCollisionError} If members are tracked and the update adds an element that maps
+   * to the same value as another element with different data.
+   */
+  async updateBatch(update) {
+    tf(tf.tuple(type.BatchUpdate), arguments)
+    const {D} = update
+    apply(this, update, D, await mapElements(this, D), batchComponents(update))
+  }
+
+  /**
+   * Synchronous version of [updateBatch](#Prover+updateBatch).
+   * @param {(BatchUpdate|BatchWitnessUpdate)} update An aggregated update.
+   */
+  updateBatchSync(update) {
+    tf(tf.tuple(type.BatchUpdate), arguments)
+    const {D} = update
+    apply(this, update, D, mapElementsSync(this, D), batchComponents(update))
+  }
+
+  /**
+   * Migrate to the secret of a rotated accumulation by replacing the public components with those
+   * of the update. Members are unchanged.
+   * @param {RotationUpdate} update The update returned by [rotate](#Accumulator+rotate).
+   * @throws {DuplicateUpdateError} If the update has already been applied.
+   * @throws {UpdateGapError} If an earlier update has not been applied.
+   * @throws {BrokenLinkError} If the update does not link to the last update applied.
+   * @throws {InvalidUpdateError} If the public components do not match the members, or the prover
+   * is strict and the accumulation does not match the members and public components.
+   */
+  async migrate(update) {
+    tf(tf.tuple(type.RotationUpdate), arguments)
+    migrate(this, update)
+  }
+
+  /**
+   * Follow a stream of updates, applying each in order as it arrives. The source is an accumulator
+   * or any object with an `updates(from)` method like [updates](#Accumulator+updates), which is
+   * asked to replay from the prover's next update, or any iterable of updates. Updates may be
+   * objects or their binary or JSON encodings, which are decoded, so the stream can come from
+   * another process over any transport. Updates the prover has already applied are skipped.
+   * @param {UpdateSource} source The source of the updates.
+   * @returns {Follower} The follower, which reports the sync status and stops following.
+   */
+  follow(source) {
+    tf(tf.tuple(type.UpdateSource), arguments)
+    return new Follower(this, source)
   }
 
   /**
    * Compute a proof of membership for an element.
    * @param {Data} d The element to prove.
    * @returns {Promise<Witness>} A witness of the element's membership.
+   * @throws {NotMemberError} If the element is not a member.
    */
   async prove(d) {
     tf(tf.tuple(type.Data), arguments)
-    // Map data to e in Zq.
-    const e = await map(this.H, d, this.n)
-    // Collect all elements except element being proven.
-    const A = this.A.filter(v => v !== e)
-    // For each group size up to i, combinate elements and compute the coefficient of Qi.
-    const coefficients = []
-    for (let i = 0; i <= this.i; i++) {
-      coefficients.push(combinate(i, A).reduce((sum, group) => {
-        return (sum + group.reduce((product, e) => (product * e) % this.n, 1n)) % this.n
-      }, 0n))
-    }
-    // Compute product of coefficients and Qis.
-    let v = this.inf
-    let w = this.inf
-    for (let i = 0; i <= this.i; i++) {
-      v = v.add(this.Q[this.i - i + 0].multiply(coefficients[i]))
-      w = w.add(this.Q[this.i - i + 1].multiply(coefficients[i]))
-    }
-    return {d, v, w}
+    return computeWitness(this, d, await mapElement(this, d))
+  }
+
+  /**
+   * Synchronous version of [prove](#Prover+prove).
+   * @param {Data} d The element to prove.
+   * @returns {Witness} A witness of the element's membership.
+   */
+  proveSync(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return computeWitness(this, d, mapElementSync(this, d))
   }
 
   /**
    * Verify an element is a member of the accumulation.
    * @param {(Witness|WitnessUpdate)} updateOrWitness An update or witness.
    * @returns {Promise<Boolean>} True if element is a member of the accumulation; false otherwise.
+   * @throws {EmptyAccumulatorError} If the prover has not received an accumulation.
    */
-  async verify({d, v, w}) {
+  async verify(witness) {
     tf(tf.tuple(type.Witness), arguments)
-    // Map data to e in Zq.
-    const e = await map(this.H, d, this.n)
-    // Compare z and (v ^ map(e)) * w
-    return this.z.equals(v.multiply(e).add(w))
+    checkAccumulation(this)
+    return checkWitness(this, witness, await mapElement(this, witness.d))
   }
 
-}
+  /**
+   * Synchronous version of [verify](#Prover+verify).
+   * @param {(Witness|WitnessUpdate)} updateOrWitness An update or witness.
+   * @returns {Boolean} True if element is a member of the accumulation; false otherwise.
+   */
+  verifySync(witness) {
+    tf(tf.tuple(type.Witness), arguments)
+    checkAccumulation(this)
+    return checkWitness(this, witness, mapElementSync(this, witness.d))
+  }
 
-/**
- * Return a hex string representing the data in a buffer.
- * @param {Buffer} buffer The buffer to hexlify.
- * @returns {String} The hex representation of the buffer.
- * @private
- */
-function bufferToHex(buffer) {
-  return [...new Uint8Array(buffer)].map(x => x.toString(16).padStart(2, '0')).join('')
-}
+  /**
+   * Compute a single proof of membership for several elements. The size of the witness does not
+   * depend on the number of elements.
+   * @param {Data[]} D The elements to prove.
+   * @returns {Promise<AggregateWitness>} A witness of the elements' membership.
+   * @throws {InvalidArgumentError} If no elements are given.
+   * @throws {NotMemberError} If an element is not a member, or appears in D more times than it is a
+   * member.
+   */
+  async proveMany(D) {
+    tf(tf.tuple(tf.arrayOf(type.Data)), arguments)
+    return computeAggregateWitness(this, D, await mapElements(this, D))
+  }
 
-/**
- * Maps some data to an element in the set Zq.
- * @param {String|function} H A hash function.
- * @param {Data} d The data to be mapped.
- * @param {BigInt} The group order of the curve.
- * @returns {Promise<BigInt>} The mapped element.
- * @private
- */
-async function map(H, d, n) {
-  tf(tf.tuple(type.Hash, type.Data, type.BigInt), arguments)
-  let hash
-  if (typeof(H) === 'string') {
-    hash = async d => await subtle.digest(H, d)
-  } else {
-    hash = H
+  /**
+   * Synchronous version of [proveMany](#Prover+proveMany).
+   * @param {Data[]} D The elements to prove.
+   * @returns {AggregateWitness} A witness of the elements' membership.
+   */
+  proveManySync(D) {
+    tf(tf.tuple(tf.arrayOf(type.Data)), arguments)
+    return computeAggregateWitness(this, D, mapElementsSync(this, D))
   }
-  if (typeof(d) === 'string') {
-    const encoder = new TextEncoder()
-    d = encoder.encode(d)
+
+  /**
+   * Verify several elements are all members of the accumulation with a single witness. Without
+   * the secret, the prover checks the witness by computing it again from its own members and
+   * public components.
+   * @param {AggregateWitness} witness A witness of the elements' membership.
+   * @returns {Promise<Boolean>} True if every element is a member of the accumulation; false
+   * otherwise.
+   * @throws {EmptyAccumulatorError} If the prover has not received an accumulation.
+   */
+  async verifyMany(witness) {
+    tf(tf.tuple(type.AggregateWitness), arguments)
+    checkAccumulation(this)
+    return checkAggregateWitness(this, witness, await mapElements(this, witness.D))
   }
-  // Compute digest modulo the group order.
-  const buf = await hash(d)
-  return BigInt('0x' + bufferToHex(buf)) % n
-}
 
-/**
- * Produces all combinations of sized groups of supplied elements.
- * @example assert.deepEqual(combinate(3, [a, b, c]), [[a, b, c]])
- * @example assert.deepEqual(combinate(2, [a, b, c]), [[a, b], [a, c], [b, c]])
- * @example assert.deepEqual(combinate(1, [a, b, c]), [[a], [b], [c]])
- * @example assert.deepEqual(combinate(0, [a, b, c]), [[]])
- * @param {Number} size The size of each group.
- * @param {Array} elements Array of elements that will be selected from when forming groups.
- * @param {Array[]} [combinations] Combinations computed so far.
- * @param {Array} [group] Group currently being combinated.
- * @returns {Array[]} Combinations of elements.
- * @private
- */
-function combinate(size, elements, combinations = [], group = []) {
-  tf(tf.tuple(tf.Number, tf.Array, tf.maybe(tf.Array), tf.maybe(tf.Array)), arguments)
-  if (group.length < size) {
-    // If group size is less than specified size, combinate on each remaining element.
-    for (let i = 0; i < elements.length; i++) {
-      combinate(size, elements.slice(i + 1), combinations, group.concat([elements[i]]))
-    }
-  } else {
-    // Otherwise, push group to completed combinations collection.
-    combinations.push(group)
+  /**
+   * Synchronous version of [verifyMany](#Prover+verifyMany).
+   * @param {AggregateWitness} witness A witness of the elements' membership.
+   * @returns {Boolean} True if every element is a member of the accumulation; false otherwise.
+   */
+  verifyManySync(witness) {
+    tf(tf.tuple(type.AggregateWitness), arguments)
+    checkAccumulation(this)
+    return checkAggregateWitness(this, witness, mapElementsSync(this, witness.D))
   }
-  return combinations
-}
 
-module.exports = {
-  Accumulator,
-  Prover,
-}
+  /**
+   * Verify a proof of knowledge of a witness of membership, which does not reveal the element.
+   * Like Prover.verify, this cannot check that the witness was raised to the secret value.
+   * @param {MembershipProof} proof The proof.
+   * @param {BigInt} [challenge] The challenge sent to the prover in an interactive proof. If not
+   * provided, the proof is verified as a non-interactive proof.
+   * @returns {Promise<Boolean>} True if the proof is valid; false otherwise.
+   * @throws {EmptyAccumulatorError} If the prover has not received an accumulation.
+   */
+  async verifyProof(proof, challenge) {
+    tf(tf.tuple(type.MembershipProof, tf.maybe(type.BigInt)), arguments)
+    checkAccumulation(this)
+    const {hashToField} = this
+    return await zk.verify(this.curve, this.H, this.z, proof, challenge, {hashToField})
+  }
+
+  /**
+   * Compute a proof of non-membership for an element.
+   * @param {Data} d The element to prove.
+   * @returns {Promise<NonMembershipWitness>} A witness of the element's non-membership.
+   * @throws {DuplicateMemberError} If the element is a member.
+   */
+  async proveNonMembership(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return computeNonMembershipWitness(this, d, await mapElement(this, d))
+  }
+
+  /**
+   * Synchronous version of [proveNonMembership](#Prover+proveNonMembership).
+   * @param {Data} d The element to prove.
+   * @returns {NonMembershipWitness} A witness of the element's non-membership.
+   */
+  proveNonMembershipSync(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return computeNonMembershipWitness(this, d, mapElementSync(this, d))
+  }
+
+  /**
+   * Verify an element is not a member of the accumulation.
+   * @param {NonMembershipWitness} witness A witness of the element's non-membership.
+   * @returns {Promise<Boolean>} True if element is not a member of the accumulation; false
+   * otherwise.
+   * @throws {EmptyAccumulatorError} If the prover has not received an accumulation.
+   */
+  async verifyNonMembership(witness) {
+    tf(tf.tuple(type.NonMembershipWitness), arguments)
+    checkAccumulation(this)
+    return checkNonMembershipWitness(this, witness, await mapElement(this, witness.d))
+  }
+
+  /**
+   * Synchronous version of [verifyNonMembership](#Prover+verifyNonMembership).
+   * @param {NonMembershipWitness} witness A witness of the element's non-membership.
+   * @returns {Boolean} True if element is not a member of the accumulation; false otherwise.
+   */
+  verifyNonMembershipSync(witness) {
+    tf(tf.tuple(type.NonMembershipWitness), arguments)
+    checkAccumulation(this)
+    return checkNonMembershipWitness(this, witness, mapElementSync(this, witness.d))
+  }
+
+  /**
+   * Check whether an element is a member of the accumulation. If members are tracked, an element
+   * with different data than the member it maps to is not a member.
+   * @param {Data} d The element to check.
+   * @returns {Promise<Boolean>} True if the element is a member; false otherwise.
+   */
+  async has(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return hasMember(this, d, await mapElement(this, d))
+  }
+
+  /**
+   * Synchronous version of [has](#Prover+has).
+   * @param {Data} d The element to check.
+   * @returns {Boolean} True if the element is a member; false otherwise.
+   */
+  hasSync(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return hasMember(this, d, mapElementSync(this, d))
+  }
+
+  /**
+   * The number of members of the accumulation, counting each copy of an element that was added
+   * more than once.
+   * @type {Number}
+   */
+  get size() {
+    return this.A.length
+  }
+
+  /**
+   * Take a snapshot of the prover's state that can be serialized as JSON.
+   * @returns {Promise<Snapshot>} The snapshot.
+   */
+  async toSnapshot() {
+    const {curve} = this
+    return await snapshot.seal('Prover', curve, this.H, {
+      A: this.A.map(e => e.toString(16)),
+      Q: this.Q.map(Q => encoding.Point.toJSON(curve, Q)),
+      i: this.i,
+      z: this.z === undefined ? null : encoding.Point.toJSON(curve, this.z),
+      seq: this.seq,
+      link: this.link,
+      duplicates: this.duplicates,
+      members: membersToJSON(this),
+      hashToField: hashToFieldToJSON(this),
+    })
+  }
+
+  /**
+   * Restore a prover from a snapshot.
+   * @param {Curve} curve An object containing the curve parameters.
+   * @param {(String|function)} H The name of a hash algorithm or a function that produces a
+   * digest for an input String or Buffer.
+   * @param {(Snapshot|String)} s The snapshot, parsed or unparsed.
+   * @param {Object} [options] Optional settings, which are the same as those of the constructor.
+   * The duplicate policy is restored from the snapshot, and members are tracked if they were
+   * tracked when the snapshot was taken.
+   * @returns {Promise<Prover>} The restored prover.
+   * @throws {InvalidArgumentError} If the snapshot is not valid.
+   */
+  static async fromSnapshot(curve, H, s, options) {
+    tf(tf.tuple(type.Curve, type.Hash, tf.oneOf(type.Snapshot, tf.String),
+      tf.maybe(type.ProverOptions)), arguments)
+    const state = await snapshot.open('Prover', curve, H, s, type.ProverState)
+    const prover = new Prover(curve, H, undefined, restoreOptions(state, options))
+    prover.A = state.A.map(e => BigInt('0x' + e))
+    prover.Q = state.Q.map(Q => encoding.Point.fromJSON(curve, Q))
+    prover.i = state.i
+    prover.z = state.z === null ? undefined : encoding.Point.fromJSON(curve, state.z)
+    prover.seq = state.seq
+    prover.link = state.link
+    membersFromJSON(prover, state.members)
+    return prover
+  }
+
+  /**
+   * Construct a prover by replaying the updates recorded in a log. The log is verified, and the
+   * accumulation of the prover after each checkpoint's entry must match the checkpoint, including
+   * the last checkpoint, which must be at the last entry.
+   * @param {Curve} curve An object containing the curve parameters.
+   * @param {(String|function)} H The name of a hash algorithm or a function that produces a
+   * digest for an input String or Buffer.
+   * @param {(AuditLog|String)} l The log, parsed or unparsed.
+   * @param {(KeyObject|String|Buffer)} key The public key that signs checkpoints.
+   * @param {Object} [options] Optional settings, which are the same as those of the constructor.
+   * @returns {Promise<Prover>} The prover.
+   * @throws {InvalidLogError} If the log is not valid, or replaying it does not reach the
+   * accumulation of a checkpoint.
+   */
+  static async fromLog(curve, H, l, key, options) {
+    tf(tf.tuple(type.Curve, type.Hash, tf.oneOf(tf.Object, tf.String), type.AsymmetricKey,
+      tf.maybe(type.ProverOptions)), arguments)
+    const {updates, checkpoints} = log.read(curve, l, key)
+    if (checkpoints.length === 0 || checkpoints.at(-1).seq !== updates.length) {
+      throw new InvalidLogError('Log does not end with a signed checkpoint', updates.length)
+    }
+    const prover = new Prover(curve, H, undefined, options)
+    let k = 0
+    for (let update of updates) {
+      try {
+        await applyUpdate(prover, update)
+      } catch (err) {
+        // A tampered log can also add a member twice or an element that collides with one.
+        const rejected = [InvalidUpdateError, DuplicateMemberError, HashCollisionError,
+          NotMemberError, EmptyAccumulatorError]
+        if (!rejected.some(E => err instanceof E)) {
+          throw err
+        }
+        const reason = err instanceof InvalidUpdateError ? err.reason : err.message
+        throw new InvalidLogError('Update cannot be applied: ' + reason, update.seq)
+      }
+      for (; k < checkpoints.length && checkpoints[k].seq === update.seq; k++) {
+        if (!matchesCheckpoint(prover, checkpoints[k])) {
+          throw new InvalidLogError('Accumulation does not match the checkpoint', update.seq)
+        }
+      }
+    }
+    return prover
+  }
+
+}
+
+class Verifier {
+
+  /**
+   * Creates a verifier. A Verifier is an untrusted party that holds only the public key of the
+   * Accumulator and the current accumulation, and verifies witnesses using a pairing.
+   * @param {PairingCurve} curve An object containing the pairing curve parameters.
+   * @param {(String|function)} H The name of a hash algorithm or a function that produces a
+   * digest for an input String or Buffer.
+   * @param {Point} publicKey The public key of the Accumulator.
+   * @param {Point} z The current accumulation.
+   * @param {Object} [options] Optional settings.
+   * @param {HashToField} [options.hashToField] Options to map elements to Zq with hash_to_field
+   * from RFC 9380, which must match those of the Accumulator.
+   */
+  constructor(curve, H, publicKey, z, options = {}) {
+    tf(tf.tuple(type.PairingCurve, type.Hash, type.Point, type.Point, tf.maybe(type.MapOptions)),
+      arguments)
+    if (!(publicKey instanceof curve.G2.ProjectivePoint)) {
+      throw new InvalidPointError('Public key is not in the second group')
+    }
+    if (!(z instanceof curve.G1.ProjectivePoint)) {
+      throw new InvalidPointError('Accumulation is not in the first group')
+    }
+    this.curve = curve
+    this.n = curve.G1.CURVE.n
+    this.H = H
+    this.hashToField = options.hashToField || null
+    this.publicKey = publicKey
+    this.z = z
+  }
+
+  /**
+   * Update the accumulation. This must be called after any element is added or deleted from the
+   * accumulation.
+   * @param {(Update|WitnessUpdate|BatchUpdate)} update An update.
+   * @throws {InvalidUpdateError} If the update rotates the secret, which changes the public key.
+   */
+  async update({z, op, seq}) {
+    tf(tf.tuple(tf.object({z: type.Point})), arguments)
+    if (op === 'rotate') {
+      throw new InvalidUpdateError('the public key changes with the secret', seq)
+    }
+    if (!(z instanceof this.curve.G1.ProjectivePoint)) {
+      throw new InvalidPointError('Accumulation is not in the first group')
+    }
+    this.z = z
+  }
+
+  /**
+   * Verify an element is a member of the accumulation.
+   * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+   * @returns {Promise<Boolean>} True if element is a member of the accumulation; false otherwise.
+   */
+  async verify(witness) {
+    tf(tf.tuple(type.Witness), arguments)
+    return pair(this, witness, await mapElement(this, witness.d))
+  }
+
+  /**
+   * Synchronous version of [verify](#Verifier+verify).
+   * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+   * @returns {Boolean} True if element is a member of the accumulation; false otherwise.
+   */
+  verifySync(witness) {
+    tf(tf.tuple(type.Witness), arguments)
+    return pair(this, witness, mapElementSync(this, witness.d))
+  }
+
+  /**
+   * Verify a proof of knowledge of a witness of membership, which does not reveal the element.
+   * @param {MembershipProof} proof The proof.
+   * @param {BigInt} [challenge] The challenge sent to the prover in an interactive proof. If not
+   * provided, the proof is verified as a non-interactive proof.
+   * @returns {Promise<Boolean>} True if the proof is valid; false otherwise.
+   */
+  async verifyProof(proof, challenge) {
+    tf(tf.tuple(type.MembershipProof, tf.maybe(type.BigInt)), arguments)
+    const {G1, G2, pairing, fields: {Fp12}} = this.curve
+    const {V, W} = proof
+    if (!(V instanceof G1.ProjectivePoint) || V.equals(G1.ProjectivePoint.ZERO) ||
+      !(W instanceof G1.ProjectivePoint) || W.equals(G1.ProjectivePoint.ZERO)) {
+      return false
+    }
+    // Compare pairing(W, h) and pairing(V, h ^ c), then verify knowledge of the blinding value
+    // and element.
+    const h = G2.ProjectivePoint.BASE
+    const {hashToField} = this
+    return Fp12.eql(pairing(W, h), pairing(V, this.publicKey)) &&
+      await zk.verify(G1, this.H, this.z, proof, challenge, {hashToField})
+  }
+
+}
+
+class WitnessHolder {
+
+  /**
+   * Creates a witness holder. A WitnessHolder is an untrusted party that holds the witness of a
+   * single element and keeps it valid using only the updates published by the Accumulator. Every
+   * update must be applied in order, and replayed or skipped updates are rejected like they are by
+   * a Prover. Aggregated updates of several elements cannot be applied.
+   * @param {Curve} curve An object containing the curve parameters.
+   * @param {(String|function)} H The name of a hash algorithm or a function that produces a
+   * digest for an input String or Buffer.
+   * @param {(WitnessUpdate|HeldWitness)} witness The update that added the element, or a witness
+   * of the element's membership along with the accumulation, index, sequence number and link it
+   * is valid for.
+   * @param {Object} [options] Optional settings.
+   * @param {HashToField} [options.hashToField] Options to map elements to Zq with hash_to_field
+   * from RFC 9380, which must match those of the Accumulator.
+   */
+  constructor(curve, H, witness, options = {}) {
+    tf(tf.tuple(type.Curve, type.Hash, type.HeldWitness, tf.maybe(type.MapOptions)), arguments)
+    this.curve = curves.adapt(curve)
+    this.n = this.curve.n
+    this.H = H
+    this.hashToField = options.hashToField || null
+    const {d, v, w, z, i, seq} = witness
+    const link = witness.link === undefined ? encoding.link(this.curve, witness) : witness.link
+    Object.assign(this, {d, v, w, z, i, seq, link})
+  }
+
+  /**
+   * Update the witness. This must be called after any element is added or deleted from the
+   * accumulation.
+   * @param {(Update|WitnessUpdate)} update An update.
+   * @throws {DuplicateUpdateError} If the update has already been applied.
+   * @throws {UpdateGapError} If the update skips ahead of the next update.
+   * @throws {BrokenLinkError} If the update does not link to the last update applied.
+   * @throws {InvalidUpdateError} If the update is out of sequence.
+   * @throws {NotMemberError} If the update deletes the element of the witness.
+   */
+  async update(update) {
+    tf(tf.tuple(type.Update), arguments)
+    const e = await mapElement(this, this.d)
+    const f = await mapElement(this, update.d)
+    // Check the sequence after mapping so that no other update can be applied before this one.
+    checkHeldSequence(this, update)
+    updateHeld(this, update, e, f)
+  }
+
+  /**
+   * Synchronous version of [update](#WitnessHolder+update).
+   * @param {(Update|WitnessUpdate)} update An update.
+   */
+  updateSync(update) {
+    tf(tf.tuple(type.Update), arguments)
+    checkHeldSequence(this, update)
+    updateHeld(this, update, mapElementSync(this, this.d), mapElementSync(this, update.d))
+  }
+
+  /**
+   * Return the current witness.
+   * @returns {Witness} A witness of the element's membership.
+   */
+  witness() {
+    const {d, v, w} = this
+    return {d, v, w}
+  }
+
+}
+
+class ThresholdAccumulator extends EventEmitter {
+
+  /**
+   * Creates a threshold accumulator. A ThresholdAccumulator modifies the accumulation like an
+   * Accumulator, but the secret is split among several parties and never held in one place. Each
+   * operation that needs the secret asks the parties through a transport and succeeds when at
+   * least t of them return a valid share. The updates it returns are the same as those of an
+   * Accumulator and are applied by Provers and witness holders in the same way. Operations are
+   * applied one at a time in the order they are called, and there are no synchronous versions.
+   * Like an Accumulator, it emits each update it publishes as an 'update' event.
+   * @param {Curve} curve An object containing the curve parameters.
+   * @param {(String|function)} H The name of a hash algorithm or a function that returns a digest
+   * for an input String or Buffer.
+   * @param {ThresholdGroup} group The public description of the group returned by
+   * [split](#split).
+   * @param {Transport} transport The transport to the parties.
+   * @param {Object} [options] Optional settings, which are the same as those of the Accumulator.
+   * @param {String} [options.duplicates] The duplicate policy, which is 'reject' or 'multiset'.
+   * Defaults to 'reject'.
+   * @param {Boolean} [options.track] True to record the data of each member.
+   * @param {HashToField} [options.hashToField] Options to map elements to Zq with hash_to_field
+   * from RFC 9380.
+   * @param {Number} [options.history] The number of published updates retained to replay to
+   * subscribers. Defaults to 1024. With a history of 0, subscribers receive only the updates
+   * published while they wait for them.
+   */
+  constructor(curve, H, group, transport, options = {}) {
+    tf(tf.tuple(type.Curve, type.Hash, type.ThresholdGroup, type.Transport,
+      tf.maybe(type.MemberOptions)), arguments)
+    super()
+    this.curve = curves.adapt(curve)
+    this.inf = this.curve.ZERO
+    this.g = this.curve.BASE
+    this.n = this.curve.n
+    this.H = H
+    this.group = group
+    this.transport = transport
+    this.duplicates = options.duplicates || 'reject'
+    this.members = options.track ? new Map() : null
+    this.hashToField = options.hashToField || null
+    this.A = []
+    this.z = this.g
+    this.Q = [this.g]
+    this.i = null
+    this.seq = 0
+    this.link = GENESIS
+    this.history = options.history === undefined ? HISTORY : options.history
+    this.published = []
+    this.setMaxListeners(0)
+    this.pending = Promise.resolve()
+  }
+
+  /**
+   * Add an element to the accumulation.
+   * @param {Data} d The element to add.
+   * @returns {Promise<WitnessUpdate>} A witness of the element's membership.
+   * @throws {QuorumError} If fewer than t parties return a valid share.
+   */
+  async add(d) {
+    tf(tf.tuple(type.Data), arguments)
+    const e = await mapElement(this, d)
+    return await exclusive(this, () => insertShared(this, d, e))
+  }
+
+  /**
+   * Delete an element from the accumulation.
+   * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+   * @returns {Promise<Update>} The updated public component.
+   * @throws {NotMemberError} If the witness is not valid for the accumulation.
+   * @throws {QuorumError} If fewer than t parties return a valid share.
+   */
+  async del(witness) {
+    tf(tf.tuple(type.Witness), arguments)
+    const e = await mapElement(this, witness.d)
+    return await exclusive(this, () => removeShared(this, witness, e))
+  }
+
+  /**
+   * Verify an element is a member of the accumulation.
+   * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+   * @returns {Promise<Boolean>} True if element is a member of the accumulation; false otherwise.
+   * @throws {QuorumError} If fewer than t parties return a valid share.
+   */
+  async verify(witness) {
+    tf(tf.tuple(type.Witness), arguments)
+    const e = await mapElement(this, witness.d)
+    return await exclusive(this, () => isSharedWitness(this, witness, e))
+  }
+
+  /**
+   * Check whether an element is a member of the accumulation.
+   * @param {Data} d The element.
+   * @returns {Promise<Boolean>} True if the element is a member; false otherwise.
+   */
+  async has(d) {
+    tf(tf.tuple(type.Data), arguments)
+    return hasMember(this, d, await mapElement(this, d))
+  }
+
+  /**
+   * The number of members of the accumulation, counting each copy of an element that was added
+   * more than once.
+   * @type {Number}
+   */
+  get size() {
+    return this.A.length
+  }
+
+  /**
+   * Iterate over the updates published by the accumulator in order, replaying retained updates
+   * first.
+   * @param {Number} [from] The sequence number of the first update. Defaults to the next update.
+   * @param {Object} [options] Optional settings.
+   * @param {AbortSignal} [options.signal] A signal that ends the iteration when aborted.
+   * @returns {AsyncIterableIterator<(WitnessUpdate|Update)>} The updates.
+   * @throws {UpdateGapError} If an update to replay is no longer retained.
+   * @throws {InvalidArgumentError} If the first update is after the next update.
+   */
+  updates(from, options = {}) {
+    tf(tf.tuple(tf.maybe(tf.UInt32), tf.maybe(type.StreamOptions)), arguments)
+    return subscribe(this, from, options.signal)
+  }
+
+  [Symbol.asyncIterator]() {
+    return this.updates()
+  }
+
+  /**
+   * Export a checkpoint of the accumulation from which a new Prover can be constructed.
+   * @returns {Promise<Checkpoint>} The checkpoint.
+   */
+  async checkpoint() {
+    return await exclusive(this, () => {
+      const {z, i, seq, link} = this
+      return {z, Q: this.Q.slice(0, this.A.length + 1), A: this.A.slice(), i, seq, link}
+    })
+  }
+
+}
+
+class Follower extends EventEmitter {
+
+  /**
+   * Creates a follower. A Follower is returned by [follow](#Prover+follow) and applies the updates
+   * of a source to a prover until it is stopped, the source ends, or an update cannot be applied.
+   * It emits an 'update' event after applying each update and a 'status' event each time its
+   * status changes. The status is 'syncing' while the prover is behind the source, 'synced' once
+   * it has applied the last update the source has published, 'stopped' after the follower is
+   * stopped or the source ends, and 'failed' if an update could not be applied, in which case the
+   * error is kept in the error property. A source that does not have a seq property is assumed to
+   * have published no more than the prover has applied.
+   * @param {Prover} prover The prover.
+   * @param {UpdateSource} source The source of the updates.
+   */
+  constructor(prover, source) {
+    tf(tf.tuple(tf.quacksLike('Prover'), type.UpdateSource), arguments)
+    super()
+    this.prover = prover
+    this.source = source
+    this.status = isBehind(prover, source) ? 'syncing' : 'synced'
+    this.error = null
+    this.controller = new AbortController()
+    this.done = follow(this)
+  }
+
+  /**
+   * Stop applying updates. Updates that arrive afterwards are ignored.
+   * @returns {Promise} A promise that resolves when the follower has stopped.
+   */
+  async stop() {
+    if (!this.controller.signal.aborted) {
+      this.controller.abort()
+      setStatus(this, 'stopped')
+    }
+    // A source without a signal may not yield again, so the follower does not wait for it.
+    if (typeof(this.source.updates) === 'function') {
+      await this.done
+    }
+  }
+
+}
+
+/**
+ * Assign the next sequence number, the operation and the link of the previous update to an update
+ * published by an accumulator, then record the link of the update as the accumulator's last link.
+ * @param {Accumulator} accumulator The accumulator that published the update.
+ * @param {String} op The operation, which is 'add', 'del' or 'rotate'.
+ * @param {Object} update The update.
+ * @returns {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate|RotationUpdate)} The sequenced
+ * update.
+ * @private
+ */
+function sequence(accumulator, op, update) {
+  Object.assign(update, {seq: accumulator.seq + 1, op, prev: accumulator.link})
+  accumulator.seq = update.seq
+  accumulator.link = encoding.link(accumulator.curve, update)
+  publish(accumulator, update)
+  return update
+}
+
+/**
+ * Retain an update published by an accumulator to replay to subscribers and emit it.
+ * @param {(Accumulator|ThresholdAccumulator)} accumulator The accumulator.
+ * @param {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate|RotationUpdate)} update The
+ * update.
+ * @private
+ */
+function publish(accumulator, update) {
+  accumulator.published.push(update)
+  if (accumulator.published.length > accumulator.history) {
+    accumulator.published.shift()
+  }
+  accumulator.emit('update', update)
+}
+
+/**
+ * Find a published update that an accumulator retains.
+ * @param {(Accumulator|ThresholdAccumulator)} accumulator The accumulator.
+ * @param {Number} seq The sequence number of the update, which has been published.
+ * @returns {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate|RotationUpdate)} The update.
+ * @throws {UpdateGapError} If the update is no longer retained.
+ * @private
+ */
+function retained(accumulator, seq) {
+  const {published} = accumulator
+  const index = seq - (accumulator.seq - published.length + 1)
+  if (index < 0) {
+    throw new UpdateGapError('Update ' + seq + ' is no longer retained')
+  }
+  return published[index]
+}
+
+/**
+ * Start iterating over the updates published by an accumulator. Whether the first update is
+ * retained, or is the next update, is checked before iteration begins.
+ * @param {(Accumulator|ThresholdAccumulator)} accumulator The accumulator.
+ * @param {Number} [from] The sequence number of the first update.
+ * @param {AbortSignal} [signal] A signal that ends the iteration when aborted.
+ * @returns {AsyncIterableIterator<Object>} The updates.
+ * @private
+ */
+function subscribe(accumulator, from, signal) {
+  from = from === undefined ? accumulator.seq + 1 : from
+  if (from < 1) {
+    throw new InvalidArgumentError('Sequence numbers start at 1')
+  }
+  // Updates are emitted in order, so the next update emitted is always the next update.
+  if (from > accumulator.seq + 1) {
+    throw new InvalidArgumentError('Update ' + from + ' is after the next update ' +
+      (accumulator.seq + 1))
+  }
+  if (from <= accumulator.seq) {
+    retained(accumulator, from)
+  }
+  return stream(accumulator, from, signal)
+}
+
+/**
+ * Yield the updates published by an accumulator in order, waiting for each update that has not
+ * been published yet. An update published while waiting is yielded as it is emitted, so it need
+ * not be retained.
+ * @param {(Accumulator|ThresholdAccumulator)} accumulator The accumulator.
+ * @param {Number} seq The sequence number of the first update.
+ * @param {AbortSignal} [signal] A signal that ends the iteration when aborted.
+ * @private
+ */
+async function* stream(accumulator, seq, signal) {
+  while (!(signal && signal.aborted)) {
+    if (seq <= accumulator.seq) {
+      yield retained(accumulator, seq++)
+      continue
+    }
+    let update
+    try {
+      [update] = await once(accumulator, 'update', {signal})
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        return
+      }
+      throw err
+    }
+    // The first update emitted while waiting is the next one.
+    seq++
+    yield update
+  }
+}
+
+/**
+ * Apply the updates of a follower's source to its prover until the follower is stopped, the
+ * source ends, or an update cannot be applied.
+ * @param {Follower} follower The follower.
+ * @returns {Promise} A promise that resolves when the follower stops.
+ * @private
+ */
+async function follow(follower) {
+  const {prover, source, controller: {signal}} = follower
+  try {
+    const updates = typeof(source.updates) === 'function' ?
+      source.updates(prover.seq + 1, {signal}) : source
+    for await (let update of updates) {
+      if (signal.aborted) {
+        break
+      }
+      update = decodeUpdate(prover.curve, update)
+      if (update.seq > prover.seq) {
+        await applyUpdate(prover, update)
+        follower.emit('update', update)
+      }
+      setStatus(follower, isBehind(prover, source) ? 'syncing' : 'synced')
+    }
+  } catch (err) {
+    if (!signal.aborted) {
+      follower.error = err
+      setStatus(follower, 'failed')
+      return
+    }
+  }
+  setStatus(follower, 'stopped')
+}
+
+/**
+ * Check whether a prover has not applied every update a source has published.
+ * @param {Prover} prover The prover.
+ * @param {UpdateSource} source The source of the updates.
+ * @returns {Boolean} True if the source reports a later sequence number; false otherwise.
+ * @private
+ */
+function isBehind(prover, source) {
+  return typeof(source.seq) === 'number' && prover.seq < source.seq
+}
+
+/**
+ * Change the status of a follower and emit the new status. A stopped or failed follower keeps its
+ * status.
+ * @param {Follower} follower The follower.
+ * @param {String} status The new status.
+ * @private
+ */
+function setStatus(follower, status) {
+  if (follower.status !== status && follower.status !== 'stopped' &&
+    follower.status !== 'failed') {
+    follower.status = status
+    follower.emit('status', status)
+  }
+}
+
+/**
+ * Decode an update received from a stream if it is in its binary or JSON encoding.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(Object|Buffer|String)} update The update or its encoding.
+ * @returns {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate|RotationUpdate)} The update.
+ * @private
+ */
+function decodeUpdate(curve, update) {
+  if (update instanceof Uint8Array) {
+    return encoding.AnyUpdate.decode(curve, update)
+  }
+  if (typeof(update) === 'string' || typeof(update.type) === 'string') {
+    return encoding.AnyUpdate.fromJSON(curve, update)
+  }
+  return update
+}
+
+/**
+ * Check the accumulation held by a prover against a checkpoint of a log.
+ * @param {Prover} prover The prover.
+ * @param {Object} checkpoint The checkpoint with its points decoded.
+ * @returns {Boolean} True if the accumulation, index and public component match; false
+ * otherwise.
+ * @private
+ */
+function matchesCheckpoint(prover, {z, i, Q}) {
+  const component = prover.i === null ? prover.inf : prover.Q[prover.i]
+  return prover.z.equals(z) && prover.i === i && component.equals(Q)
+}
+
+/**
+ * Apply an update of any kind to a prover.
+ * @param {Prover} prover The prover.
+ * @param {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate|RotationUpdate)} update The
+ * update.
+ * @returns {Promise} A promise that resolves when the update has been applied.
+ * @private
+ */
+async function applyUpdate(prover, update) {
+  if (update.op === 'rotate') {
+    return await prover.migrate(update)
+  }
+  return 'D' in update ? await prover.updateBatch(update) : await prover.update(update)
+}
+
+/**
+ * Run an operation of a threshold accumulator after every operation called before it has
+ * finished, so that operations do not interleave while they wait for the parties.
+ * @param {ThresholdAccumulator} accumulator The threshold accumulator.
+ * @param {function} operation The operation.
+ * @returns {Promise<*>} The result of the operation.
+ * @private
+ */
+async function exclusive(accumulator, operation) {
+  const result = accumulator.pending.then(operation)
+  // Continue with the next operation whether or not this one fails.
+  accumulator.pending = result.catch(() => {})
+  return await result
+}
+
+/**
+ * Raise a point to the secret shared by the parties of a threshold accumulator.
+ * @param {ThresholdAccumulator} accumulator The threshold accumulator.
+ * @param {Point} point The point.
+ * @returns {Promise<Point>} The point raised to the secret.
+ * @private
+ */
+async function multiplyShared(accumulator, point) {
+  const {curve, group, transport} = accumulator
+  return await threshold.multiply(curve, group, transport, point)
+}
+
+/**
+ * Add a member to the accumulation of a threshold accumulator.
+ * @param {ThresholdAccumulator} accumulator The threshold accumulator.
+ * @param {Data} d The element to add.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Promise<WitnessUpdate>} A witness of the element's membership.
+ * @private
+ */
+async function insertShared(accumulator, d, e) {
+  checkAdditions(accumulator, [d], [e])
+  // Create witness v = z and w = z ^ c before updating z.
+  const v = accumulator.z
+  const w = await multiplyShared(accumulator, v)
+  const i = accumulator.i === null ? 0 : accumulator.i + 1
+  // Extend the power chain to Qi+1 = Qi ^ c unless it was published before a deletion.
+  if (accumulator.Q.length <= i + 1) {
+    accumulator.Q.push(await multiplyShared(accumulator, accumulator.Q[i]))
+  }
+  const Q = accumulator.Q[i + 1]
+  // Update z' = (z ^ e) * (z ^ c) only after every share has been received.
+  accumulator.z = e === 0n ? w : v.multiply(e).add(w)
+  accumulator.i = i
+  accumulator.A.push(e)
+  recordMembers(accumulator, [d], [e])
+  const {z} = accumulator
+  return sequence(accumulator, 'add', {d, z, v, w, Q, i})
+}
+
+/**
+ * Delete a member from the accumulation of a threshold accumulator after checking that its
+ * witness is valid.
+ * @param {ThresholdAccumulator} accumulator The threshold accumulator.
+ * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Promise<Update>} The updated public component.
+ * @private
+ */
+async function removeShared(accumulator, witness, e) {
+  const {d, v} = witness
+  checkRemoval(accumulator, 1)
+  if (!hasMember(accumulator, d, e) || !await isSharedWitness(accumulator, witness, e)) {
+    throw new NotMemberError('Accumulator does not contain d')
+  }
+  // The witness is z ^ ((e + c)^-1), which is the accumulation without the element.
+  const Q = accumulator.Q[accumulator.i]
+  accumulator.z = v
+  accumulator.i = accumulator.i === 0 ? null : accumulator.i - 1
+  accumulator.A = without(accumulator.A, [e])
+  forgetMembers(accumulator, [e])
+  const {z, i} = accumulator
+  return sequence(accumulator, 'del', {d, z, Q, i})
+}
+
+/**
+ * Check a witness of membership against the accumulation of a threshold accumulator.
+ * @param {ThresholdAccumulator} accumulator The threshold accumulator.
+ * @param {(Witness|WitnessUpdate)} witness The witness.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Promise<Boolean>} True if the witness is valid; false otherwise.
+ * @private
+ */
+async function isSharedWitness(accumulator, {v}, e) {
+  // Compare z and (v ^ map(e)) * (v ^ c)
+  const w = await multiplyShared(accumulator, v)
+  return accumulator.z.equals(e === 0n ? w : v.multiply(e).add(w))
+}
+
+/**
+ * Map an element to Zq with the hash of an accumulator, prover, verifier or witness holder.
+ * @param {(Accumulator|Prover|Verifier|WitnessHolder)} party The party.
+ * @param {Data} d The element.
+ * @returns {Promise<BigInt>} The element mapped to Zq.
+ * @private
+ */
+async function mapElement(party, d) {
+  return await map(party.H, d, party.n, party.hashToField)
+}
+
+/**
+ * Map an element to Zq synchronously with the hash of an accumulator, prover, verifier or witness
+ * holder.
+ * @param {(Accumulator|Prover|Verifier|WitnessHolder)} party The party.
+ * @param {Data} d The element.
+ * @returns {BigInt} The element mapped to Zq.
+ * @private
+ */
+function mapElementSync(party, d) {
+  return map.sync(party.H, d, party.n, party.hashToField)
+}
+
+/**
+ * Map several elements to Zq with the hash of an accumulator or prover.
+ * @param {(Accumulator|Prover)} party The accumulator or prover.
+ * @param {Data[]} D The elements.
+ * @returns {Promise<BigInt[]>} The elements mapped to Zq.
+ * @private
+ */
+async function mapElements(party, D) {
+  return await Promise.all(D.map(d => mapElement(party, d)))
+}
+
+/**
+ * Map several elements to Zq synchronously with the hash of an accumulator or prover.
+ * @param {(Accumulator|Prover)} party The accumulator or prover.
+ * @param {Data[]} D The elements.
+ * @returns {BigInt[]} The elements mapped to Zq.
+ * @private
+ */
+function mapElementsSync(party, D) {
+  return D.map(d => mapElementSync(party, d))
+}
+
+/**
+ * Add a member to the accumulation of an accumulator.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Data} d The element to add.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {WitnessUpdate} A witness of the element's membership.
+ * @private
+ */
+function insert(accumulator, d, e) {
+  const {g, c, n} = accumulator
+  checkAdditions(accumulator, [d], [e])
+  // Create witness before updating z.
+  const v = accumulator.z
+  const w = accumulator.z.multiply(c)
+  // Update z' = z ^ ((e + c) mod n).
+  accumulator.z = accumulator.z.multiply((e + c) % n)
+  // If Q is the point at infinity, Q = g, otherwise Q = Q ^ c.
+  accumulator.Q = accumulator.Q.equals(accumulator.inf) ? g : accumulator.Q.multiply(c)
+  const Q = accumulator.Q.multiply(c)
+  // If i is Null, i = 0, otherwise i + 1.
+  accumulator.i = accumulator.i === null ? 0 : accumulator.i + 1
+  // Record the element as a member.
+  accumulator.A.push(e)
+  recordMembers(accumulator, [d], [e])
+  // Create public component.
+  const {z, i} = accumulator
+  return sequence(accumulator, 'add', {d, z, v, w, Q, i})
+}
+
+/**
+ * Add several members to the accumulation of an accumulator in a single update.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Data[]} D The elements to add.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @returns {BatchWitnessUpdate} The aggregated update and a witness of each element's membership.
+ * @private
+ */
+function insertBatch(accumulator, D, E) {
+  const {g, c, n} = accumulator
+  if (D.length === 0) {
+    throw new InvalidArgumentError('Batch is empty')
+  }
+  checkAdditions(accumulator, D, E)
+  // Update z' = z ^ (product of (e + c) mod n).
+  const m = accumulator.A.length
+  accumulator.z = accumulator.z.multiply(E.reduce((product, e) => (product * (e + c)) % n, 1n))
+  // Create public components Qm+1 through Qm+k for the k new members.
+  const Q = E.map((e, k) => g.multiply(modPow(c, BigInt(m + k + 1), n)))
+  // Update i and Q = g ^ (c ^ i) to account for each new member.
+  accumulator.i = m + E.length - 1
+  accumulator.Q = g.multiply(modPow(c, BigInt(accumulator.i), n))
+  // Record the elements as members.
+  accumulator.A.push(...E)
+  recordMembers(accumulator, D, E)
+  // Create a witness for each element against the new accumulation.
+  const witnesses = D.map((d, k) => {
+    const v = accumulator.z.multiply(modInv((E[k] + c) % n, n))
+    const w = v.multiply(c)
+    return {d, v, w}
+  })
+  // Create public component.
+  const {z, i} = accumulator
+  return sequence(accumulator, 'add', {D, z, Q, i, witnesses})
+}
+
+/**
+ * Check that members can be deleted from the accumulation of an accumulator.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Number} count The number of members to delete.
+ * @private
+ */
+function checkRemoval(accumulator, count) {
+  if (count === 0) {
+    throw new InvalidArgumentError('Batch is empty')
+  }
+  if (accumulator.i === null) {
+    throw new EmptyAccumulatorError('Accumulator is empty')
+  }
+}
+
+/**
+ * Delete a member from the accumulation of an accumulator after checking that its witness is
+ * valid.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Update} The updated public component.
+ * @private
+ */
+function removeWitnessed(accumulator, witness, e) {
+  checkRemoval(accumulator, 1)
+  if (!isWitness(accumulator, witness, e)) {
+    throw new NotMemberError('Accumulator does not contain d')
+  }
+  return remove(accumulator, witness.d, e)
+}
+
+/**
+ * Delete several members from the accumulation of an accumulator in a single update after
+ * checking that each witness is valid.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {(Witness[]|WitnessUpdate[])} witnesses A witness of each element's membership.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @returns {BatchUpdate} The aggregated update.
+ * @private
+ */
+function removeWitnessedBatch(accumulator, witnesses, E) {
+  checkRemoval(accumulator, witnesses.length)
+  for (let k = 0; k < witnesses.length; k++) {
+    if (!isWitness(accumulator, witnesses[k], E[k])) {
+      throw new NotMemberError('Accumulator does not contain d')
+    }
+  }
+  return removeBatch(accumulator, witnesses.map(({d}) => d), E)
+}
+
+/**
+ * Delete a member from the accumulation of an accumulator after checking that the element is a
+ * member.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Data} d The element to delete.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Update} The updated public component.
+ * @private
+ */
+function remove(accumulator, d, e) {
+  const {g, c, n} = accumulator
+  checkRemoval(accumulator, 1)
+  // Verify element is a member before changing any state.
+  if (!hasMember(accumulator, d, e)) {
+    throw new NotMemberError('Accumulator does not contain d')
+  }
+  // Update z' = z ^ ((e + c)^-1 mod n).
+  accumulator.z = accumulator.z.multiply(modInv((e + c) % n, n))
+  // If Q is g, Q = the point at infinity, otherwise Q = g ^ (c ^ -1).
+  const Q = accumulator.Q
+  accumulator.Q = Q.equals(g) ? accumulator.inf : Q.multiply(modInv(c, n))
+  // If i is 0, i = Null, otherwise i = i - 1.
+  accumulator.i = accumulator.i === 0 ? null : accumulator.i - 1
+  // Remove one copy of the element from the members.
+  accumulator.A = without(accumulator.A, [e])
+  forgetMembers(accumulator, [e])
+  // Create public component.
+  const {z, i} = accumulator
+  return sequence(accumulator, 'del', {d, z, Q, i})
+}
+
+/**
+ * Delete several members from the accumulation of an accumulator in a single update after
+ * checking that each element is a member.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Data[]} D The elements to delete.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @returns {BatchUpdate} The aggregated update.
+ * @private
+ */
+function removeBatch(accumulator, D, E) {
+  const {g, c, n} = accumulator
+  checkRemoval(accumulator, D.length)
+  // Verify elements are members before changing any state.
+  for (let k = 0; k < E.length; k++) {
+    if (!hasMember(accumulator, D[k], E[k])) {
+      throw new NotMemberError('Accumulator does not contain d')
+    }
+  }
+  if (accumulator.duplicates === 'reject' && new Set(E).size !== E.length) {
+    throw new DuplicateMemberError('Batch contains an element more than once')
+  }
+  // Each copy of an element in the batch deletes one copy from the members.
+  const A = without(accumulator.A, E)
+  if (A.length !== accumulator.A.length - E.length) {
+    throw new NotMemberError('Batch deletes an element more times than it is a member')
+  }
+  // Update z' = z ^ ((product of (e + c))^-1 mod n).
+  const product = E.reduce((product, e) => (product * (e + c)) % n, 1n)
+  accumulator.z = accumulator.z.multiply(modInv(product, n))
+  // Remove the elements from the members.
+  accumulator.A = A
+  forgetMembers(accumulator, E)
+  // Update i and Q = g ^ (c ^ i) to account for each removed member, or Null and the point at
+  // infinity if no members remain.
+  accumulator.i = A.length === 0 ? null : A.length - 1
+  accumulator.Q = accumulator.i === null ? accumulator.inf :
+    g.multiply(modPow(c, BigInt(accumulator.i), n))
+  // Create public component. Every remaining public component is already known to provers.
+  const {z, i} = accumulator
+  return sequence(accumulator, 'del', {D, z, Q: [], i})
+}
+
+/**
+ * Check a witness of membership against the accumulation of an accumulator.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {(Witness|WitnessUpdate)} witness The witness.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Boolean} True if the witness is valid; false otherwise.
+ * @private
+ */
+function isWitness(accumulator, {v}, e) {
+  const {c, n} = accumulator
+  // Compare z and v ^ (map(e) + c mod n)
+  return accumulator.z.equals(v.multiply((e + c) % n))
+}
+
+/**
+ * Compute a witness of membership for a member of the accumulation of an accumulator.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Data} d The element to prove.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Witness} The witness.
+ * @private
+ */
+function proveMember(accumulator, d, e) {
+  const {c, n} = accumulator
+  if (!hasMember(accumulator, d, e)) {
+    throw new NotMemberError('Accumulator does not contain d')
+  }
+  const v = accumulator.z.multiply(modInv((e + c) % n, n))
+  const w = v.multiply(c)
+  return {d, v, w}
+}
+
+/**
+ * Check a witness of membership of several elements against the accumulation of an accumulator.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {AggregateWitness} witness The witness.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @returns {Boolean} True if the witness is valid; false otherwise.
+ * @private
+ */
+function isAggregateWitness(accumulator, {v}, E) {
+  const {c, n} = accumulator
+  if (E.length === 0) {
+    return false
+  }
+  // Compare z and v ^ (product of (map(e) + c) mod n)
+  const product = E.reduce((product, e) => (product * (e + c)) % n, 1n)
+  return accumulator.z.equals(v.multiply(product))
+}
+
+/**
+ * Compute a witness of membership for several members of the accumulation of an accumulator.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Data[]} D The elements to prove.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @returns {AggregateWitness} The witness.
+ * @private
+ */
+function proveMembers(accumulator, D, E) {
+  const {c, n} = accumulator
+  checkSubset(accumulator, D, E)
+  // Compute v = z ^ ((product of (e + c))^-1 mod n).
+  const product = E.reduce((product, e) => (product * (e + c)) % n, 1n)
+  const v = accumulator.z.multiply(modInv(product, n))
+  return {D, v}
+}
+
+/**
+ * Check a witness of non-membership against the accumulation of an accumulator.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {NonMembershipWitness} witness The witness.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Boolean} True if the witness is valid; false otherwise.
+ * @private
+ */
+function isNonMembershipWitness(accumulator, {v, r}, e) {
+  const {g, c, n} = accumulator
+  // A remainder of 0 means e is a root of the accumulation's polynomial.
+  if (r <= 0n || r >= n) {
+    return false
+  }
+  // Compare z and (v ^ (map(e) + c mod n)) * (g ^ r)
+  return accumulator.z.equals(v.multiply((e + c) % n).add(g.multiply(r)))
+}
+
+/**
+ * Compute a witness of non-membership for an element with the secret of an accumulator.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Data} d The element to prove.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {NonMembershipWitness} The witness.
+ * @private
+ */
+function proveNonMember(accumulator, d, e) {
+  const {g, c, n} = accumulator
+  // The remainder of dividing the accumulation's polynomial by (x + e) is its value at -e.
+  const r = accumulator.A.reduce((product, a) => (product * (a - e + n)) % n, 1n)
+  if (r === 0n) {
+    throw new DuplicateMemberError('Accumulator contains d')
+  }
+  // Compute v = (z / g ^ r) ^ ((e + c)^-1 mod n).
+  const v = accumulator.z.subtract(g.multiply(r)).multiply(modInv((e + c) % n, n))
+  const w = v.multiply(c)
+  return {d, v, w, r}
+}
+
+/**
+ * Check that elements can be added to the members of an accumulator or prover under its duplicate
+ * policy, and that no element collides with a tracked member that has different data.
+ * @param {(Accumulator|Prover)} party The accumulator or prover.
+ * @param {Data[]} D The elements to add.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @private
+ */
+function checkAdditions(party, D, E) {
+  const added = new Map()
+  for (let k = 0; k < E.length; k++) {
+    const bytes = data.toBytes(D[k])
+    const known = added.has(E[k]) ? added.get(E[k]) :
+      party.members === null ? undefined : party.members.get(E[k])
+    if (known !== undefined && !known.equals(bytes)) {
+      throw new HashCollisionError('d maps to the same element as different data')
+    }
+    if (party.duplicates === 'reject' && (added.has(E[k]) || party.A.includes(E[k]))) {
+      throw new DuplicateMemberError('Accumulator already contains d')
+    }
+    added.set(E[k], bytes)
+  }
+}
+
+/**
+ * Record the data of elements added to the members of an accumulator or prover that tracks them.
+ * @param {(Accumulator|Prover)} party The accumulator or prover.
+ * @param {Data[]} D The added elements.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @private
+ */
+function recordMembers(party, D, E) {
+  if (party.members !== null) {
+    for (let k = 0; k < E.length; k++) {
+      party.members.set(E[k], data.toBytes(D[k]))
+    }
+  }
+}
+
+/**
+ * Forget the data of elements of which an accumulator or prover no longer has any copies.
+ * @param {(Accumulator|Prover)} party The accumulator or prover.
+ * @param {BigInt[]} E The deleted elements mapped to Zq.
+ * @private
+ */
+function forgetMembers(party, E) {
+  if (party.members !== null) {
+    for (let e of E) {
+      if (!party.A.includes(e)) {
+        party.members.delete(e)
+      }
+    }
+  }
+}
+
+/**
+ * Check whether an element is a member of an accumulator or prover, comparing its data to the
+ * tracked data of the member if there is any.
+ * @param {(Accumulator|Prover)} party The accumulator or prover.
+ * @param {Data} d The element.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Boolean} True if the element is a member; false otherwise.
+ * @private
+ */
+function hasMember(party, d, e) {
+  if (!party.A.includes(e)) {
+    return false
+  }
+  const known = party.members === null ? undefined : party.members.get(e)
+  return known === undefined || known.equals(data.toBytes(d))
+}
+
+/**
+ * Check that elements are a nonempty subset of the members of an accumulator or prover, counting
+ * each copy of an element.
+ * @param {(Accumulator|Prover)} party The accumulator or prover.
+ * @param {Data[]} D The elements.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @private
+ */
+function checkSubset(party, D, E) {
+  if (E.length === 0) {
+    throw new InvalidArgumentError('No elements to prove')
+  }
+  for (let k = 0; k < E.length; k++) {
+    if (!hasMember(party, D[k], E[k])) {
+      throw new NotMemberError('Accumulator does not contain d')
+    }
+  }
+  if (without(party.A, E).length !== party.A.length - E.length) {
+    throw new NotMemberError('Elements appear more times than they are members')
+  }
+}
+
+/**
+ * Convert the tracked members of an accumulator or prover to a form that can be serialized as
+ * JSON.
+ * @param {(Accumulator|Prover)} party The accumulator or prover.
+ * @returns {?Object} The hex representation of each member's data keyed by the hex
+ * representation of the member, or null if members are not tracked.
+ * @private
+ */
+function membersToJSON(party) {
+  if (party.members === null) {
+    return null
+  }
+  const members = {}
+  for (let [e, bytes] of party.members) {
+    members[e.toString(16)] = bytes.toString('hex')
+  }
+  return members
+}
+
+/**
+ * Restore the tracked members of an accumulator or prover from their JSON form.
+ * @param {(Accumulator|Prover)} party The accumulator or prover.
+ * @param {?Object} members The JSON form of the members.
+ * @private
+ */
+function membersFromJSON(party, members) {
+  if (party.members !== null && members) {
+    for (let e of Object.keys(members)) {
+      party.members.set(BigInt('0x' + e), Buffer.from(members[e], 'hex'))
+    }
+  }
+}
+
+/**
+ * Combine the options given to restore an accumulator or prover with the settings recorded in its
+ * snapshot.
+ * @param {Object} state The state contained in the snapshot.
+ * @param {Object} [options] The options given to restore the instance.
+ * @returns {Object} The options to construct the instance with.
+ * @private
+ */
+function restoreOptions(state, options = {}) {
+  if (options.duplicates !== undefined && options.duplicates !== state.duplicates) {
+    throw new InvalidArgumentError('Snapshot was taken with a different duplicate policy')
+  }
+  const hashToField = state.hashToField ? {
+    dst: Buffer.from(state.hashToField.dst, 'hex'),
+    expand: state.hashToField.expand,
+  } : null
+  if (options.hashToField !== undefined &&
+    JSON.stringify(hashToFieldToJSON(options)) !== JSON.stringify(state.hashToField || null)) {
+    throw new InvalidArgumentError('Snapshot was taken with different hash_to_field options')
+  }
+  return Object.assign({}, options, {
+    duplicates: state.duplicates,
+    track: Boolean(options.track || state.members),
+    hashToField,
+  })
+}
+
+/**
+ * Convert the hash_to_field options of an accumulator or prover to a form that can be serialized
+ * as JSON.
+ * @param {Object} options An object with the hash_to_field options.
+ * @returns {?Object} The hex representation of the domain separation tag and the expander, or
+ * null if elements are mapped by reducing a digest.
+ * @private
+ */
+function hashToFieldToJSON({hashToField}) {
+  if (!hashToField) {
+    return null
+  }
+  return {
+    dst: data.octets(hashToField.dst).toString('hex'),
+    expand: hashToField.expand || 'xmd',
+  }
+}
+
+/**
+ * Remove one copy of each of a list of elements from a list of members.
+ * @param {BigInt[]} A The members.
+ * @param {BigInt[]} E The elements to remove.
+ * @returns {BigInt[]} The remaining members. Elements that are not members are ignored.
+ * @private
+ */
+function without(A, E) {
+  const remaining = A.slice()
+  for (let e of E) {
+    const index = remaining.indexOf(e)
+    if (index !== -1) {
+      remaining.splice(index, 1)
+    }
+  }
+  return remaining
+}
+
+/**
+ * Check that a prover has received an accumulation to verify against.
+ * @param {Prover} prover The prover.
+ * @private
+ */
+function checkAccumulation(prover) {
+  if (prover.z === undefined) {
+    throw new EmptyAccumulatorError('Prover has not received an accumulation')
+  }
+}
+
+/**
+ * Apply an update to the state of a prover after checking that it can be applied.
+ * @param {Prover} prover The prover.
+ * @param {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate)} update The update.
+ * @param {Data[]} D The elements of the update.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @param {Array[]} components The index and value of each public component of the update.
+ * @private
+ */
+function apply(prover, update, D, E, components) {
+  const {z, i, op} = update
+  const isDelete = op === 'del'
+  // Check the sequence after mapping so that no other update can be applied before this one.
+  checkSequence(prover, update)
+  if (!isDelete) {
+    checkAdditions(prover, D, E)
+  }
+  // Delete one copy of each removed element or add elements.
+  const A = isDelete ? without(prover.A, E) : prover.A.concat(E)
+  if (prover.strict) {
+    checkConsistency(prover, update, E, A, components)
+  }
+  prover.A = A
+  if (isDelete) {
+    forgetMembers(prover, E)
+  } else {
+    recordMembers(prover, D, E)
+  }
+  // Add public components.
+  for (let [k, Q] of components) {
+    prover.Q[k] = Q
+  }
+  // Update i.
+  prover.i = i
+  // Update accumulation.
+  prover.z = z
+  // Record the last update applied.
+  prover.seq = update.seq
+  prover.link = encoding.link(prover.curve, update)
+}
+
+/**
+ * Replace the public components of a prover with those of a rotation update after checking that
+ * the update can be applied.
+ * @param {Prover} prover The prover.
+ * @param {RotationUpdate} update The update.
+ * @private
+ */
+function migrate(prover, update) {
+  const {z, Q, i, seq} = update
+  checkSequence(prover, update)
+  // The update carries every public component up to the number of members.
+  const m = prover.A.length
+  if (i !== prover.i || Q.length !== m + 1) {
+    throw new InvalidUpdateError('public components do not match members', seq)
+  }
+  if (!Q[0].equals(prover.curve.BASE)) {
+    throw new InvalidUpdateError('public components do not start at the base point', seq)
+  }
+  if (prover.strict && !z.equals(accumulate(prover.inf, Q, prover.A, prover.n))) {
+    const reason = 'Accumulation does not match members and public components'
+    prover.rejected.push({seq, reason, update})
+    throw new InvalidUpdateError(reason, seq)
+  }
+  // Powers of the old secret beyond the number of members are discarded.
+  prover.Q = Q.slice()
+  prover.z = z
+  prover.seq = seq
+  prover.link = encoding.link(prover.curve, update)
+}
+
+/**
+ * Return the index and value of each public component of an aggregated update.
+ * @param {(BatchUpdate|BatchWitnessUpdate)} update The aggregated update.
+ * @returns {Array[]} The index and value of each public component.
+ * @private
+ */
+function batchComponents({D, Q, i, op, seq}) {
+  if (op === 'del') {
+    return []
+  }
+  if (Q.length !== D.length) {
+    throw new InvalidUpdateError('public components do not match elements', seq)
+  }
+  // The public components of added elements end at Qi+1.
+  return Q.map((Q, k) => [i + 2 - D.length + k, Q])
+}
+
+/**
+ * Compute a witness of membership for an element from the public components held by a prover.
+ * @param {Prover} prover The prover.
+ * @param {Data} d The element to prove.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Witness} The witness.
+ * @throws {NotMemberError} If the element is not a member.
+ * @private
+ */
+function computeWitness(prover, d, e) {
+  if (!hasMember(prover, d, e)) {
+    throw new NotMemberError('Prover does not contain d')
+  }
+  // Collect all elements except one copy of the element being proven.
+  const A = without(prover.A, [e])
+  // The coefficient of Qi is the elementary symmetric polynomial of degree i over the elements.
+  const m = prover.i === null ? 0 : prover.i
+  const coefficients = symmetric(m, A, prover.n)
+  // Compute sum of coefficients and Qis.
+  const v = msm(prover.inf, prover.Q.slice(0, m + 1).reverse(), coefficients)
+  const w = msm(prover.inf, prover.Q.slice(1, m + 2).reverse(), coefficients)
+  return {d, v, w}
+}
+
+/**
+ * Check a witness of membership against the accumulation held by a prover.
+ * @param {Prover} prover The prover.
+ * @param {(Witness|WitnessUpdate)} witness The witness.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Boolean} True if the witness is valid; false otherwise.
+ * @private
+ */
+function checkWitness(prover, {v, w}, e) {
+  // Compare z and (v ^ map(e)) * w
+  return prover.z.equals(v.multiply(e).add(w))
+}
+
+/**
+ * Compute a witness of membership for several elements from the public components held by a
+ * prover.
+ * @param {Prover} prover The prover.
+ * @param {Data[]} D The elements to prove.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @returns {AggregateWitness} The witness.
+ * @private
+ */
+function computeAggregateWitness(prover, D, E) {
+  checkSubset(prover, D, E)
+  // The witness is the accumulation of the remaining members.
+  const v = accumulate(prover.inf, prover.Q, without(prover.A, E), prover.n)
+  return {D, v}
+}
+
+/**
+ * Check a witness of membership of several elements against the members and public components
+ * held by a prover.
+ * @param {Prover} prover The prover.
+ * @param {AggregateWitness} witness The witness.
+ * @param {BigInt[]} E The elements mapped to Zq.
+ * @returns {Boolean} True if the witness is valid; false otherwise.
+ * @private
+ */
+function checkAggregateWitness(prover, {D, v}, E) {
+  try {
+    return computeAggregateWitness(prover, D, E).v.equals(v)
+  } catch (err) {
+    if (err instanceof InvalidArgumentError || err instanceof NotMemberError) {
+      return false
+    }
+    throw err
+  }
+}
+
+/**
+ * Compute a witness of non-membership for an element from the public components held by a
+ * prover.
+ * @param {Prover} prover The prover.
+ * @param {Data} d The element to prove.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {NonMembershipWitness} The witness.
+ * @private
+ */
+function computeNonMembershipWitness(prover, d, e) {
+  const {n} = prover
+  // Compute the coefficients of the polynomial formed by the product of (x + a) for each member.
+  const m = prover.A.length
+  const coefficients = symmetric(m, prover.A, n)
+  // Divide the polynomial by (x + e) to find the quotient and remainder.
+  const quotient = []
+  let r = coefficients[0]
+  for (let k = 1; k <= m; k++) {
+    quotient.push(r)
+    r = (coefficients[k] - e * r % n + n) % n
+  }
+  if (r === 0n) {
+    throw new DuplicateMemberError('Accumulator contains d')
+  }
+  // Compute sum of quotient coefficients and Qis.
+  const v = msm(prover.inf, prover.Q.slice(0, m).reverse(), quotient)
+  const w = msm(prover.inf, prover.Q.slice(1, m + 1).reverse(), quotient)
+  return {d, v, w, r}
+}
+
+/**
+ * Check a witness of non-membership against the accumulation held by a prover.
+ * @param {Prover} prover The prover.
+ * @param {NonMembershipWitness} witness The witness.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Boolean} True if the witness is valid; false otherwise.
+ * @private
+ */
+function checkNonMembershipWitness(prover, {v, w, r}, e) {
+  // A remainder of 0 means e is a root of the accumulation's polynomial.
+  if (r <= 0n || r >= prover.n) {
+    return false
+  }
+  // Compare z and (v ^ map(e)) * w * (g ^ r)
+  return prover.z.equals(v.multiply(e).add(w).add(prover.Q[0].multiply(r)))
+}
+
+/**
+ * Check a witness of membership against the accumulation held by a verifier with a pairing.
+ * @param {Verifier} verifier The verifier.
+ * @param {(Witness|WitnessUpdate)} witness The witness.
+ * @param {BigInt} e The element mapped to Zq.
+ * @returns {Boolean} True if the witness is valid; false otherwise.
+ * @private
+ */
+function pair(verifier, {v}, e) {
+  const {G1, G2, pairing, fields: {Fp12}} = verifier.curve
+  // The pairing is not defined for the point at infinity, which is never a valid witness.
+  if (!(v instanceof G1.ProjectivePoint) || v.equals(G1.ProjectivePoint.ZERO)) {
+    return false
+  }
+  // Compare pairing(z, h) and pairing(v, h ^ map(e) * h ^ c)
+  const h = G2.ProjectivePoint.BASE
+  const k = e === 0n ? verifier.publicKey : h.multiply(e).add(verifier.publicKey)
+  return Fp12.eql(pairing(verifier.z, h), pairing(v, k))
+}
+
+/**
+ * Check that an update directly follows the last update applied by a witness holder.
+ * @param {WitnessHolder} holder The witness holder.
+ * @param {(Update|WitnessUpdate)} update The update.
+ * @private
+ */
+function checkHeldSequence(holder, update) {
+  const {i, op, seq} = update
+  checkSequence(holder, update)
+  const expected = op === 'del' ? (holder.i === 0 ? null : holder.i - 1) : holder.i + 1
+  if (i !== expected) {
+    throw new InvalidUpdateError('it is out of sequence', seq)
+  }
+}
+
+/**
+ * Update the witness held by a witness holder.
+ * @param {WitnessHolder} holder The witness holder.
+ * @param {(Update|WitnessUpdate)} update The update.
+ * @param {BigInt} e The element of the witness mapped to Zq.
+ * @param {BigInt} f The element of the update mapped to Zq.
+ * @private
+ */
+function updateHeld(holder, update, e, f) {
+  const {z, i, op} = update
+  const {n} = holder
+  // Delete removed element or add element.
+  let v
+  if (op === 'del') {
+    if (e === f) {
+      throw new NotMemberError('Witness element was deleted')
+    }
+    // v' = z' ^ ((e + c)^-1) = (v / z') ^ ((f - e)^-1).
+    v = holder.v.subtract(z).multiply(modInv((f - e + n) % n, n))
+  } else {
+    // v' = z' ^ ((e + c)^-1) = (v ^ f) * w.
+    v = f === 0n ? holder.w : holder.v.multiply(f).add(holder.w)
+  }
+  // w' = v' ^ c = z' / (v' ^ e).
+  const w = e === 0n ? z : z.subtract(v.multiply(e))
+  Object.assign(holder, {v, w, z, i, seq: update.seq, link: encoding.link(holder.curve, update)})
+}
+
+/**
+ * Check that an update directly follows the last update applied by a prover or witness holder.
+ * @param {(Prover|WitnessHolder)} prover The prover or witness holder.
+ * @param {(Update|BatchUpdate)} update The update.
+ * @private
+ */
+function checkSequence({seq, link}, update) {
+  const expected = seq + 1
+  if (update.seq < expected) {
+    throw new DuplicateUpdateError('it has already been applied', expected, update.seq)
+  }
+  if (update.seq > expected) {
+    throw new UpdateGapError('it is ahead of expected update ' + expected, expected, update.seq)
+  }
+  if (update.prev !== link) {
+    throw new BrokenLinkError('it does not link to the last update', expected, update.seq)
+  }
+}
+
+/**
+ * Check that an update is consistent with the state of a strict prover, and record the reason it
+ * is not before rejecting it.
+ * @param {Prover} prover The prover.
+ * @param {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate)} update The update.
+ * @param {BigInt[]} E The updated elements mapped to Zq.
+ * @param {BigInt[]} A The members after the update.
+ * @param {Array[]} components The index and value of each public component in the update.
+ * @private
+ */
+function checkConsistency(prover, update, E, A, components) {
+  const reason = findInconsistency(prover, update, E, A, components)
+  if (reason !== null) {
+    prover.rejected.push({seq: update.seq, reason, update})
+    throw new InvalidUpdateError(reason, update.seq)
+  }
+}
+
+/**
+ * Find the first way in which an update is not consistent with the state of a prover.
+ * @param {Prover} prover The prover.
+ * @param {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate)} update The update.
+ * @param {BigInt[]} E The updated elements mapped to Zq.
+ * @param {BigInt[]} A The members after the update.
+ * @param {Array[]} components The index and value of each public component in the update.
+ * @returns {?String} A description of the inconsistency, or null if there is none.
+ * @private
+ */
+function findInconsistency(prover, update, E, A, components) {
+  const {z, i, op} = update
+  // Each deleted element removes one copy of a member.
+  if (op === 'del' && A.length !== prover.A.length - E.length) {
+    return 'Deleted element is not a member'
+  }
+  // There is one index for each member.
+  if (i !== (A.length === 0 ? null : A.length - 1)) {
+    return 'Index does not match the number of members'
+  }
+  // Public components already received are powers of the secret that cannot change.
+  const Q = prover.Q.slice()
+  for (let [k, point] of components) {
+    if (Q[k] !== undefined && !Q[k].equals(point)) {
+      return 'Public component ' + k + ' does not match the published power chain'
+    }
+    Q[k] = point
+  }
+  if (op === 'add' && 'v' in update) {
+    // The witness of an added element is the previous accumulation, or g if there was none.
+    const {v, w} = update
+    const [e] = E
+    if (!v.equals(prover.z === undefined ? Q[0] : prover.z)) {
+      return 'Witness does not match the previous accumulation'
+    }
+    // Compare z and (v ^ map(e)) * w
+    if (!z.equals(e === 0n ? w : v.multiply(e).add(w))) {
+      return 'Accumulation does not match the witness'
+    }
+  }
+  // Every public component up to the number of members is needed to check the accumulation.
+  const m = A.length
+  if (Q.length <= m || Q.slice(0, m + 1).includes(undefined)) {
+    return 'Update does not extend the published power chain'
+  }
+  // Checking the accumulation also checks that a new public component extends the power chain.
+  if (!z.equals(accumulate(prover.inf, Q, A, prover.n))) {
+    return 'Accumulation does not match members and public components'
+  }
+  return null
+}
+
+/**
+ * Computes the accumulation of a set of elements from the public components, which is g raised
+ * to the product of (c + e) for each element e.
+ * @param {Point} inf The point at infinity.
+ * @param {Point[]} Q The public components Q0 through Qm for m elements.
+ * @param {BigInt[]} A Array of elements.
+ * @param {BigInt} n The group order of the curve.
+ * @returns {Point} The accumulation.
+ * @private
+ */
+function accumulate(inf, Q, A, n) {
+  const m = A.length
+  return msm(inf, Q.slice(0, m + 1).reverse(), symmetric(m, A, n))
+}
+
+/**
+ * Computes the elementary symmetric polynomials of a set of elements, which are the coefficients
+ * of the polynomial formed by the product of (x + e) for each element e.
+ * @example assert.deepEqual(symmetric(2, [a, b, c], n), [1n, a + b + c, a*b + a*c + b*c])
+ * @param {Number} degree The highest degree to compute.
+ * @param {BigInt[]} elements Array of elements.
+ * @param {BigInt} n The group order of the curve.
+ * @returns {BigInt[]} The polynomials of degrees 0 through the specified degree modulo n.
+ * @private
+ */
+function symmetric(degree, elements, n) {
+  tf(tf.tuple(tf.Number, tf.Array, type.BigInt), arguments)
+  const coefficients = Array.from({length: degree + 1}, (_, i) => i === 0 ? 1n : 0n)
+  for (let j = 0; j < elements.length; j++) {
+    // Multiply the polynomial by (x + e), discarding terms above the specified degree.
+    for (let i = Math.min(j + 1, degree); i > 0; i--) {
+      coefficients[i] = (coefficients[i] + coefficients[i - 1] * elements[j]) % n
+    }
+  }
+  return coefficients
+}
+
+/**
+ * Computes the sum of points multiplied by scalars using the bucket method of Pippenger.
+ * @param {Point} inf The point at infinity.
+ * @param {Point[]} points The points to multiply.
+ * @param {BigInt[]} scalars The scalars to multiply each point by.
+ * @returns {Point} The sum of products.
+ * @private
+ */
+function msm(inf, points, scalars) {
+  tf(tf.tuple(type.Point, tf.arrayOf(type.Point), tf.arrayOf(type.BigInt)), arguments)
+  if (points.length !== scalars.length) {
+    throw new InvalidArgumentError('Number of points and scalars must match')
+  }
+  // Choose a window size that balances additions into buckets against bucket aggregation.
+  const c = points.length < 32 ? 2 : Math.ceil(Math.log2(points.length)) - 3
+  const mask = (1n << BigInt(c)) - 1n
+  const bits = scalars.reduce((max, s) => Math.max(max, s.toString(2).length), 0)
+  let sum = inf
+  for (let shift = Math.ceil(bits / c) * c - c; shift >= 0; shift -= c) {
+    // Double the sum so far once for each bit in the window.
+    for (let i = 0; i < c; i++) {
+      sum = sum.add(sum)
+    }
+    // Add each point into the bucket for its window of the scalar.
+    const buckets = new Array(1 << c).fill(inf)
+    for (let i = 0; i < points.length; i++) {
+      const k = Number((scalars[i] >> BigInt(shift)) & mask)
+      if (k !== 0) {
+        buckets[k] = buckets[k].add(points[i])
+      }
+    }
+    // Each bucket is added into the running sum as many times as its index.
+    let running = inf
+    for (let k = buckets.length - 1; k > 0; k--) {
+      running = running.add(buckets[k])
+      sum = sum.add(running)
+    }
+  }
+  return sum
+}
+
+module.exports = Object.assign({
+  Accumulator,
+  Prover,
+  Verifier,
+  WitnessHolder,
+  ThresholdAccumulator,
+  Follower,
+  curves,
+  encoding,
+  hashes,
+  keys,
+  log,
+  server,
+  threshold,
+  zk,
+}, errors)
@@ -0,0 +1,185 @@
+'use strict'
+const crypto = require('crypto')
+const {promisify} = require('util')
+const type = require('./type')
+const tf = type.typeforce
+const curves = require('./curves')
+const snapshot = require('./snapshot')
+const data = require('./data')
+const {InvalidArgumentError} = require('./errors')
+
+/**
+ * The version of the keystore format.
+ * @private
+ */
+const VERSION = 1
+
+/**
+ * The info used to derive an accumulator secret when none is given.
+ * @private
+ */
+const INFO = 'ecc-acc accumulator secret'
+
+/**
+ * The minimum length in bytes of a seed.
+ * @private
+ */
+const SEED_LENGTH = 16
+
+/**
+ * The default cost parameters of scrypt.
+ * @private
+ */
+const SCRYPT = {N: 2 ** 15, r: 8, p: 1}
+
+/**
+ * The largest cost parameters of scrypt that are accepted, which bound the memory it uses.
+ * @private
+ */
+const SCRYPT_MAX = {N: 2 ** 20, r: 16, p: 16}
+
+/**
+ * Derive an accumulator secret deterministically from a seed with HKDF-SHA-256. The output of
+ * HKDF is 16 bytes longer than the group order so that reducing it leaves a negligible bias.
+ * Different info values derive independent secrets from the same seed, such as the secret of
+ * each rotation.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(String|Buffer)} seed The seed, which must be at least 16 bytes of secret randomness.
+ * @param {Object} [options] Optional settings.
+ * @param {(String|Buffer)} [options.salt] The HKDF salt. Defaults to no salt.
+ * @param {(String|Buffer)} [options.info] The HKDF info. Defaults to 'ecc-acc accumulator
+ * secret'.
+ * @returns {Promise<BigInt>} The secret, which is in [1, n).
+ */
+async function derive(curve, seed, options = {}) {
+  tf(tf.tuple(type.Curve, type.Octets, tf.maybe(type.DeriveOptions)), arguments)
+  const {n} = curves.adapt(curve)
+  const ikm = data.octets(seed)
+  if (ikm.length < SEED_LENGTH) {
+    throw new InvalidArgumentError('Seed must be at least ' + SEED_LENGTH + ' bytes')
+  }
+  const salt = data.octets(options.salt || '')
+  const info = data.octets(options.info || INFO)
+  const length = Math.ceil(n.toString(2).length / 8) + 16
+  const okm = await promisify(crypto.hkdf)('sha256', ikm, salt, info, length)
+  // Map the output to [1, n).
+  return BigInt('0x' + Buffer.from(okm).toString('hex')) % (n - 1n) + 1n
+}
+
+/**
+ * Encrypt an accumulator secret in a keystore that can be serialized as JSON. The encryption key
+ * is derived from a password with scrypt and the secret is encrypted with AES-256-GCM, which also
+ * authenticates the curve the secret belongs to.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {BigInt} c The secret.
+ * @param {(String|Buffer)} password The password.
+ * @param {Object} [options] Optional settings.
+ * @param {Number} [options.N] The scrypt cost parameter, which is at most 2^20. Defaults to 2^15.
+ * @param {Number} [options.r] The scrypt block size, which is at most 16. Defaults to 8.
+ * @param {Number} [options.p] The scrypt parallelization parameter, which is at most 16. Defaults
+ * to 1.
+ * @returns {Promise<Keystore>} The keystore.
+ */
+async function encrypt(curve, c, password, options = {}) {
+  tf(tf.tuple(type.Curve, type.BigInt, type.Octets, tf.maybe(type.KeystoreOptions)), arguments)
+  const {n} = curves.adapt(curve)
+  if (c <= 0n || c >= n) {
+    throw new InvalidArgumentError('Secret is not in the range of the group order')
+  }
+  const kdf = Object.assign({name: 'scrypt'}, SCRYPT, options, {
+    salt: crypto.randomBytes(16).toString('hex'),
+  })
+  const key = await deriveKey(password, kdf)
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  const id = snapshot.identifyCurve(curve)
+  cipher.setAAD(Buffer.from(id, 'hex'))
+  const length = Math.ceil(n.toString(16).length / 2)
+  const plaintext = Buffer.from(c.toString(16).padStart(length * 2, '0'), 'hex')
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()])
+  return {
+    version: VERSION,
+    curve: id,
+    kdf,
+    cipher: {
+      name: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+    },
+    ciphertext: ciphertext.toString('hex'),
+  }
+}
+
+/**
+ * Decrypt the accumulator secret in a keystore.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(Keystore|String)} keystore The keystore, parsed or unparsed.
+ * @param {(String|Buffer)} password The password.
+ * @returns {Promise<BigInt>} The secret.
+ * @throws {InvalidArgumentError} If the keystore is malformed, belongs to a different curve, has
+ * scrypt parameters larger than those accepted by encrypt, or the password is incorrect.
+ */
+async function decrypt(curve, keystore, password) {
+  tf(tf.tuple(type.Curve, tf.oneOf(type.Keystore, tf.String), type.Octets), arguments)
+  if (typeof(keystore) === 'string') {
+    try {
+      keystore = JSON.parse(keystore)
+    } catch (err) {
+      throw new InvalidArgumentError('Keystore is not valid JSON: ' + err.message)
+    }
+    tf(type.Keystore, keystore)
+  }
+  const {kdf, cipher: {name, iv, tag}, ciphertext} = keystore
+  if (keystore.version !== VERSION) {
+    throw new InvalidArgumentError('Unsupported keystore version')
+  }
+  if (kdf.name !== 'scrypt' || name !== 'aes-256-gcm') {
+    throw new InvalidArgumentError('Unsupported keystore algorithm')
+  }
+  const id = snapshot.identifyCurve(curve)
+  if (keystore.curve !== id) {
+    throw new InvalidArgumentError('Keystore was created for a different curve')
+  }
+  const key = await deriveKey(password, kdf)
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'hex'))
+  decipher.setAAD(Buffer.from(id, 'hex'))
+  decipher.setAuthTag(Buffer.from(tag, 'hex'))
+  let plaintext
+  try {
+    plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'hex')), decipher.final()])
+  } catch (err) {
+    throw new InvalidArgumentError('Password is incorrect or keystore is corrupted')
+  }
+  return BigInt('0x' + plaintext.toString('hex'))
+}
+
+/**
+ * Derive the encryption key of a keystore from a password with scrypt.
+ * @param {(String|Buffer)} password The password.
+ * @param {Object} kdf The parameters of scrypt.
+ * @returns {Promise<Buffer>} The key.
+ * @private
+ */
+async function deriveKey(password, {salt, N, r, p}) {
+  // The parameters of a keystore may be crafted to exhaust memory before the password is checked.
+  for (let [name, value] of Object.entries({N, r, p})) {
+    if (!Number.isSafeInteger(value) || value < 1 || value > SCRYPT_MAX[name]) {
+      throw new InvalidArgumentError('scrypt parameter ' + name + ' must be an integer in [1, ' +
+        SCRYPT_MAX[name] + ']')
+    }
+  }
+  // Allow for the memory scrypt needs with the given parameters.
+  const maxmem = 256 * N * r
+  try {
+    return await promisify(crypto.scrypt)(data.octets(password), Buffer.from(salt, 'hex'), 32,
+      {N, r, p, maxmem})
+  } catch (err) {
+    throw new InvalidArgumentError('Invalid scrypt parameters: ' + err.message)
+  }
+}
+
+module.exports = {
+  derive,
+  encrypt,
+  decrypt,
+}
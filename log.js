@@ -0,0 +1,275 @@
+'use strict'
+const crypto = require('crypto')
+const type = require('./type')
+const tf = type.typeforce
+const encoding = require('./encoding')
+const snapshot = require('./snapshot')
+const {InvalidArgumentError, InvalidLogError} = require('./errors')
+
+/**
+ * The version of the log format.
+ * @private
+ */
+const VERSION = 1
+
+/**
+ * The hash that precedes the first entry of a log.
+ * @private
+ */
+const GENESIS = '0'.repeat(64)
+
+/**
+ * Tag that separates the signatures of checkpoints from other uses of the key.
+ * @private
+ */
+const DOMAIN = 'ecc-acc log checkpoint'
+
+class Log {
+
+  /**
+   * Creates a log. A Log records every update published by an accumulator from its first update
+   * along with the time it was published. Each entry is chained to the previous entry by its
+   * hash, and the accumulation (z, i, Q) at an entry can be signed in a checkpoint, so the log
+   * can be audited by anyone with the public key. The log can be serialized as JSON with
+   * [toJSON](#Log+toJSON), verified with [audit](#audit), and replayed into a new prover with
+   * [Prover.fromLog](#Prover.fromLog).
+   * @param {Accumulator} accumulator The accumulator, which must not have published any updates.
+   * @param {(KeyObject|String|Buffer)} key The private key that signs checkpoints, such as an
+   * Ed25519 key.
+   * @param {Object} [options] Optional settings.
+   * @param {Number} [options.interval] The number of entries between checkpoints that are signed
+   * automatically, or 0 to sign checkpoints only when [checkpoint](#Log+checkpoint) is called.
+   * Defaults to 1.
+   */
+  constructor(accumulator, key, options = {}) {
+    tf(tf.tuple(tf.quacksLike('Accumulator'), type.AsymmetricKey, tf.maybe(type.LogOptions)),
+      arguments)
+    if (accumulator.seq !== 0) {
+      throw new InvalidArgumentError('A log must record the accumulation from its first update')
+    }
+    this.accumulator = accumulator
+    this.curve = accumulator.curve
+    this.key = key
+    this.interval = options.interval === undefined ? 1 : options.interval
+    this.entries = []
+    this.checkpoints = []
+    this.head = GENESIS
+    this.listener = update => append(this, update)
+    accumulator.on('update', this.listener)
+  }
+
+  /**
+   * Sign a checkpoint of the current accumulation at the last entry of the log.
+   * @returns {LogCheckpoint} The checkpoint.
+   * @throws {InvalidArgumentError} If the log has no entries.
+   */
+  checkpoint() {
+    const {curve, accumulator: {z, i, Q}} = this
+    if (this.entries.length === 0) {
+      throw new InvalidArgumentError('Log has no entries')
+    }
+    const checkpoint = {
+      seq: this.entries.length,
+      time: Date.now(),
+      hash: this.head,
+      z: encoding.Point.toJSON(curve, z),
+      i,
+      Q: encoding.Point.toJSON(curve, Q),
+    }
+    checkpoint.signature = crypto.sign(null, message(checkpoint), this.key).toString('hex')
+    this.checkpoints.push(checkpoint)
+    return checkpoint
+  }
+
+  /**
+   * Stop recording the updates of the accumulator.
+   */
+  close() {
+    this.accumulator.off('update', this.listener)
+  }
+
+  /**
+   * Convert the log to a form that can be serialized as JSON.
+   * @returns {AuditLog} The log.
+   */
+  toJSON() {
+    return {
+      version: VERSION,
+      curve: snapshot.identifyCurve(this.curve),
+      entries: this.entries.slice(),
+      checkpoints: this.checkpoints.slice(),
+    }
+  }
+
+}
+
+/**
+ * Verify a log independently of the accumulator. The hash chain of the entries and the link of
+ * each update to the previous update must be intact, times must not decrease, and every
+ * checkpoint must be signed and match the entry it was taken at. Verifying that the accumulation
+ * of each checkpoint results from the updates requires replaying them with
+ * [Prover.fromLog](#Prover.fromLog).
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(AuditLog|String)} log The log, parsed or unparsed.
+ * @param {(KeyObject|String|Buffer)} key The public key that signs checkpoints.
+ * @returns {Boolean} True if the log is valid; false otherwise, including if it is malformed.
+ */
+function audit(curve, log, key) {
+  tf(tf.tuple(type.Curve, tf.oneOf(tf.Object, tf.String), type.AsymmetricKey), arguments)
+  try {
+    read(curve, log, key)
+    return true
+  } catch (err) {
+    if (err instanceof InvalidLogError) {
+      return false
+    }
+    throw err
+  }
+}
+
+/**
+ * Verify a log and decode its updates and checkpoints.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(AuditLog|String)} log The log, parsed or unparsed.
+ * @param {(KeyObject|String|Buffer)} key The public key that signs checkpoints.
+ * @returns {{updates: Object[], checkpoints: Object[]}} The updates in order and the checkpoints
+ * with their points decoded.
+ * @throws {InvalidLogError} If the log is not valid.
+ * @private
+ */
+function read(curve, log, key) {
+  tf(tf.tuple(type.Curve, tf.oneOf(tf.Object, tf.String), type.AsymmetricKey), arguments)
+  // A log that cannot be parsed is as invalid as one whose entries do not verify.
+  try {
+    if (typeof(log) === 'string') {
+      log = JSON.parse(log)
+    }
+    tf(type.AuditLog, log)
+  } catch (err) {
+    if (!(err instanceof SyntaxError || err instanceof InvalidArgumentError)) {
+      throw err
+    }
+    throw new InvalidLogError('Log is malformed: ' + err.message, 0)
+  }
+  if (log.version !== VERSION) {
+    throw new InvalidLogError('Unsupported log version', 0)
+  }
+  if (log.curve !== snapshot.identifyCurve(curve)) {
+    throw new InvalidLogError('Log was recorded over a different curve', 0)
+  }
+  const updates = []
+  let hash = GENESIS
+  let link = GENESIS
+  let time = 0
+  for (let k = 0; k < log.entries.length; k++) {
+    const entry = log.entries[k]
+    const seq = k + 1
+    let update
+    try {
+      update = encoding.AnyUpdate.fromJSON(curve, entry.update)
+    } catch (err) {
+      throw new InvalidLogError('Update cannot be decoded: ' + err.message, seq)
+    }
+    if (update.seq !== seq || update.prev !== link) {
+      throw new InvalidLogError('Update does not follow the previous update', seq)
+    }
+    if (entry.time < time) {
+      throw new InvalidLogError('Entry is older than the previous entry', seq)
+    }
+    hash = chain(curve, hash, entry.time, update)
+    if (entry.hash !== hash) {
+      throw new InvalidLogError('Hash does not match the entry', seq)
+    }
+    link = encoding.link(curve, update)
+    time = entry.time
+    updates.push(update)
+  }
+  let seq = 0
+  const checkpoints = log.checkpoints.map(checkpoint => {
+    if (checkpoint.seq <= seq || checkpoint.seq > updates.length) {
+      throw new InvalidLogError('Checkpoint is out of order', checkpoint.seq)
+    }
+    seq = checkpoint.seq
+    const entry = log.entries[seq - 1]
+    if (checkpoint.hash !== entry.hash || checkpoint.time < entry.time) {
+      throw new InvalidLogError('Checkpoint does not match the entry', seq)
+    }
+    const signature = Buffer.from(checkpoint.signature, 'hex')
+    if (!crypto.verify(null, message(checkpoint), key, signature)) {
+      throw new InvalidLogError('Checkpoint signature is not valid', seq)
+    }
+    try {
+      return Object.assign({}, checkpoint, {
+        z: encoding.Point.fromJSON(curve, checkpoint.z),
+        Q: encoding.Point.fromJSON(curve, checkpoint.Q),
+      })
+    } catch (err) {
+      throw new InvalidLogError('Checkpoint cannot be decoded: ' + err.message, seq)
+    }
+  })
+  return {updates, checkpoints}
+}
+
+/**
+ * Record an update published by the accumulator of a log, and sign a checkpoint if one is due.
+ * @param {Log} log The log.
+ * @param {(Update|WitnessUpdate|BatchUpdate|BatchWitnessUpdate|RotationUpdate)} update The
+ * update.
+ * @private
+ */
+function append(log, update) {
+  const time = Math.max(Date.now(), log.entries.length ? log.entries.at(-1).time : 0)
+  log.head = chain(log.curve, log.head, time, update)
+  log.entries.push({
+    time,
+    update: encoding.AnyUpdate.toJSON(log.curve, update),
+    hash: log.head,
+  })
+  if (log.interval > 0 && log.entries.length % log.interval === 0) {
+    log.checkpoint()
+  }
+}
+
+/**
+ * Compute the hash of an entry, which commits to the hash of the previous entry, the time of the
+ * entry and the encoding of its update.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {String} prev The hash of the previous entry.
+ * @param {Number} time The time of the entry in milliseconds since the epoch.
+ * @param {Object} update The update.
+ * @returns {String} The hex representation of the hash.
+ * @private
+ */
+function chain(curve, prev, time, update) {
+  const header = Buffer.alloc(8)
+  header.writeBigUInt64BE(BigInt(time))
+  return crypto.createHash('sha256')
+    .update(Buffer.from(prev, 'hex'))
+    .update(header)
+    .update(encoding.AnyUpdate.encode(curve, update))
+    .digest('hex')
+}
+
+/**
+ * Serialize the signed contents of a checkpoint.
+ * @param {LogCheckpoint} checkpoint The checkpoint.
+ * @returns {Buffer} The message that is signed.
+ * @private
+ */
+function message({seq, time, hash, z, i, Q}) {
+  const header = Buffer.alloc(16)
+  header.writeUInt32BE(seq, 0)
+  header.writeBigUInt64BE(BigInt(time), 4)
+  header.writeInt32BE(i === null ? -1 : i, 12)
+  const points = [z, Q].map(point => {
+    const bytes = Buffer.from(point, 'hex')
+    return Buffer.concat([Buffer.from([bytes.length]), bytes])
+  })
+  return Buffer.concat([Buffer.from(DOMAIN), header, Buffer.from(hash, 'hex')].concat(points))
+}
+
+module.exports = {
+  Log,
+  audit,
+  read,
+}
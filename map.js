@@ -0,0 +1,181 @@
+'use strict'
+const type = require('./type')
+const tf = type.typeforce
+const hashes = require('./hashes')
+const data = require('./data')
+const {InvalidArgumentError} = require('./errors')
+
+/**
+ * The target security level in bits of hash_to_field, which determines how many bytes are
+ * reduced into each field element.
+ * @private
+ */
+const SECURITY = 128
+
+/**
+ * Prefix of domain separation tags that are too long and must be hashed.
+ * @private
+ */
+const OVERSIZE = 'H2C-OVERSIZE-DST-'
+
+/**
+ * Return a hex string representing the data in a buffer.
+ * @param {Buffer} buffer The buffer to hexlify.
+ * @returns {String} The hex representation of the buffer.
+ * @private
+ */
+function bufferToHex(buffer) {
+  return [...new Uint8Array(buffer)].map(x => x.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Maps some data to an element in the set Zq. By default the digest of the data is reduced
+ * modulo the group order. If hash_to_field options are given, the data is mapped as described in
+ * RFC 9380 instead.
+ * @param {String|function} H The name of a registered hash backend or a hash function.
+ * @param {Data} d The data to be mapped.
+ * @param {BigInt} The group order of the curve.
+ * @param {?HashToField} [options] The hash_to_field options.
+ * @returns {Promise<BigInt>} The mapped element.
+ * @private
+ */
+async function map(H, d, n, options) {
+  tf(tf.tuple(type.Hash, type.Data, type.BigInt, tf.maybe(type.HashToField)), arguments)
+  // A hash function may be asynchronous.
+  if (typeof(H) === 'function' && !options) {
+    return reduce(await H(data.toBytes(d)), n)
+  }
+  return mapSync(H, d, n, options)
+}
+
+/**
+ * Maps some data to an element in the set Zq synchronously. This requires H to be the name of a
+ * registered hash backend or a synchronous hash function.
+ * @param {String|function} H The name of a registered hash backend or a hash function.
+ * @param {Data} d The data to be mapped.
+ * @param {BigInt} The group order of the curve.
+ * @param {?HashToField} [options] The hash_to_field options.
+ * @returns {BigInt} The mapped element.
+ * @private
+ */
+function mapSync(H, d, n, options) {
+  tf(tf.tuple(type.Hash, type.Data, type.BigInt, tf.maybe(type.HashToField)), arguments)
+  if (options) {
+    const [e] = hashToField(H, d, n, 1, options)
+    return e
+  }
+  const digest = typeof(H) === 'string' ? hashes.get(H).digest : H
+  const buf = digest(data.toBytes(d))
+  if (buf && typeof(buf.then) === 'function') {
+    throw new InvalidArgumentError('Hash function is not synchronous')
+  }
+  return reduce(buf, n)
+}
+
+/**
+ * Reduce a digest modulo the group order.
+ * @param {(ArrayBuffer|Uint8Array)} buf The digest.
+ * @param {BigInt} n The group order of the curve.
+ * @returns {BigInt} The reduced digest.
+ * @private
+ */
+function reduce(buf, n) {
+  if (!(buf instanceof ArrayBuffer || ArrayBuffer.isView(buf))) {
+    throw new InvalidArgumentError('Hash function did not return a digest')
+  }
+  return BigInt('0x' + bufferToHex(buf)) % n
+}
+
+/**
+ * Hash some data to elements of the field of integers modulo p as described in section 5.2 of
+ * RFC 9380.
+ * @param {String} H The name of a registered hash backend.
+ * @param {Data} d The data to be hashed.
+ * @param {BigInt} p The modulus.
+ * @param {Number} count The number of elements to output.
+ * @param {HashToField} options The domain separation tag and the expander.
+ * @returns {BigInt[]} The elements.
+ * @private
+ */
+function hashToField(H, d, p, count, {dst, expand = 'xmd'}) {
+  if (typeof(H) !== 'string') {
+    throw new InvalidArgumentError('hash_to_field requires the name of a registered hash')
+  }
+  const L = Math.ceil((p.toString(2).length + SECURITY) / 8)
+  const bytes = expandMessage(H, data.toBytes(d), data.octets(dst), count * L, expand)
+  const elements = []
+  for (let k = 0; k < count; k++) {
+    // Reduce L bytes to each element.
+    elements.push(BigInt('0x' + bufferToHex(bytes.subarray(k * L, (k + 1) * L))) % p)
+  }
+  return elements
+}
+
+/**
+ * Expand a message to uniformly random bytes with expand_message_xmd or expand_message_xof as
+ * described in section 5.3 of RFC 9380.
+ * @param {String} H The name of a registered hash backend.
+ * @param {Buffer} msg The message.
+ * @param {Buffer} dst The domain separation tag.
+ * @param {Number} length The number of bytes to output.
+ * @param {String} expand Either 'xmd' or 'xof'.
+ * @returns {Buffer} The bytes.
+ * @private
+ */
+function expandMessage(H, msg, dst, length, expand) {
+  const backend = hashes.get(H)
+  if (expand === 'xof') {
+    if (!backend.xof) {
+      throw new InvalidArgumentError(H + ' is not an extendable-output function')
+    }
+    const xof = (data, length) => Buffer.from(backend.xof(data, length))
+    if (dst.length > 255) {
+      dst = xof(Buffer.concat([Buffer.from(OVERSIZE), dst]), Math.ceil(2 * SECURITY / 8))
+    }
+    if (length > 65535) {
+      throw new InvalidArgumentError('Requested too many bytes from expand_message_xof')
+    }
+    // Compute H(msg || I2OSP(length, 2) || DST_prime, length).
+    return xof(Buffer.concat([msg, i2osp(length, 2), dst, i2osp(dst.length, 1)]), length)
+  }
+  if (!backend.blockSize || backend.xof) {
+    throw new InvalidArgumentError(H + ' cannot be used with expand_message_xmd')
+  }
+  const hash = data => Buffer.from(backend.digest(data))
+  if (dst.length > 255) {
+    dst = hash(Buffer.concat([Buffer.from(OVERSIZE), dst]))
+  }
+  const dstPrime = Buffer.concat([dst, i2osp(dst.length, 1)])
+  const zPad = Buffer.alloc(backend.blockSize)
+  const b0 = hash(Buffer.concat([zPad, msg, i2osp(length, 2), i2osp(0, 1), dstPrime]))
+  // The digest must be at least twice as long as the security level.
+  if (b0.length * 8 < 2 * SECURITY) {
+    throw new InvalidArgumentError(H + ' is too short for expand_message_xmd')
+  }
+  const ell = Math.ceil(length / b0.length)
+  if (ell > 255 || length > 65535) {
+    throw new InvalidArgumentError('Requested too many bytes from expand_message_xmd')
+  }
+  // Compute each b_i = H(strxor(b_0, b_(i - 1)) || I2OSP(i, 1) || DST_prime).
+  const blocks = [hash(Buffer.concat([b0, i2osp(1, 1), dstPrime]))]
+  for (let i = 2; i <= ell; i++) {
+    const xor = b0.map((x, k) => x ^ blocks[i - 2][k])
+    blocks.push(hash(Buffer.concat([xor, i2osp(i, 1), dstPrime])))
+  }
+  return Buffer.concat(blocks).subarray(0, length)
+}
+
+/**
+ * Convert a non-negative integer to a big-endian byte string of a given length.
+ * @param {Number} value The integer.
+ * @param {Number} length The length in bytes.
+ * @returns {Buffer} The byte string.
+ * @private
+ */
+function i2osp(value, length) {
+  const bytes = Buffer.alloc(length)
+  bytes.writeUIntBE(value, 0, length)
+  return bytes
+}
+
+module.exports = Object.assign(map, {sync: mapSync, hashToField, expandMessage})
@@ -0,0 +1,585 @@
+'use strict'
+const http = require('http')
+const crypto = require('crypto')
+const {once} = require('events')
+const type = require('./type')
+const tf = type.typeforce
+const encoding = require('./encoding')
+const snapshot = require('./snapshot')
+const {
+  AccumulatorError,
+  InvalidArgumentError,
+  UpdateGapError,
+  NotMemberError,
+  DuplicateMemberError,
+  HashCollisionError,
+  EmptyAccumulatorError,
+  QuorumError,
+  HttpError,
+} = require('./errors')
+
+/**
+ * The default number of milliseconds a request for updates waits for the next update.
+ * @private
+ */
+const TIMEOUT = 30000
+
+/**
+ * The default maximum size of a request body in bytes.
+ * @private
+ */
+const LIMIT = 1 << 20
+
+/**
+ * The status codes of errors that are not invalid requests, checked in order.
+ * @private
+ */
+const STATUS = [
+  [UpdateGapError, 410],
+  [NotMemberError, 404],
+  [DuplicateMemberError, 409],
+  [HashCollisionError, 409],
+  [EmptyAccumulatorError, 409],
+  [QuorumError, 503],
+]
+
+class Server {
+
+  /**
+   * Creates a server. A Server exposes an accumulator or a prover over HTTP with JSON requests
+   * and responses. A server of an [Accumulator](#Accumulator) has the admin role: it holds the
+   * secret, adds and deletes elements for requests that present its token, and publishes its
+   * updates so that provers can follow it with an [HttpSource](#HttpSource). A server of a
+   * [Prover](#Prover) has the public role: it proves and verifies membership without the secret.
+   * The routes of both roles are:
+   *
+   * - `GET /status` returns the role, curve, sequence number, link and size.
+   * - `GET /has?element=E` returns whether an element is a member.
+   * - `POST /prove` returns the witness of an element or the aggregate witness of elements.
+   * - `POST /verify` returns whether a witness is valid.
+   *
+   * and the admin role adds:
+   *
+   * - `POST /add` adds elements and returns the update.
+   * - `POST /del` deletes elements and returns the update.
+   * - `GET /checkpoint` returns a checkpoint for new provers.
+   * - `GET /updates?from=N` returns the updates from N, which is at most the next sequence
+   * number, waiting for the next update if there are none, or streams them as server-sent events
+   * if the request accepts `text/event-stream`.
+   *
+   * Elements are given as `element` or `elements` in the request body or query. A string is hex
+   * encoded bytes if `hex` is true, and any other JSON value in a body is structured
+   * [Data](#Data). Updates and witnesses are in the JSON form of their codec in
+   * [encoding](#encoding). Errors are returned with the name and message of the error.
+   * @param {(Accumulator|Prover)} party The accumulator or prover.
+   * @param {Object} [options] Optional settings.
+   * @param {String} [options.token] The bearer token that requests to add and delete elements
+   * must present. Required by the admin role.
+   * @param {Number} [options.timeout] The number of milliseconds a request for updates waits for
+   * the next update. Defaults to 30 seconds.
+   * @param {Number} [options.limit] The maximum size of a request body in bytes. Defaults to 1 MiB.
+   * @throws {InvalidArgumentError} If the party is an accumulator and no token is given.
+   */
+  constructor(party, options = {}) {
+    tf(tf.tuple(tf.oneOf(tf.quacksLike('Accumulator'), tf.quacksLike('Prover')),
+      tf.maybe(type.ServerOptions)), arguments)
+    this.party = party
+    this.role = tf.quacksLike('Accumulator')(party) ? 'admin' : 'public'
+    if (this.role === 'admin' && options.token === undefined) {
+      throw new InvalidArgumentError('The server of an accumulator requires a token')
+    }
+    this.token = options.token === undefined ? null : options.token
+    this.timeout = options.timeout === undefined ? TIMEOUT : options.timeout
+    this.limit = options.limit === undefined ? LIMIT : options.limit
+    this.controller = new AbortController()
+    this.http = http.createServer((req, res) => handle(this, req, res))
+  }
+
+  /**
+   * Start listening for requests.
+   * @param {Number} [port] The port, or 0 for any free port. Defaults to 0.
+   * @param {String} [host] The address. Defaults to the loopback address 127.0.0.1.
+   * @returns {Promise<String>} The URL of the server.
+   */
+  async listen(port = 0, host = '127.0.0.1') {
+    tf(tf.tuple(tf.maybe(tf.UInt16), tf.maybe(tf.String)), arguments)
+    this.http.listen(port, host)
+    await once(this.http, 'listening')
+    const address = this.http.address()
+    const name = address.family === 'IPv6' ? '[' + address.address + ']' : address.address
+    return 'http://' + name + ':' + address.port
+  }
+
+  /**
+   * Stop listening for requests and end the responses that are waiting for updates.
+   * @returns {Promise} A promise that resolves when every connection has closed.
+   */
+  async close() {
+    this.controller.abort()
+    const closed = once(this.http, 'close')
+    this.http.close()
+    this.http.closeIdleConnections()
+    await closed
+  }
+
+}
+
+class HttpSource {
+
+  /**
+   * Creates an HTTP source. An HttpSource is an [UpdateSource](#UpdateSource) that receives the
+   * updates published by the accumulator of an admin [Server](#Server) as server-sent events, so
+   * that a prover can [follow](#Prover+follow) it.
+   * @param {String} url The URL of the server.
+   */
+  constructor(url) {
+    tf(tf.tuple(tf.String), arguments)
+    this.url = url.replace(/\/+$/, '')
+  }
+
+  /**
+   * Return an async iterator over the JSON encodings of the updates published by the server,
+   * replaying those from a sequence number that the server still retains.
+   * @param {Number} from The sequence number of the first update.
+   * @param {Object} [options] Optional settings.
+   * @param {AbortSignal} [options.signal] A signal that ends the iteration when aborted.
+   * @returns {AsyncGenerator<String>} The iterator, which throws an [HttpError](#HttpError) if
+   * the server rejects the request.
+   */
+  updates(from, options = {}) {
+    tf(tf.tuple(tf.UInt32, tf.maybe(type.StreamOptions)), arguments)
+    return receive(this, from, options.signal)
+  }
+
+}
+
+/**
+ * The routes of a server keyed by path. Each route has its method, the role that serves it if
+ * only one does, whether it requires the token, and a function that returns its response.
+ * @private
+ */
+const ROUTES = {
+
+  '/status': {
+    method: 'GET',
+    async handle(server) {
+      const {party} = server
+      return {
+        role: server.role,
+        curve: snapshot.identifyCurve(party.curve),
+        seq: party.seq,
+        link: party.link,
+        size: party.size,
+      }
+    },
+  },
+
+  '/has': {
+    method: 'GET',
+    async handle(server, url) {
+      const [d] = parseElements(queryOf(url), 1)
+      return {member: await server.party.has(d), size: server.party.size}
+    },
+  },
+
+  '/prove': {
+    method: 'POST',
+    async handle(server, url, body) {
+      const {party} = server
+      const D = parseElements(body)
+      const [codec, witness] = D.length === 1 ?
+        [encoding.Witness, await party.prove(D[0])] :
+        [encoding.AggregateWitness, await party.proveMany(D)]
+      return {witness: codec.toJSON(party.curve, witness)}
+    },
+  },
+
+  '/verify': {
+    method: 'POST',
+    async handle(server, url, body) {
+      const {party} = server
+      tf(tf.object({witness: tf.Object}), body)
+      const {witness} = body
+      if (witness.type === 'AggregateWitness') {
+        return {valid: await party.verifyMany(encoding.AggregateWitness.fromJSON(party.curve,
+          witness))}
+      }
+      // The update of an addition contains a witness of the element it added.
+      const codec = witness.type === 'WitnessUpdate' ? encoding.WitnessUpdate : encoding.Witness
+      return {valid: await party.verify(codec.fromJSON(party.curve, witness))}
+    },
+  },
+
+  '/add': {
+    method: 'POST',
+    role: 'admin',
+    authorized: true,
+    async handle(server, url, body) {
+      const {party} = server
+      const D = parseElements(body)
+      return published(party, D.length === 1 ? await party.add(D[0]) : await party.addBatch(D))
+    },
+  },
+
+  '/del': {
+    method: 'POST',
+    role: 'admin',
+    authorized: true,
+    async handle(server, url, body) {
+      const {party} = server
+      const D = parseElements(body)
+      return published(party, D.length === 1 ? await party.delElement(D[0]) :
+        await party.delElementBatch(D))
+    },
+  },
+
+  '/checkpoint': {
+    method: 'GET',
+    role: 'admin',
+    async handle(server) {
+      const {party} = server
+      return {checkpoint: encoding.Checkpoint.toJSON(party.curve, await party.checkpoint())}
+    },
+  },
+
+  '/updates': {
+    method: 'GET',
+    role: 'admin',
+    async handle(server, url, body, req, res) {
+      return /\btext\/event-stream\b/.test(req.headers.accept) ?
+        await streamUpdates(server, url, req, res) : await pollUpdates(server, url, res)
+    },
+  },
+
+}
+
+/**
+ * Respond to a request.
+ * @param {Server} server The server.
+ * @param {http.IncomingMessage} req The request.
+ * @param {http.ServerResponse} res The response.
+ * @returns {Promise} A promise that resolves when the response has been sent.
+ * @private
+ */
+async function handle(server, req, res) {
+  try {
+    const url = new URL(req.url, 'http://localhost')
+    const route = Object.hasOwn(ROUTES, url.pathname) ? ROUTES[url.pathname] : undefined
+    if (route === undefined || (route.role !== undefined && route.role !== server.role)) {
+      throw new HttpError('No route for ' + url.pathname, 404)
+    }
+    if (req.method !== route.method) {
+      res.setHeader('allow', route.method)
+      throw new HttpError('Method ' + req.method + ' is not allowed', 405)
+    }
+    if (route.authorized && !isAuthorized(server, req)) {
+      res.setHeader('www-authenticate', 'Bearer')
+      throw new HttpError('Request requires the token of the server', 401)
+    }
+    const body = route.method === 'POST' ? await readBody(server, req) : undefined
+    const result = await route.handle(server, url, body, req, res)
+    if (result !== undefined) {
+      // A response that ends after the server closes must not keep its connection open.
+      if (server.controller.signal.aborted) {
+        res.setHeader('connection', 'close')
+      }
+      respond(res, 200, result)
+    }
+  } catch (err) {
+    if (res.headersSent) {
+      res.destroy()
+      return
+    }
+    const status = statusOf(err)
+    respond(res, status, status === 500 ?
+      {error: 'Error', message: 'Internal server error'} :
+      {error: err.name, message: err.message})
+  }
+}
+
+/**
+ * Send a JSON response.
+ * @param {http.ServerResponse} res The response.
+ * @param {Number} status The status code.
+ * @param {Object} json The body.
+ * @private
+ */
+function respond(res, status, json) {
+  const body = JSON.stringify(json)
+  res.writeHead(status, {
+    'content-type': 'application/json',
+    'content-length': Buffer.byteLength(body),
+  })
+  res.end(body)
+}
+
+/**
+ * Find the status code of the response to a request that failed.
+ * @param {Error} err The error.
+ * @returns {Number} The status code.
+ * @private
+ */
+function statusOf(err) {
+  if (err instanceof HttpError) {
+    return err.status
+  }
+  const match = STATUS.find(([ErrorType]) => err instanceof ErrorType)
+  if (match !== undefined) {
+    return match[1]
+  }
+  // Errors of the module are caused by the request, as are bodies that are not JSON.
+  return err instanceof AccumulatorError || err instanceof SyntaxError ? 400 : 500
+}
+
+/**
+ * Check that a request presents the token of a server without revealing the token through the
+ * time taken to compare it.
+ * @param {Server} server The server.
+ * @param {http.IncomingMessage} req The request.
+ * @returns {Boolean} True if the request presents the token; false otherwise.
+ * @private
+ */
+function isAuthorized(server, req) {
+  const match = /^Bearer (.+)$/.exec(req.headers.authorization || '')
+  if (match === null) {
+    return false
+  }
+  const digest = value => crypto.createHash('sha256').update(value).digest()
+  return crypto.timingSafeEqual(digest(match[1]), digest(server.token))
+}
+
+/**
+ * Read the JSON body of a request.
+ * @param {Server} server The server.
+ * @param {http.IncomingMessage} req The request.
+ * @returns {Promise<Object>} The parsed body.
+ * @throws {HttpError} If the body is larger than the limit of the server.
+ * @throws {SyntaxError} If the body is not JSON.
+ * @private
+ */
+async function readBody(server, req) {
+  const chunks = []
+  let length = 0
+  for await (let chunk of req) {
+    length += chunk.length
+    if (length > server.limit) {
+      throw new HttpError('Request body is larger than ' + server.limit + ' bytes', 413)
+    }
+    chunks.push(chunk)
+  }
+  return JSON.parse(Buffer.concat(chunks).toString('utf8'))
+}
+
+/**
+ * Convert the query of a request to the form of a request body.
+ * @param {URL} url The URL of the request.
+ * @returns {Object} The element and encoding given in the query.
+ * @private
+ */
+function queryOf(url) {
+  const query = {}
+  if (url.searchParams.has('element')) {
+    query.element = url.searchParams.get('element')
+  }
+  if (url.searchParams.has('hex')) {
+    query.hex = url.searchParams.get('hex') === 'true'
+  }
+  return query
+}
+
+/**
+ * Convert the elements of a request to their data. An element that is a string is hex encoded
+ * bytes if hex is true, and any other JSON value is structured data.
+ * @param {Object} body The body of the request.
+ * @param {Number} [max] The maximum number of elements.
+ * @returns {Data[]} The data of the elements.
+ * @throws {InvalidArgumentError} If the request does not give elements, gives more than the
+ * maximum, or gives elements that are not hex encoded bytes when hex is true.
+ * @private
+ */
+function parseElements(body, max = Infinity) {
+  tf(tf.object({
+    elements: tf.maybe(tf.Array),
+    hex: tf.maybe(tf.Boolean),
+  }), body)
+  if ((body.element === undefined) === (body.elements === undefined)) {
+    throw new InvalidArgumentError('Request must give either element or elements')
+  }
+  const D = body.element === undefined ? body.elements : [body.element]
+  if (D.length === 0 || D.length > max) {
+    throw new InvalidArgumentError('Request must give ' +
+      (max === 1 ? 'one element' : 'at least one element'))
+  }
+  return D.map(d => {
+    if (!body.hex || typeof(d) !== 'string') {
+      return d
+    }
+    if (!/^([0-9a-f]{2})*$/i.test(d)) {
+      throw new InvalidArgumentError(d + ' is not hex encoded bytes')
+    }
+    return Buffer.from(d, 'hex')
+  })
+}
+
+/**
+ * Describe an update that an accumulator has just published.
+ * @param {Accumulator} accumulator The accumulator.
+ * @param {Object} update The update.
+ * @returns {Object} The sequence number, operation, size and JSON form of the update.
+ * @private
+ */
+function published(accumulator, update) {
+  return {
+    seq: update.seq,
+    op: update.op,
+    size: accumulator.size,
+    update: encoding.AnyUpdate.toJSON(accumulator.curve, update),
+  }
+}
+
+/**
+ * Find the sequence number of the first update requested.
+ * @param {Server} server The server.
+ * @param {URL} url The URL of the request.
+ * @param {String} [last] The sequence number of the last event the client received.
+ * @returns {Number} The sequence number, which defaults to that of the next update.
+ * @throws {InvalidArgumentError} If the sequence number is not a positive integer.
+ * @private
+ */
+function firstOf(server, url, last) {
+  const from = url.searchParams.has('from') ? url.searchParams.get('from') :
+    last === undefined ? undefined : String(Number(last) + 1)
+  if (from === undefined) {
+    return server.party.seq + 1
+  }
+  if (!/^[1-9][0-9]*$/.test(from)) {
+    throw new InvalidArgumentError('from must be a positive integer')
+  }
+  return Number(from)
+}
+
+/**
+ * Return a signal that is aborted when a server closes, the response closes, or, if given, a
+ * number of milliseconds has passed.
+ * @param {Server} server The server.
+ * @param {http.ServerResponse} res The response.
+ * @param {Number} [timeout] The number of milliseconds.
+ * @returns {AbortSignal} The signal.
+ * @private
+ */
+function signalOf(server, res, timeout) {
+  const controller = new AbortController()
+  res.once('close', () => controller.abort())
+  const signals = [server.controller.signal, controller.signal]
+  if (timeout !== undefined) {
+    signals.push(AbortSignal.timeout(timeout))
+  }
+  return AbortSignal.any(signals)
+}
+
+/**
+ * Respond to a request for updates with the updates the accumulator of a server has published
+ * from a sequence number, waiting for the next update if it has published none. The wait can be
+ * shortened with the wait query parameter.
+ * @param {Server} server The server.
+ * @param {URL} url The URL of the request.
+ * @param {http.ServerResponse} res The response.
+ * @returns {Promise<Object>} The updates and the sequence number of the last update published.
+ * @private
+ */
+async function pollUpdates(server, url, res) {
+  const {party} = server
+  const from = firstOf(server, url)
+  let timeout = server.timeout
+  if (url.searchParams.has('wait')) {
+    const wait = url.searchParams.get('wait')
+    if (!/^[0-9]+$/.test(wait)) {
+      throw new InvalidArgumentError('wait must be a number of milliseconds')
+    }
+    timeout = Math.min(Number(wait), timeout)
+  }
+  const updates = []
+  for await (let update of party.updates(from, {signal: signalOf(server, res, timeout)})) {
+    updates.push(encoding.AnyUpdate.toJSON(party.curve, update))
+    if (update.seq >= party.seq) {
+      break
+    }
+  }
+  return {updates, seq: party.seq}
+}
+
+/**
+ * Stream the updates the accumulator of a server publishes as server-sent events until the
+ * server or the response closes. Each event has the sequence number of its update as its id, so
+ * a client that reconnects with the Last-Event-ID header resumes after the last update it
+ * received.
+ * @param {Server} server The server.
+ * @param {URL} url The URL of the request.
+ * @param {http.IncomingMessage} req The request.
+ * @param {http.ServerResponse} res The response.
+ * @returns {Promise} A promise that resolves when the stream ends.
+ * @private
+ */
+async function streamUpdates(server, url, req, res) {
+  const {party} = server
+  const from = firstOf(server, url, req.headers['last-event-id'])
+  // Subscribe before responding so that updates that are no longer retained are rejected.
+  const updates = party.updates(from, {signal: signalOf(server, res)})
+  // The connection closes with the stream, which a client reopens to resume.
+  res.writeHead(200, {
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-store',
+    connection: 'close',
+  })
+  res.flushHeaders()
+  for await (let update of updates) {
+    const json = JSON.stringify(encoding.AnyUpdate.toJSON(party.curve, update))
+    res.write('id: ' + update.seq + '\nevent: update\ndata: ' + json + '\n\n')
+  }
+  res.end()
+}
+
+/**
+ * Receive the updates of an HTTP source as server-sent events.
+ * @param {HttpSource} source The source.
+ * @param {Number} from The sequence number of the first update.
+ * @param {AbortSignal} [signal] A signal that ends the iteration when aborted.
+ * @returns {AsyncGenerator<String>} The JSON encodings of the updates.
+ * @private
+ */
+async function* receive(source, from, signal) {
+  try {
+    const response = await fetch(source.url + '/updates?from=' + from, {
+      headers: {accept: 'text/event-stream'},
+      signal,
+    })
+    if (!response.ok) {
+      const {message} = await response.json()
+      throw new HttpError(message, response.status)
+    }
+    let buffer = ''
+    for await (let chunk of response.body.pipeThrough(new TextDecoderStream())) {
+      buffer += chunk
+      let end
+      while ((end = buffer.indexOf('\n\n')) >= 0) {
+        const data = buffer.slice(0, end).split('\n')
+          .filter(line => line.startsWith('data:'))
+          .map(line => line.slice(5).trim())
+          .join('\n')
+        buffer = buffer.slice(end + 2)
+        if (data.length > 0) {
+          yield data
+        }
+      }
+    }
+  } catch (err) {
+    if (err.name !== 'AbortError') {
+      throw err
+    }
+  }
+}
+
+module.exports = {
+  Server,
+  HttpSource,
+}
@@ -0,0 +1,151 @@
+'use strict'
+const crypto = require('crypto')
+const type = require('./type')
+const tf = type.typeforce
+const encoding = require('./encoding')
+const curves = require('./curves')
+const {InvalidArgumentError} = require('./errors')
+
+/**
+ * The version of the snapshot format. Version 1 did not have the sequence number, link, members
+ * and hash_to_field options of version 2, and is not supported.
+ * @private
+ */
+const VERSION = 2
+
+/**
+ * Input hashed by a hash function to identify it when it has no name.
+ * @private
+ */
+const FINGERPRINT = 'ecc-acc snapshot'
+
+/**
+ * Seal the state of an instance in a snapshot.
+ * @param {String} name The name of the class the state belongs to.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(String|function)} H The name of a hash algorithm or a hash function.
+ * @param {Object} state The state of the instance, containing only values that can be
+ * serialized as JSON.
+ * @returns {Promise<Snapshot>} The snapshot.
+ * @private
+ */
+async function seal(name, curve, H, state) {
+  tf(tf.tuple(tf.String, type.Curve, type.Hash, tf.Object), arguments)
+  const snapshot = Object.assign({
+    version: VERSION,
+    type: name,
+    curve: identifyCurve(curve),
+    hash: await identifyHash(H),
+  }, state)
+  snapshot.checksum = checksum(snapshot)
+  return snapshot
+}
+
+/**
+ * Validate a snapshot and return the state it contains.
+ * @param {String} name The name of the class the state belongs to.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(String|function)} H The name of a hash algorithm or a hash function.
+ * @param {(Snapshot|String)} snapshot The snapshot, parsed or unparsed.
+ * @param {*} State The type of the state.
+ * @returns {Promise<Object>} The state contained in the snapshot.
+ * @private
+ */
+async function open(name, curve, H, snapshot, State) {
+  tf(tf.tuple(tf.String, type.Curve, type.Hash, tf.oneOf(type.Snapshot, tf.String), tf.Function),
+    arguments)
+  if (typeof(snapshot) === 'string') {
+    try {
+      snapshot = JSON.parse(snapshot)
+    } catch (err) {
+      throw new InvalidArgumentError('Snapshot is not valid JSON: ' + err.message)
+    }
+    tf(type.Snapshot, snapshot)
+  }
+  if (snapshot.version !== VERSION) {
+    throw new InvalidArgumentError('Unsupported snapshot version ' + snapshot.version +
+      '; expected version ' + VERSION)
+  }
+  if (snapshot.checksum !== checksum(snapshot)) {
+    throw new InvalidArgumentError('Snapshot checksum does not match')
+  }
+  if (snapshot.type !== name) {
+    throw new InvalidArgumentError('Snapshot is not of type ' + name)
+  }
+  if (snapshot.curve !== identifyCurve(curve)) {
+    throw new InvalidArgumentError('Snapshot was taken over a different curve')
+  }
+  if (snapshot.hash !== await identifyHash(H)) {
+    throw new InvalidArgumentError('Snapshot was taken with a different hash')
+  }
+  const state = Object.assign({}, snapshot)
+  for (let property of ['version', 'type', 'curve', 'hash', 'checksum']) {
+    delete state[property]
+  }
+  tf(State, state)
+  return state
+}
+
+/**
+ * Compute the checksum of a snapshot over all of its properties except the checksum.
+ * @param {Object} snapshot The snapshot.
+ * @returns {String} The hex representation of the checksum.
+ * @private
+ */
+function checksum(snapshot) {
+  const contents = Object.assign({}, snapshot)
+  delete contents.checksum
+  return crypto.createHash('sha256').update(canonicalize(contents)).digest('hex')
+}
+
+/**
+ * Serialize a value as JSON with the properties of each object in sorted order.
+ * @param {*} value The value to serialize.
+ * @returns {String} The serialized value.
+ * @private
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map(canonicalize).join(',') + ']'
+  }
+  if (value !== null && typeof(value) === 'object') {
+    return '{' + Object.keys(value).sort().map(key => {
+      return JSON.stringify(key) + ':' + canonicalize(value[key])
+    }).join(',') + '}'
+  }
+  return JSON.stringify(value)
+}
+
+/**
+ * Identify a curve by the digest of its group order and base point.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @returns {String} The hex representation of the identifier.
+ * @private
+ */
+function identifyCurve(curve) {
+  curve = curves.adapt(curve)
+  return crypto.createHash('sha256')
+    .update(curve.n.toString(16))
+    .update(encoding.Point.encode(curve, curve.BASE))
+    .digest('hex')
+}
+
+/**
+ * Identify a hash by its name or, for a hash function, the digest it produces for a fixed input.
+ * @param {(String|function)} H The name of a hash algorithm or a hash function.
+ * @returns {Promise<String>} The identifier.
+ * @private
+ */
+async function identifyHash(H) {
+  if (typeof(H) === 'string') {
+    return H
+  }
+  const digest = await H(new TextEncoder().encode(FINGERPRINT))
+  return 'function:' + Buffer.from(digest).toString('hex')
+}
+
+module.exports = {
+  seal,
+  open,
+  identifyCurve,
+}
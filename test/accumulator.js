@@ -1,13 +1,22 @@
+const should = require('should')
 const {webcrypto: {subtle}} = require('crypto')
-const {Accumulator, Prover} = require('..')
-
-describe('accumulator over secp256k1', function() {
-
-  const {secp256k1: curve} = require('@noble/curves/secp256k1')
+const {modInv} = require('bigint-mod-arith')
+const {
+  Accumulator,
+  Prover,
+  NotMemberError,
+  DuplicateMemberError,
+  EmptyAccumulatorError,
+  encoding,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('accumulator over ' + curve.name, function() {
 
   describe('with optional secret', function() {
 
-    const c = BigInt('0x154d396505ca22e65c0c5e055853715e34971edc27018657afe2817e2de41b68')
+    const c = BigInt('0x154d396505ca22e65c0c5e055853715e34971edc27018657afe2817e2de41b68') %
+      curve.n
 
     describe('with hash name', function() {
 
@@ -15,10 +24,10 @@ describe('accumulator over secp256k1', function() {
 
       it('constructs accumulator', function() {
         const accumulator = new Accumulator(curve, hash, c)
-        accumulator.should.have.property('inf').which.equals(curve.ProjectivePoint.ZERO)
-        accumulator.should.have.property('n').which.equals(curve.CURVE.n)
-        accumulator.should.have.property('z').which.equals(curve.ProjectivePoint.BASE)
-        accumulator.should.have.property('Q').which.equals(curve.ProjectivePoint.ZERO)
+        accumulator.should.have.property('inf').which.equals(curve.ZERO)
+        accumulator.should.have.property('n').which.equals(curve.n)
+        accumulator.should.have.property('z').which.equals(curve.BASE)
+        accumulator.should.have.property('Q').which.equals(curve.ZERO)
         accumulator.should.have.property('i').which.is.null()
       })
 
@@ -35,9 +44,9 @@ describe('accumulator over secp256k1', function() {
         it('accumulates values', async function() {
           for (let item of items) {
             const update = await accumulator.add(item)
-            update.should.have.property('v').which.is.an.instanceOf(curve.ProjectivePoint)
-            update.should.have.property('w').which.is.an.instanceOf(curve.ProjectivePoint)
-            update.should.have.property('Q').which.is.an.instanceOf(curve.ProjectivePoint)
+            update.should.have.property('v').which.match(curve.isPoint)
+            update.should.have.property('w').which.match(curve.isPoint)
+            update.should.have.property('Q').which.match(curve.isPoint)
             update.should.have.property('i').which.is.a.Number()
           }
         })
@@ -66,7 +75,7 @@ describe('accumulator over secp256k1', function() {
             await accumulator.del(update)
           }
           accumulator.should.have.property('i').which.is.null()
-          accumulator.Q.should.equal(curve.ProjectivePoint.ZERO)
+          accumulator.Q.should.equal(curve.ZERO)
           for (let update of updates) {
             await accumulator.verify(update).should.be.fulfilledWith(false)
           }
@@ -202,8 +211,8 @@ describe('accumulator over secp256k1', function() {
             }
             for (let i = 0; i < items.length; i++) {
               witnesses[i].should.have.property('d').which.equals(items[i])
-              witnesses[i].should.have.property('v').which.is.an.instanceOf(curve.ProjectivePoint)
-              witnesses[i].should.have.property('w').which.is.an.instanceOf(curve.ProjectivePoint)
+              witnesses[i].should.have.property('v').which.match(curve.isPoint)
+              witnesses[i].should.have.property('w').which.match(curve.isPoint)
               await accumulator.verify(witnesses[i]).should.be.fulfilledWith(true)
             }
           })
@@ -296,6 +305,373 @@ describe('accumulator over secp256k1', function() {
 
         })
 
+        describe('prove from checkpoint', function() {
+
+          let accumulator
+
+          before('constructs accumulator', function() {
+            accumulator = new Accumulator(curve, hash, c)
+          })
+
+          const items = ['a', 'b', 'c']
+          const updates = []
+
+          before('accumulates values', async function() {
+            for (let item of items) {
+              updates.push(await accumulator.add(item))
+            }
+            await accumulator.del(await accumulator.prove('b'))
+          })
+
+          it('exports checkpoint', async function() {
+            const checkpoint = await accumulator.checkpoint()
+            checkpoint.should.have.property('z').which.equals(accumulator.z)
+            checkpoint.should.have.property('i').which.equals(1)
+            checkpoint.should.have.property('A').which.is.an.Array().with.lengthOf(2)
+            checkpoint.should.have.property('Q').which.is.an.Array().with.lengthOf(3)
+            checkpoint.Q[0].equals(curve.BASE).should.be.true()
+            checkpoint.Q[2].equals(accumulator.Q.multiply(c)).should.be.true()
+          })
+
+          it('computes witnesses', async function() {
+            const prover = new Prover(curve, hash, await accumulator.checkpoint())
+            for (let item of ['a', 'c']) {
+              await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+            }
+            await prover.prove('b').should.be.rejectedWith(NotMemberError)
+          })
+
+          it('follows updates', async function() {
+            const prover = new Prover(curve, hash, await accumulator.checkpoint())
+            await prover.update(await accumulator.add('d'))
+            await prover.update(await accumulator.del(await prover.prove('a')))
+            for (let item of ['c', 'd']) {
+              const witness = await prover.prove(item)
+              await accumulator.verify(witness).should.be.fulfilledWith(true)
+              await prover.verify(witness).should.be.fulfilledWith(true)
+            }
+          })
+
+          it('starts from empty checkpoint', async function() {
+            const accumulator = new Accumulator(curve, hash, c)
+            const prover = new Prover(curve, hash, await accumulator.checkpoint())
+            prover.should.have.property('A').which.is.an.Array().with.lengthOf(0)
+            prover.should.have.property('Q').which.is.an.Array().with.lengthOf(1)
+            prover.should.have.property('i').which.is.null()
+            await prover.update(await accumulator.add('a'))
+            await accumulator.verify(await prover.prove('a')).should.be.fulfilledWith(true)
+          })
+
+          it('rejects inconsistent checkpoint', async function() {
+            const checkpoint = await accumulator.checkpoint()
+            checkpoint.Q.pop()
+            should(() => new Prover(curve, hash, checkpoint)).throw(/public components/)
+          })
+
+        })
+
+        describe('batch', function() {
+
+          let accumulator
+
+          before('constructs accumulator', function() {
+            accumulator = new Accumulator(curve, hash, c)
+          })
+
+          let prover
+
+          before('constructor prover', function() {
+            prover = new Prover(curve, hash)
+          })
+
+          const items = ['a', 'b', 'c', 'd']
+          let update
+
+          before('accumulates values', async function() {
+            update = await accumulator.addBatch(items)
+          })
+
+          it('matches sequential additions', async function() {
+            const sequential = new Accumulator(curve, hash, c)
+            for (let item of items) {
+              await sequential.add(item)
+            }
+            update.z.equals(sequential.z).should.be.true()
+            accumulator.z.equals(sequential.z).should.be.true()
+            accumulator.Q.equals(sequential.Q).should.be.true()
+            accumulator.i.should.equal(sequential.i)
+            update.should.have.property('i').which.equals(3)
+            update.should.have.property('Q').which.is.an.Array().with.lengthOf(4)
+          })
+
+          it('returns witnesses', async function() {
+            update.should.have.property('witnesses').which.is.an.Array().with.lengthOf(4)
+            for (let i = 0; i < items.length; i++) {
+              update.witnesses[i].should.have.property('d').which.equals(items[i])
+              await accumulator.verify(update.witnesses[i]).should.be.fulfilledWith(true)
+            }
+          })
+
+          it('updates prover', async function() {
+            await prover.updateBatch(update)
+            prover.A.length.should.equal(4)
+            for (let witness of update.witnesses) {
+              await prover.verify(witness).should.be.fulfilledWith(true)
+            }
+            for (let item of items) {
+              await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+            }
+          })
+
+          it('mixes with single updates', async function() {
+            await prover.update(await accumulator.add('e'))
+            await prover.updateBatch(await accumulator.addBatch(['f', 'g']))
+            for (let item of ['a', 'e', 'g']) {
+              await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+            }
+          })
+
+          it('deletes elements', async function() {
+            const witnesses = [await prover.prove('b'), await prover.prove('f')]
+            await prover.updateBatch(await accumulator.delBatch(witnesses))
+            accumulator.i.should.equal(4)
+            prover.A.length.should.equal(5)
+            for (let witness of witnesses) {
+              await accumulator.verify(witness).should.be.fulfilledWith(false)
+            }
+            for (let item of ['a', 'c', 'd', 'e', 'g']) {
+              await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+            }
+            await prover.update(await accumulator.add('h'))
+            await accumulator.verify(await prover.prove('h')).should.be.fulfilledWith(true)
+          })
+
+          it('deletes every element', async function() {
+            const items = ['a', 'c', 'd', 'e', 'g', 'h']
+            const witnesses = []
+            for (let item of items) {
+              witnesses.push(await prover.prove(item))
+            }
+            await prover.updateBatch(await accumulator.delBatch(witnesses))
+            should(accumulator.i).be.null()
+            accumulator.Q.equals(curve.ZERO).should.be.true()
+            accumulator.z.equals(curve.BASE).should.be.true()
+            prover.A.length.should.equal(0)
+          })
+
+          it('rejects non-members', async function() {
+            await accumulator.add('y')
+            const witness = await new Accumulator(curve, hash, c).addBatch(['x'])
+            await accumulator.delBatch(witness.witnesses)
+              .should.be.rejectedWith(NotMemberError, {message: /does not contain/})
+          })
+
+        })
+
+        describe('delete by element', function() {
+
+          let accumulator
+          let prover
+
+          before('constructs accumulator and prover', function() {
+            accumulator = new Accumulator(curve, hash, c)
+            prover = new Prover(curve, hash, undefined, {strict: true})
+          })
+
+          const items = ['a', 'b', 'c', 'd', 'e']
+
+          before('accumulates values', async function() {
+            await prover.updateBatch(await accumulator.addBatch(items))
+          })
+
+          it('matches deletion by witness', async function() {
+            const other = new Accumulator(curve, hash, c)
+            await other.addBatch(items)
+            const expected = await other.del(await other.prove('b'))
+            const update = await accumulator.delElement('b')
+            update.should.have.properties({d: 'b', i: expected.i, seq: 2, op: 'del'})
+            update.z.equals(expected.z).should.be.true()
+            update.Q.equals(expected.Q).should.be.true()
+            encoding.Update.encode(curve, update)
+              .should.eql(encoding.Update.encode(curve, expected))
+            await prover.update(update)
+            for (let item of ['a', 'c', 'd', 'e']) {
+              const witness = await accumulator.prove(item)
+              await prover.verify(witness).should.be.fulfilledWith(true)
+              await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+            }
+          })
+
+          it('deletes batch', async function() {
+            await prover.updateBatch(await accumulator.delElementBatch(['a', Buffer.from('d')]))
+            accumulator.A.length.should.equal(2)
+            for (let item of ['c', 'e']) {
+              await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+            }
+          })
+
+          it('rejects non-members', async function() {
+            const expected = {z: accumulator.z, A: accumulator.A.slice(), seq: accumulator.seq}
+            await accumulator.delElement('a').should.be.rejectedWith(NotMemberError)
+            await accumulator.delElementBatch(['c', 'x']).should.be.rejectedWith(NotMemberError)
+            await accumulator.delElementBatch(['c', 'c'])
+              .should.be.rejectedWith(DuplicateMemberError)
+            accumulator.should.have.properties(expected)
+          })
+
+          it('deletes every element', async function() {
+            await prover.update(await accumulator.delElement('c'))
+            await prover.update(await accumulator.delElement('e'))
+            should(accumulator.i).be.null()
+            prover.A.length.should.equal(0)
+            await accumulator.delElement('e').should.be.rejectedWith(EmptyAccumulatorError)
+          })
+
+        })
+
+        describe('non-membership', function() {
+
+          let accumulator
+
+          before('constructs accumulator', function() {
+            accumulator = new Accumulator(curve, hash, c)
+          })
+
+          let prover
+
+          before('constructor prover', function() {
+            prover = new Prover(curve, hash)
+          })
+
+          it('proves non-membership in empty accumulation', async function() {
+            for (let party of [accumulator, prover]) {
+              const witness = await party.proveNonMembership('x')
+              await accumulator.verifyNonMembership(witness).should.be.fulfilledWith(true)
+            }
+          })
+
+          const items = ['a', 'b', 'c']
+          const updates = []
+
+          before('accumulates values', async function() {
+            for (let item of items) {
+              updates.push(await accumulator.add(item))
+              await prover.update(updates[updates.length - 1])
+            }
+          })
+
+          it('proves non-membership', async function() {
+            for (let party of [accumulator, prover]) {
+              const witness = await party.proveNonMembership('x')
+              witness.should.have.property('d').which.equals('x')
+              witness.should.have.property('r').which.is.a.type('bigint')
+              await accumulator.verifyNonMembership(witness).should.be.fulfilledWith(true)
+              await prover.verifyNonMembership(witness).should.be.fulfilledWith(true)
+              await accumulator.verifyNonMembership(Object.assign({}, witness, {d: 'y'}))
+                .should.be.fulfilledWith(false)
+            }
+          })
+
+          it('computes identical witnesses', async function() {
+            const expected = await accumulator.proveNonMembership('x')
+            const actual = await prover.proveNonMembership('x')
+            actual.v.equals(expected.v).should.be.true()
+            actual.w.equals(expected.w).should.be.true()
+            actual.r.should.equal(expected.r)
+          })
+
+          it('rejects members', async function() {
+            for (let item of items) {
+              await accumulator.proveNonMembership(item).should.be.rejectedWith(/contains d/)
+              await prover.proveNonMembership(item).should.be.rejectedWith(/contains d/)
+            }
+          })
+
+          it('rejects zero remainder', async function() {
+            const witness = await prover.proveNonMembership('x')
+            witness.r = 0n
+            await accumulator.verifyNonMembership(witness).should.be.fulfilledWith(false)
+            await prover.verifyNonMembership(witness).should.be.fulfilledWith(false)
+          })
+
+          it('invalidates witness on del', async function() {
+            const witness = await prover.proveNonMembership('x')
+            await prover.update(await accumulator.del(await prover.prove('a')))
+            await accumulator.verifyNonMembership(witness).should.be.fulfilledWith(false)
+            await prover.verifyNonMembership(witness).should.be.fulfilledWith(false)
+            const updated = await prover.proveNonMembership('x')
+            await accumulator.verifyNonMembership(updated).should.be.fulfilledWith(true)
+          })
+
+          it('enables non-membership on del', async function() {
+            const witness = await prover.prove('b')
+            await prover.update(await accumulator.del(witness))
+            for (let party of [accumulator, prover]) {
+              const witness = await party.proveNonMembership('b')
+              await accumulator.verifyNonMembership(witness).should.be.fulfilledWith(true)
+              await prover.verifyNonMembership(witness).should.be.fulfilledWith(true)
+            }
+          })
+
+          it('disables non-membership on add', async function() {
+            const witness = await prover.proveNonMembership('b')
+            await prover.update(await accumulator.add('b'))
+            await accumulator.verifyNonMembership(witness).should.be.fulfilledWith(false)
+            await prover.verifyNonMembership(witness).should.be.fulfilledWith(false)
+            await prover.proveNonMembership('b').should.be.rejectedWith(/contains d/)
+          })
+
+        })
+
+        describe('prove many elements', function() {
+
+          this.timeout(120000)
+
+          const {n} = curve
+          const g = curve.BASE
+
+          let prover
+
+          before('constructor prover', function() {
+            prover = new Prover(curve, hash)
+          })
+
+          const items = Array.from({length: 2000}, (_, i) => String(i))
+          const map = async d => {
+            return BigInt('0x' + Buffer.from(await subtle.digest(hash, d)).toString('hex')) % n
+          }
+          let s = 1n
+
+          before('updates prover', async function() {
+            // Compute each update from its discrete log, which is equal to the update produced by
+            // the accumulator for the same secret but much faster to compute.
+            let q = 1n
+            let prev = '0'.repeat(64)
+            for (let i = 0; i < items.length; i++) {
+              const e = await map(Buffer.from(items[i]))
+              s = s * (e + c) % n
+              q = q * c % n
+              const update = {
+                d: items[i], z: g.multiply(s), Q: g.multiply(q), i, seq: i + 1, op: 'add', prev,
+              }
+              await prover.update(update)
+              prev = encoding.link(curve, update)
+            }
+          })
+
+          it('computes witness', async function() {
+            const item = items[1000]
+            const e = await map(Buffer.from(item))
+            const v = g.multiply(s * modInv(e + c, n) % n)
+            const w = v.multiply(c)
+            const witness = await prover.prove(item)
+            witness.v.equals(v).should.be.true()
+            witness.w.equals(w).should.be.true()
+            await prover.verify(witness).should.be.fulfilledWith(true)
+          })
+
+        })
+
       })
 
     })
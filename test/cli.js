@@ -0,0 +1,177 @@
+const should = require('should')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {Accumulator, Prover, encoding, keys} = require('..')
+const {main} = require('../cli')
+const curve = require('./support/curve')
+
+describe('command-line tool over ' + curve.name, function() {
+
+  this.timeout(20000)
+
+  let dir
+
+  beforeEach('creates directory', function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ecc-acc-'))
+  })
+
+  afterEach('removes directory', function() {
+    fs.rmSync(dir, {recursive: true, force: true})
+  })
+
+  // Run a command in the directory and capture its output.
+  async function run(...argv) {
+    const output = {stdout: '', stderr: ''}
+    const io = {
+      stdout: {write: text => output.stdout += text},
+      stderr: {write: text => output.stderr += text},
+      env: {ECC_ACC_PASSWORD: 'correct horse battery staple'},
+    }
+    // Resolve files in the directory.
+    argv = argv.map(arg => /\.json$/.test(arg) ? path.join(dir, arg) : arg)
+    output.code = await main(argv, io)
+    return output
+  }
+
+  function read(file) {
+    return JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'))
+  }
+
+  beforeEach('initializes accumulator', async function() {
+    const {code} = await run('init', '--curve', curve.name, '--state', 'accumulator.json')
+    code.should.equal(0)
+  })
+
+  it('initializes accumulator state', async function() {
+    const state = read('accumulator.json')
+    state.should.have.properties({version: 1, type: 'accumulator', curve: curve.name,
+      hash: 'SHA-256'})
+    state.snapshot.should.have.property('c')
+    if (process.platform !== 'win32') {
+      (fs.statSync(path.join(dir, 'accumulator.json')).mode & 0o777).should.equal(0o600)
+    }
+    const {code, stderr} = await run('init', '--curve', curve.name, '--state', 'accumulator.json')
+    code.should.equal(2)
+    stderr.should.match(/already exists/)
+  })
+
+  it('adds, deletes and inspects members', async function() {
+    let output = await run('add', 'alice', 'bob', '--state', 'accumulator.json', '--out',
+      'u1.json')
+    output.should.have.properties({code: 0, stdout: 'Added 2 elements in update 1 (2 elements);' +
+      ' wrote ' + path.join(dir, 'u1.json') + '\n'})
+    read('u1.json').should.have.properties({type: 'BatchUpdate', seq: 1, op: 'add'})
+    output = await run('del', 'bob', '--state', 'accumulator.json', '--json')
+    output.code.should.equal(0)
+    JSON.parse(output.stdout).should.have.properties({seq: 2, op: 'del', size: 1})
+    output = await run('has', 'alice', '--state', 'accumulator.json')
+    output.should.have.properties({code: 0, stdout: 'alice is a member of 1 element\n'})
+    output = await run('has', 'bob', '--state', 'accumulator.json', '--json')
+    output.code.should.equal(1)
+    JSON.parse(output.stdout).should.eql({element: 'bob', member: false, size: 1})
+    output = await run('del', 'bob', '--state', 'accumulator.json')
+    output.code.should.equal(2)
+    output.stderr.should.match(/does not contain/)
+  })
+
+  it('proves and verifies membership', async function() {
+    await run('add', 'alice', '--state', 'accumulator.json', '--out', 'u1.json')
+    await run('add', '626f62', '--hex', '--state', 'accumulator.json')
+    let output = await run('prove', 'alice', '--state', 'accumulator.json', '--out',
+      'witness.json')
+    output.code.should.equal(0)
+    read('witness.json').should.have.properties({type: 'Witness'})
+    output = await run('verify', 'witness.json', '--state', 'accumulator.json')
+    output.should.have.properties({code: 0})
+    output.stdout.should.match(/is valid/)
+    // The witness in the update of the first addition is no longer valid.
+    output = await run('verify', 'u1.json', '--state', 'accumulator.json', '--json')
+    output.code.should.equal(1)
+    JSON.parse(output.stdout).should.have.properties({valid: false})
+    output = await run('prove', 'alice', 'bob', '--state', 'accumulator.json', '--out',
+      'many.json')
+    output.code.should.equal(0)
+    read('many.json').should.have.properties({type: 'AggregateWitness'})
+    ;(await run('verify', 'many.json', '--state', 'accumulator.json')).code.should.equal(0)
+  })
+
+  it('syncs provers from checkpoints and updates', async function() {
+    await run('add', 'alice', '--state', 'accumulator.json', '--out', 'u1.json')
+    await run('export-checkpoint', '--state', 'accumulator.json', '--out', 'checkpoint.json')
+    read('checkpoint.json').should.have.properties({type: 'checkpoint', curve: curve.name})
+    await run('add', 'bob', 'carol', '--state', 'accumulator.json', '--out', 'u2.json')
+    await run('del', 'alice', '--state', 'accumulator.json', '--out', 'u3.json')
+    let output = await run('prover-sync', 'u3.json', 'u1.json', 'u2.json', '--prover',
+      'prover.json', '--checkpoint', 'checkpoint.json')
+    output.should.have.properties({code: 0,
+      stdout: 'Applied 2 updates; prover is at update 3 with 2 elements\n'})
+    read('prover.json').should.have.properties({type: 'prover', curve: curve.name})
+    output = await run('prover-sync', '--prover', 'other.json', '--checkpoint', 'checkpoint.json',
+      '--hash', 'SHA-512')
+    output.should.have.properties({code: 2,
+      stderr: 'ecc-acc: The checkpoint uses hash SHA-256\n'})
+    output = await run('prover-sync', 'u3.json', '--prover', 'prover.json', '--json')
+    JSON.parse(output.stdout).should.eql({applied: 0, seq: 3, size: 2})
+    output = await run('prove', 'bob', 'carol', '--prover', 'prover.json', '--out', 'many.json')
+    output.code.should.equal(0)
+    ;(await run('verify', 'many.json', '--state', 'accumulator.json')).code.should.equal(0)
+    ;(await run('verify', 'many.json', '--prover', 'prover.json')).code.should.equal(0)
+    ;(await run('has', 'alice', '--prover', 'prover.json')).code.should.equal(1)
+    // The files can be read with the library.
+    const prover = await Prover.fromSnapshot(curve, 'SHA-256', read('prover.json').snapshot)
+    const state = read('accumulator.json')
+    const accumulator = await Accumulator.fromSnapshot(curve, 'SHA-256', state.snapshot)
+    const witness = encoding.AggregateWitness.fromJSON(curve, read('many.json'))
+    await accumulator.verifyMany(witness).should.be.fulfilledWith(true)
+    await prover.verifyMany(witness).should.be.fulfilledWith(true)
+  })
+
+  it('rejects update gaps', async function() {
+    await run('add', 'alice', '--state', 'accumulator.json', '--out', 'u1.json')
+    await run('add', 'bob', '--state', 'accumulator.json', '--out', 'u2.json')
+    const output = await run('prover-sync', 'u2.json', '--curve', curve.name, '--prover',
+      'prover.json')
+    output.code.should.equal(2)
+    output.stderr.should.match(/Update 2 is invalid/)
+    fs.existsSync(path.join(dir, 'prover.json')).should.be.false()
+  })
+
+  it('imports and encrypts secrets', async function() {
+    const c = await keys.derive(curve, '000102030405060708090a0b0c0d0e0f')
+    fs.writeFileSync(path.join(dir, 'keystore.json'),
+      JSON.stringify(await keys.encrypt(curve, c, 'correct horse battery staple', {N: 1024})))
+    let output = await run('init', '--curve', curve.name, '--state', 'imported.json',
+      '--keystore', 'keystore.json', '--encrypt')
+    output.code.should.equal(0)
+    const state = read('imported.json')
+    state.snapshot.should.not.have.property('c')
+    state.should.have.property('keystore')
+    await run('add', 'alice', '--state', 'imported.json')
+    const expected = await new Accumulator(curve, 'SHA-256', c).add('alice')
+    const snapshot = read('imported.json').snapshot
+    snapshot.z.should.equal(encoding.Point.toJSON(curve, expected.z))
+    output = await run('init', '--curve', curve.name, '--state', 'secret.json', '--secret',
+      c.toString(16))
+    output.code.should.equal(0)
+    read('secret.json').snapshot.c.should.equal(c.toString(16))
+  })
+
+  it('reports usage errors', async function() {
+    let output = await run('unknown')
+    output.code.should.equal(2)
+    output.stderr.should.match(/unknown command/)
+    output = await run('add', '--state', 'accumulator.json')
+    output.code.should.equal(2)
+    output = await run('add', 'alice', '--unknown')
+    output.code.should.equal(2)
+    output = await run('init', '--curve', 'unknown', '--state', 'other.json')
+    output.should.have.properties({code: 2, stderr: 'ecc-acc: Unsupported curve unknown\n'})
+    output = await run('has', 'alice', '--state', 'missing.json')
+    output.code.should.equal(2)
+    output = await run('help')
+    output.code.should.equal(0)
+    output.stdout.should.match(/^Usage: ecc-acc/)
+  })
+
+})
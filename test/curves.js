@@ -0,0 +1,90 @@
+const should = require('should')
+const {Accumulator, Prover, InvalidArgumentError, curves, encoding} = require('..')
+
+describe('curve adapters', function() {
+
+  const {secp256k1} = require('@noble/curves/secp256k1')
+  const {ed25519, RistrettoPoint, ED25519_TORSION_SUBGROUP} = require('@noble/curves/ed25519')
+  const {ed448, DecafPoint} = require('@noble/curves/ed448')
+
+  const adapters = [
+    curves.weierstrass(secp256k1, 'secp256k1'),
+    curves.edwards(ed25519, 'ed25519'),
+    curves.edwards(ed448, 'ed448'),
+    curves.ristretto(RistrettoPoint, ed25519.CURVE.n, 'ristretto255'),
+    curves.ristretto(DecafPoint, ed448.CURVE.n, 'decaf448'),
+    curves.reference(),
+  ]
+
+  for (let curve of adapters) {
+
+    describe(curve.name, function() {
+
+      it('round trips points', function() {
+        const point = curve.BASE.multiply(12345n)
+        curve.isPoint(point).should.be.true()
+        curve.fromBytes(curve.toBytes(point)).equals(point).should.be.true()
+        curve.BASE.multiply(curve.n - 1n).add(curve.BASE).equals(curve.ZERO).should.be.true()
+        point.subtract(point).equals(curve.ZERO).should.be.true()
+      })
+
+      it('rejects other values', function() {
+        curve.isPoint(curve.n).should.be.false()
+        curve.isPoint(secp256k1.ProjectivePoint.BASE).should.equal(curve.name === 'secp256k1')
+        const bytes = curve.toBytes(curve.BASE)
+        should(() => curve.fromBytes(bytes.subarray(1))).throw()
+      })
+
+    })
+
+  }
+
+  it('rejects ed25519 points outside the subgroup of prime order', function() {
+    const curve = curves.edwards(ed25519)
+    const torsion = ed25519.ExtendedPoint.fromHex(ED25519_TORSION_SUBGROUP[1])
+    should(() => curve.fromBytes(curve.BASE.add(torsion).toRawBytes()))
+      .throw(/subgroup of prime order/)
+  })
+
+  it('rejects reference elements that are not quadratic residues', function() {
+    const curve = curves.reference()
+    should(() => curve.fromBytes(Buffer.alloc(32))).throw()
+    // 2 is not a quadratic residue modulo a prime p = 3 mod 8.
+    should(() => curve.fromBytes(Buffer.from('02'.padStart(64, '0'), 'hex')))
+      .throw(/quadratic residue/)
+  })
+
+  it('adapts @noble curves', function() {
+    const curve = curves.adapt(secp256k1)
+    curve.should.equal(curves.adapt(secp256k1))
+    curve.n.should.equal(secp256k1.CURVE.n)
+    curve.BASE.equals(secp256k1.ProjectivePoint.BASE).should.be.true()
+    curves.adapt(ed25519).BASE.equals(ed25519.ExtendedPoint.BASE).should.be.true()
+  })
+
+  it('looks up curves by name', function() {
+    for (let name of curves.names()) {
+      curves.byName(name).name.should.equal(name)
+    }
+    curves.byName('ed25519').BASE.equals(ed25519.ExtendedPoint.BASE).should.be.true()
+    should(() => curves.byName('p521')).throw(InvalidArgumentError)
+  })
+
+  it('returns adapters as is', function() {
+    const curve = curves.reference()
+    curves.adapt(curve).should.equal(curve)
+  })
+
+  it('accumulates over @noble curves', async function() {
+    for (let curve of [secp256k1, ed25519]) {
+      const accumulator = new Accumulator(curve, 'SHA-256')
+      const prover = new Prover(curve, 'SHA-256')
+      await prover.update(await accumulator.add('a'))
+      const witness = await prover.prove('a')
+      await accumulator.verify(witness).should.be.fulfilledWith(true)
+      const decoded = encoding.Witness.decode(curve, encoding.Witness.encode(curve, witness))
+      await accumulator.verify(decoded).should.be.fulfilledWith(true)
+    }
+  })
+
+})
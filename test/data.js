@@ -0,0 +1,208 @@
+const should = require('should')
+const {
+  Accumulator,
+  Prover,
+  InvalidArgumentError,
+  DuplicateMemberError,
+  encoding,
+} = require('..')
+const data = require('../data')
+const map = require('../map')
+const curve = require('./support/curve')
+
+describe('structured elements over ' + curve.name, function() {
+
+  this.timeout(10000)
+
+  const hash = 'SHA-256'
+  const credential = {
+    id: 'c-1024',
+    issuer: {name: 'Example CA', key: Buffer.from('0a0b0c', 'hex')},
+    expiry: 1767225600,
+    serial: 2n ** 80n,
+    scopes: ['read', 'write'],
+    revocable: true,
+    note: null,
+    weight: 0.25,
+  }
+
+  describe('canonical encoding', function() {
+
+    it('encodes RFC 8949 examples deterministically', function() {
+      // Appendix A, keeping the examples that are in the core deterministic encoding.
+      const vectors = [
+        [0, '00'],
+        [23, '17'],
+        [24, '1818'],
+        [1000, '1903e8'],
+        [1000000, '1a000f4240'],
+        [1000000000000, '1b000000e8d4a51000'],
+        [18446744073709551615n, '1bffffffffffffffff'],
+        [18446744073709551616n, 'c249010000000000000000'],
+        [-18446744073709551616n, '3bffffffffffffffff'],
+        [-18446744073709551617n, 'c349010000000000000000'],
+        [-1, '20'],
+        [-1000, '3903e7'],
+        [1.1, 'fb3ff199999999999a'],
+        [1.5, 'f93e00'],
+        [5.960464477539063e-8, 'f90001'],
+        [0.00006103515625, 'f90400'],
+        [-4.1, 'fbc010666666666666'],
+        [false, 'f4'],
+        [true, 'f5'],
+        [null, 'f6'],
+        [Buffer.alloc(0), '40'],
+        [Buffer.from('01020304', 'hex'), '4401020304'],
+        ['IETF', '6449455446'],
+        ['ü', '62c3bc'],
+        [[], '80'],
+        [[1, [2, 3], [4, 5]], '8301820203820405'],
+        [{}, 'a0'],
+        [{a: 1, b: [2, 3]}, 'a26161016162820203'],
+      ]
+      for (let [value, expected] of vectors) {
+        data.encode(value).toString('hex').should.equal(expected)
+        should(data.decode(Buffer.from(expected, 'hex'))).eql(value)
+      }
+    })
+
+    it('encodes equal values the same way', function() {
+      data.encode(5).should.eql(data.encode(5n))
+      data.encode(-0).should.eql(data.encode(0))
+      data.encode({b: 2, a: 1}).should.eql(data.encode({a: 1, b: 2}))
+      data.encode([new Uint8Array([1, 2])]).should.eql(data.encode([Buffer.from([1, 2])]))
+      // Keys are sorted by their encodings, so shorter keys come first.
+      data.encode({aa: 1, b: 2}).toString('hex').should.equal('a261620262616101')
+      // Integers that are not safe are decoded as BigInts.
+      data.decode(data.encode(2 ** 60)).should.equal(2n ** 60n)
+    })
+
+    it('rejects encodings that are not canonical', function() {
+      for (let hex of [
+        // Arguments that are not in their shortest form.
+        '1800', '190017', 'c2480100000000000000',
+        // An integer as a float, and a float that is not in its shortest form.
+        'f93c00', 'fb3ff8000000000000',
+        // Indefinite lengths, unsorted and duplicate keys, and keys that are not strings.
+        '9f01ff', 'a2616201616102', 'a2616101616102', 'a10101',
+        // Other tags and simple values, and data after the value.
+        'c11a514b67b0', 'f7', '0000',
+        // The end of the data is missing.
+        '62c3', '8201',
+      ]) {
+        should(() => data.decode(Buffer.from(hex, 'hex'))).throw(InvalidArgumentError)
+      }
+    })
+
+    it('rejects values that are not data', function() {
+      const cyclic = {}
+      cyclic.self = cyclic
+      let nested = []
+      for (let k = 0; k < 64; k++) {
+        nested = [nested]
+      }
+      for (let value of [undefined, NaN, Infinity, () => 1, Symbol('a'), new Date(), new Map(),
+        [1, , 3], {a: undefined}, cyclic, nested]) {
+        data.isData(value).should.be.false()
+        should(() => data.encode(value)).throw(InvalidArgumentError)
+      }
+      data.isData(nested[0]).should.be.true()
+    })
+
+  })
+
+  describe('elements', function() {
+
+    it('maps strings and byte arrays as before', function() {
+      const {n} = curve
+      const e = map.sync(hash, 'a', n)
+      map.sync(hash, Buffer.from('a'), n).should.equal(e)
+      map.sync(hash, new Uint8Array([0x61]), n).should.equal(e)
+      // Structured data is mapped as its canonical encoding after the self-described tag.
+      let bytes
+      map.sync(d => (bytes = Buffer.from(d), Buffer.alloc(32)), {a: 1}, n)
+      bytes.should.eql(Buffer.concat([Buffer.from('d9d9f7', 'hex'), data.encode({a: 1})]))
+      map.sync(hash, ['a'], n).should.not.equal(e)
+    })
+
+    it('maps data of different types to different elements', async function() {
+      const {n} = curve
+      for (let [value, bytes] of [[0, '00'], [{}, 'a0'], ['a', '6161'], [[], '80']]) {
+        data.encode(value).toString('hex').should.equal(bytes)
+        const e = map.sync(hash, value, n)
+        e.should.not.equal(map.sync(hash, Buffer.from(bytes, 'hex'), n))
+        e.should.not.equal(map.sync(hash, Buffer.from(bytes, 'hex').toString('latin1'), n))
+      }
+      map.sync(hash, 0, n).should.not.equal(map.sync(hash, '\u0000', n))
+      map.sync(hash, {}, n).should.not.equal(map.sync(hash, Uint8Array.of(0xa0), n))
+      const accumulator = new Accumulator(curve, hash, undefined, {track: true})
+      await accumulator.add(0)
+      await accumulator.has('\u0000').should.be.fulfilledWith(false)
+      await accumulator.add('\u0000')
+      await accumulator.add({})
+      accumulator.size.should.equal(3)
+      // The only byte arrays with the bytes of structured data are not elements.
+      const tagged = Buffer.from('d9d9f700', 'hex')
+      data.isData(tagged).should.be.false()
+      should(() => data.toBytes(tagged)).throw(InvalidArgumentError)
+      await accumulator.has(tagged).should.be.rejectedWith(InvalidArgumentError)
+      data.isData(Buffer.from('d9d9f7', 'hex')).should.be.true()
+      data.isData(Buffer.from('d9d9f71800', 'hex')).should.be.true()
+    })
+
+    it('maps equal values to the same element', async function() {
+      const accumulator = new Accumulator(curve, hash)
+      await accumulator.add(credential)
+      const reordered = Object.assign({}, ...Object.keys(credential).reverse().map(key => {
+        return {[key]: credential[key]}
+      }))
+      await accumulator.has(reordered).should.be.fulfilledWith(true)
+      await accumulator.has(Object.assign({}, credential, {expiry: 1767225600n}))
+        .should.be.fulfilledWith(true)
+      await accumulator.has(Object.assign({}, credential, {expiry: 1767225601}))
+        .should.be.fulfilledWith(false)
+      await accumulator.add(reordered).should.be.rejectedWith(DuplicateMemberError)
+      await accumulator.delElement(reordered)
+      accumulator.size.should.equal(0)
+    })
+
+    it('round trips witnesses', async function() {
+      const accumulator = new Accumulator(curve, hash, undefined, {track: true})
+      const prover = new Prover(curve, hash, undefined, {track: true})
+      const elements = [credential, 42, [1n, 'a'], {}]
+      await prover.updateBatch(await accumulator.addBatch(elements.slice(1)))
+      const update = await accumulator.add(credential)
+      for (let decoded of [
+        encoding.WitnessUpdate.decode(curve, encoding.WitnessUpdate.encode(curve, update)),
+        encoding.WitnessUpdate.fromJSON(curve, JSON.stringify(encoding.WitnessUpdate.toJSON(curve,
+          update))),
+      ]) {
+        decoded.d.should.eql(credential)
+        await accumulator.verify(decoded).should.be.fulfilledWith(true)
+      }
+      encoding.WitnessUpdate.toJSON(curve, update).d.should.eql({
+        encoding: 'cbor',
+        value: data.encode(credential).toString('hex'),
+      })
+      await prover.update(encoding.AnyUpdate.fromJSON(curve, encoding.AnyUpdate.toJSON(curve,
+        update)))
+      const witness = await prover.proveMany(elements)
+      const json = encoding.AggregateWitness.toJSON(curve, witness)
+      const decoded = encoding.AggregateWitness.fromJSON(curve, json)
+      decoded.D.should.eql([credential, 42, [1, 'a'], {}])
+      await accumulator.verifyMany(decoded).should.be.fulfilledWith(true)
+      // The tracked members of a snapshot keep the canonical encodings.
+      const restored = await Prover.fromSnapshot(curve, hash, await prover.toSnapshot())
+      await restored.has(credential).should.be.fulfilledWith(true)
+    })
+
+    it('rejects witnesses of structured strings', function() {
+      const json = encoding.Witness.toJSON(curve, {d: 'a', v: curve.BASE, w: curve.BASE})
+      // The text string 'a' is canonical CBOR, but would be mapped differently from 'a'.
+      json.d = {encoding: 'cbor', value: '6161'}
+      should(() => encoding.Witness.fromJSON(curve, json)).throw(InvalidArgumentError)
+    })
+
+  })
+
+})
@@ -0,0 +1,183 @@
+const should = require('should')
+const {webcrypto: {subtle}} = require('crypto')
+const {
+  Accumulator,
+  Prover,
+  InvalidArgumentError,
+  NotMemberError,
+  DuplicateMemberError,
+  HashCollisionError,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('duplicate policy over ' + curve.name, function() {
+
+  const hash = 'SHA-256'
+  // A hash of only the first byte, so that elements with the same first byte collide.
+  const colliding = async d => await subtle.digest('SHA-256', d.slice(0, 1))
+
+  function state(party) {
+    const {z, Q, i, A, seq} = party
+    return {z, Q, i, A: A.slice(), seq}
+  }
+
+  describe('reject', function() {
+
+    let accumulator
+    let prover
+
+    beforeEach('constructs accumulator and prover', function() {
+      accumulator = new Accumulator(curve, hash)
+      prover = new Prover(curve, hash)
+    })
+
+    it('rejects adding a member', async function() {
+      accumulator.should.have.property('duplicates', 'reject')
+      await prover.update(await accumulator.add('a'))
+      const expected = state(accumulator)
+      await accumulator.add('a').should.be.rejectedWith(DuplicateMemberError)
+      await accumulator.addBatch(['b', 'a']).should.be.rejectedWith(DuplicateMemberError)
+      await accumulator.addBatch(['b', 'b']).should.be.rejectedWith(DuplicateMemberError)
+      state(accumulator).should.eql(expected)
+      await accumulator.add(Buffer.from('a')).should.be.rejectedWith(DuplicateMemberError)
+    })
+
+    it('rejects update that adds a member', async function() {
+      const multiset = new Accumulator(curve, hash, undefined, {duplicates: 'multiset'})
+      await prover.update(await multiset.add('a'))
+      const expected = state(prover)
+      await prover.update(await multiset.add('a')).should.be.rejectedWith(DuplicateMemberError)
+      state(prover).should.eql(expected)
+    })
+
+    it('answers membership', async function() {
+      for (let party of [accumulator, prover]) {
+        party.size.should.equal(0)
+        await party.has('a').should.be.fulfilledWith(false)
+      }
+      await prover.update(await accumulator.add('a'))
+      await prover.updateBatch(await accumulator.addBatch(['b', 'c']))
+      await prover.update(await accumulator.del(await prover.prove('b')))
+      for (let party of [accumulator, prover]) {
+        party.size.should.equal(2)
+        await party.has('a').should.be.fulfilledWith(true)
+        await party.has(Buffer.from('c')).should.be.fulfilledWith(true)
+        await party.has('b').should.be.fulfilledWith(false)
+      }
+    })
+
+  })
+
+  describe('multiset', function() {
+
+    const options = {duplicates: 'multiset'}
+
+    let accumulator
+    let prover
+
+    beforeEach('constructs accumulator and prover', function() {
+      accumulator = new Accumulator(curve, hash, undefined, options)
+      prover = new Prover(curve, hash, undefined, Object.assign({strict: true}, options))
+    })
+
+    it('accumulates each copy', async function() {
+      await prover.update(await accumulator.add('a'))
+      await prover.update(await accumulator.add('b'))
+      await prover.update(await accumulator.add('a'))
+      for (let party of [accumulator, prover]) {
+        party.size.should.equal(3)
+      }
+      await accumulator.verify(await prover.prove('a')).should.be.fulfilledWith(true)
+      // Deleting one copy leaves the other.
+      await prover.update(await accumulator.del(await prover.prove('a')))
+      for (let party of [accumulator, prover]) {
+        party.size.should.equal(2)
+        await party.has('a').should.be.fulfilledWith(true)
+      }
+      await accumulator.verify(await prover.prove('a')).should.be.fulfilledWith(true)
+      await accumulator.verify(await prover.prove('b')).should.be.fulfilledWith(true)
+      await prover.update(await accumulator.del(await prover.prove('a')))
+      for (let party of [accumulator, prover]) {
+        party.size.should.equal(1)
+        await party.has('a').should.be.fulfilledWith(false)
+      }
+      await accumulator.verify(await prover.prove('b')).should.be.fulfilledWith(true)
+    })
+
+    it('accumulates copies in batches', async function() {
+      const update = await accumulator.addBatch(['a', 'a', 'b'])
+      await prover.updateBatch(update)
+      prover.size.should.equal(3)
+      await accumulator.verify(await prover.prove('a')).should.be.fulfilledWith(true)
+      const witness = await prover.prove('a')
+      await accumulator.delBatch([witness, witness, witness])
+        .should.be.rejectedWith(NotMemberError)
+      await prover.updateBatch(await accumulator.delBatch([witness, witness]))
+      for (let party of [accumulator, prover]) {
+        party.size.should.equal(1)
+        await party.has('a').should.be.fulfilledWith(false)
+      }
+      await accumulator.verify(await prover.prove('b')).should.be.fulfilledWith(true)
+    })
+
+  })
+
+  describe('hash collisions', function() {
+
+    it('detects collisions of tracked members', async function() {
+      for (let duplicates of ['reject', 'multiset']) {
+        const options = {duplicates, track: true}
+        const accumulator = new Accumulator(curve, colliding, undefined, options)
+        const prover = new Prover(curve, colliding, undefined, options)
+        await prover.update(await accumulator.add('ab'))
+        await accumulator.add('ac').should.be.rejectedWith(HashCollisionError)
+        await accumulator.addBatch(['xy', 'xz']).should.be.rejectedWith(HashCollisionError)
+        for (let party of [accumulator, prover]) {
+          await party.has('ab').should.be.fulfilledWith(true)
+          await party.has('ac').should.be.fulfilledWith(false)
+        }
+        await accumulator.prove('ac').should.be.rejectedWith(NotMemberError)
+        const witness = Object.assign(await prover.prove('ab'), {d: 'ac'})
+        await accumulator.del(witness).should.be.rejectedWith(NotMemberError)
+        // A prover tracking members detects collisions in updates.
+        const other = new Accumulator(curve, colliding, undefined, {duplicates: 'multiset'})
+        const tracking = new Prover(curve, colliding, undefined, options)
+        await tracking.update(await other.add('ab'))
+        await tracking.update(await other.add('ac')).should.be.rejectedWith(HashCollisionError)
+      }
+    })
+
+    it('rejects collisions as duplicates without tracking', async function() {
+      const accumulator = new Accumulator(curve, colliding)
+      await accumulator.add('ab')
+      await accumulator.add('ac').should.be.rejectedWith(DuplicateMemberError)
+    })
+
+  })
+
+  describe('snapshot', function() {
+
+    it('restores policy and tracked members', async function() {
+      const options = {duplicates: 'multiset', track: true}
+      const accumulator = new Accumulator(curve, colliding, undefined, options)
+      const prover = new Prover(curve, colliding, undefined, options)
+      await prover.update(await accumulator.add('ab'))
+      await prover.update(await accumulator.add('ab'))
+      const restoredAccumulator = await Accumulator.fromSnapshot(curve, colliding,
+        JSON.stringify(await accumulator.toSnapshot(true)))
+      const restoredProver = await Prover.fromSnapshot(curve, colliding,
+        JSON.stringify(await prover.toSnapshot()))
+      for (let party of [restoredAccumulator, restoredProver]) {
+        party.should.have.property('duplicates', 'multiset')
+        party.size.should.equal(2)
+        await party.has('ab').should.be.fulfilledWith(true)
+        await party.has('ac').should.be.fulfilledWith(false)
+      }
+      await restoredAccumulator.add('ac').should.be.rejectedWith(HashCollisionError)
+      await Prover.fromSnapshot(curve, colliding, await prover.toSnapshot(), {duplicates: 'reject'})
+        .should.be.rejectedWith(InvalidArgumentError)
+    })
+
+  })
+
+})
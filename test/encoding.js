@@ -0,0 +1,270 @@
+const should = require('should')
+const {Accumulator, Prover, InvalidArgumentError, encoding} = require('..')
+const curve = require('./support/curve')
+
+describe('encoding over ' + curve.name, function() {
+
+  const {p256} = require('@noble/curves/p256')
+  const hash = 'SHA-256'
+
+  let accumulator
+  let prover
+
+  before('constructs accumulator and prover', function() {
+    accumulator = new Accumulator(curve, hash)
+    prover = new Prover(curve, hash)
+  })
+
+  const items = ['a', Buffer.from('b')]
+  const witnessUpdates = []
+  let update
+
+  before('accumulates values', async function() {
+    for (let item of items) {
+      witnessUpdates.push(await accumulator.add(item))
+    }
+    update = await accumulator.del(await accumulator.prove(items[0]))
+  })
+
+  describe('WitnessUpdate', function() {
+
+    it('round trips bytes', async function() {
+      for (let witnessUpdate of witnessUpdates) {
+        const bytes = encoding.WitnessUpdate.encode(curve, witnessUpdate)
+        bytes.should.be.an.instanceOf(Buffer)
+        bytes[0].should.equal(2)
+        const decoded = encoding.WitnessUpdate.decode(curve, new Uint8Array(bytes))
+        decoded.d.should.eql(witnessUpdate.d)
+        decoded.i.should.equal(witnessUpdate.i)
+        for (let property of ['z', 'v', 'w', 'Q']) {
+          decoded[property].equals(witnessUpdate[property]).should.be.true()
+        }
+      }
+    })
+
+    it('round trips JSON', async function() {
+      for (let witnessUpdate of witnessUpdates) {
+        const json = JSON.stringify(encoding.WitnessUpdate.toJSON(curve, witnessUpdate))
+        const decoded = encoding.WitnessUpdate.fromJSON(curve, json)
+        decoded.d.should.eql(witnessUpdate.d)
+        decoded.i.should.equal(witnessUpdate.i)
+        for (let property of ['z', 'v', 'w', 'Q']) {
+          decoded[property].equals(witnessUpdate[property]).should.be.true()
+        }
+      }
+    })
+
+    it('updates prover', async function() {
+      for (let witnessUpdate of witnessUpdates) {
+        const bytes = encoding.WitnessUpdate.encode(curve, witnessUpdate)
+        await prover.update(encoding.WitnessUpdate.decode(curve, bytes))
+      }
+    })
+
+  })
+
+  describe('Update', function() {
+
+    it('round trips bytes and JSON', async function() {
+      const bytes = encoding.Update.encode(curve, update)
+      const json = encoding.Update.toJSON(curve, update)
+      const decodeds = [encoding.Update.decode(curve, bytes), encoding.Update.fromJSON(curve, json)]
+      for (let decoded of decodeds) {
+        decoded.should.have.properties(['d', 'z', 'Q', 'i'])
+        decoded.d.should.equal(update.d)
+        decoded.z.equals(update.z).should.be.true()
+        decoded.Q.equals(update.Q).should.be.true()
+      }
+    })
+
+    it('encodes null index and point at infinity', function() {
+      const empty = {
+        d: 'a', z: curve.BASE, Q: curve.ZERO, i: null,
+        seq: 1, op: 'del', prev: '0'.repeat(64),
+      }
+      const decoded = encoding.Update.decode(curve, encoding.Update.encode(curve, empty))
+      should(decoded.i).be.null()
+      decoded.Q.equals(curve.ZERO).should.be.true()
+      const json = encoding.Update.toJSON(curve, empty)
+      encoding.Update.fromJSON(curve, json).should.have.property('i', null)
+    })
+
+  })
+
+  describe('Witness', function() {
+
+    it('verifies decoded witness', async function() {
+      await prover.update(encoding.Update.decode(curve, encoding.Update.encode(curve, update)))
+      const witness = await prover.prove(items[1])
+      const decoded = encoding.Witness.decode(curve, encoding.Witness.encode(curve, witness))
+      decoded.should.not.have.property('z')
+      await accumulator.verify(decoded).should.be.fulfilledWith(true)
+      await prover.verify(encoding.Witness.fromJSON(curve, encoding.Witness.toJSON(curve, witness)))
+        .should.be.fulfilledWith(true)
+    })
+
+  })
+
+  describe('Checkpoint', function() {
+
+    it('round trips bytes and JSON', async function() {
+      const checkpoint = await accumulator.checkpoint()
+      const bytes = encoding.Checkpoint.encode(curve, checkpoint)
+      const json = JSON.stringify(encoding.Checkpoint.toJSON(curve, checkpoint))
+      const decodeds = [
+        encoding.Checkpoint.decode(curve, bytes),
+        encoding.Checkpoint.fromJSON(curve, json),
+      ]
+      for (let decoded of decodeds) {
+        decoded.z.equals(checkpoint.z).should.be.true()
+        decoded.Q.should.have.lengthOf(checkpoint.Q.length)
+        for (let i = 0; i < checkpoint.Q.length; i++) {
+          decoded.Q[i].equals(checkpoint.Q[i]).should.be.true()
+        }
+        decoded.A.should.eql(checkpoint.A)
+        decoded.i.should.equal(checkpoint.i)
+        const prover = new Prover(curve, hash, decoded)
+        await accumulator.verify(await prover.prove(items[1])).should.be.fulfilledWith(true)
+      }
+    })
+
+  })
+
+  describe('BatchUpdate', function() {
+
+    it('round trips bytes and JSON', async function() {
+      const update = await new Accumulator(curve, hash).addBatch(['c', Buffer.from('d')])
+      const bytes = encoding.BatchUpdate.encode(curve, update)
+      const json = JSON.stringify(encoding.BatchUpdate.toJSON(curve, update))
+      const decodeds = [
+        encoding.BatchUpdate.decode(curve, bytes),
+        encoding.BatchUpdate.fromJSON(curve, json),
+      ]
+      for (let decoded of decodeds) {
+        decoded.should.not.have.property('witnesses')
+        decoded.D.should.eql(update.D)
+        decoded.z.equals(update.z).should.be.true()
+        decoded.Q.should.have.lengthOf(2)
+        decoded.Q[1].equals(update.Q[1]).should.be.true()
+        decoded.i.should.equal(update.i)
+      }
+    })
+
+  })
+
+  describe('NonMembershipWitness', function() {
+
+    it('round trips bytes and JSON', async function() {
+      const witness = await prover.proveNonMembership('x')
+      const bytes = encoding.NonMembershipWitness.encode(curve, witness)
+      const json = JSON.stringify(encoding.NonMembershipWitness.toJSON(curve, witness))
+      const decodeds = [
+        encoding.NonMembershipWitness.decode(curve, bytes),
+        encoding.NonMembershipWitness.fromJSON(curve, json),
+      ]
+      for (let decoded of decodeds) {
+        decoded.r.should.equal(witness.r)
+        await accumulator.verifyNonMembership(decoded).should.be.fulfilledWith(true)
+      }
+    })
+
+    it('rejects non-canonical scalars', async function() {
+      const witness = await prover.proveNonMembership('x')
+      // A zero scalar is encoded as its length byte alone, so the bytes end with a zero.
+      const bytes = encoding.NonMembershipWitness.encode(curve, {...witness, r: 0n})
+      const padded = Buffer.concat([bytes.subarray(0, -1), Buffer.from([2, 0, 1])])
+      should(() => encoding.NonMembershipWitness.decode(curve, padded))
+        .throw(InvalidArgumentError, {message: 'Scalar has a leading zero byte'})
+      const json = encoding.NonMembershipWitness.toJSON(curve, witness)
+      for (let r of ['0' + json.r, json.r.toUpperCase() + 'A', '00', '']) {
+        should(() => encoding.NonMembershipWitness.fromJSON(curve, {...json, r}))
+          .throw(InvalidArgumentError, {message: 'Scalar is not canonical hex'})
+      }
+      encoding.NonMembershipWitness.fromJSON(curve, {...json, r: '0'}).r.should.equal(0n)
+    })
+
+    it('rejects scalars out of range', async function() {
+      const witness = await prover.proveNonMembership('x')
+      for (let r of [curve.n, curve.n + 1n]) {
+        const bytes = encoding.NonMembershipWitness.encode(curve, {...witness, r})
+        should(() => encoding.NonMembershipWitness.decode(curve, bytes))
+          .throw(InvalidArgumentError, {message: 'Scalar is not less than the group order'})
+        const json = encoding.NonMembershipWitness.toJSON(curve, {...witness, r})
+        should(() => encoding.NonMembershipWitness.fromJSON(curve, json))
+          .throw(InvalidArgumentError, {message: 'Scalar is not less than the group order'})
+      }
+    })
+
+  })
+
+  describe('malformed input', function() {
+
+    let bytes
+
+    before('encodes witness', function() {
+      bytes = encoding.Witness.encode(curve, witnessUpdates[1])
+    })
+
+    it('rejects unsupported version', function() {
+      const modified = Buffer.from(bytes)
+      for (let version of [1, 3]) {
+        modified[0] = version
+        should(() => encoding.Witness.decode(curve, modified))
+          .throw('Unsupported version ' + version + ' of encoded object; expected version 2')
+      }
+      // Version 1 had no sequence numbers, operations or links.
+      const json = encoding.WitnessUpdate.toJSON(curve, witnessUpdates[1])
+      for (let property of ['seq', 'op', 'prev', 'link']) {
+        delete json[property]
+      }
+      json.version = 1
+      should(() => encoding.WitnessUpdate.fromJSON(curve, json)).throw(/Unsupported version 1/)
+    })
+
+    it('rejects other typedefs', function() {
+      should(() => encoding.Update.decode(curve, bytes)).throw(/not of type Update/)
+      const json = encoding.Witness.toJSON(curve, witnessUpdates[1])
+      should(() => encoding.WitnessUpdate.fromJSON(curve, json)).throw(/not of type WitnessUpdate/)
+    })
+
+    it('rejects truncated data', function() {
+      should(() => encoding.Witness.decode(curve, bytes.subarray(0, bytes.length - 1)))
+        .throw(/Unexpected end of data/)
+    })
+
+    it('rejects trailing data', function() {
+      should(() => encoding.Witness.decode(curve, Buffer.concat([bytes, Buffer.from([0])])))
+        .throw(/Unexpected data/)
+    })
+
+    it('rejects points not on the curve', function() {
+      const modified = Buffer.from(bytes)
+      const length = curve.toBytes(curve.BASE).length
+      // Flip a bit in the last point until it is not a point of the group.
+      for (let i = 0; ; i++) {
+        modified[modified.length - 1 - (i >> 3)] ^= 1 << (i & 7)
+        try {
+          curve.fromBytes(modified.subarray(modified.length - length))
+        } catch (err) {
+          break
+        }
+      }
+      should(() => encoding.Witness.decode(curve, modified)).throw(/Invalid point/)
+      const json = encoding.Witness.toJSON(curve, witnessUpdates[1])
+      json.v = json.v.slice(2)
+      should(() => encoding.Witness.fromJSON(curve, json)).throw(/Invalid point/)
+    })
+
+    it('rejects points from other curves', function() {
+      should(() => encoding.Witness.encode(p256, witnessUpdates[1])).throw(/configured curve/)
+    })
+
+    it('rejects missing properties', function() {
+      const json = encoding.Witness.toJSON(curve, witnessUpdates[1])
+      delete json.w
+      should(() => encoding.Witness.fromJSON(curve, json)).throw(/missing property w/)
+    })
+
+  })
+
+})
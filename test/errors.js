@@ -0,0 +1,198 @@
+const should = require('should')
+const {
+  Accumulator,
+  Prover,
+  Verifier,
+  WitnessHolder,
+  AccumulatorError,
+  InvalidArgumentError,
+  InvalidPointError,
+  InvalidUpdateError,
+  SequenceError,
+  DuplicateUpdateError,
+  NotMemberError,
+  DuplicateMemberError,
+  EmptyAccumulatorError,
+  encoding,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('errors over ' + curve.name, function() {
+
+  const {p256} = require('@noble/curves/p256')
+  const hash = 'SHA-256'
+
+  let accumulator
+  let prover
+
+  beforeEach('constructs accumulator and prover', function() {
+    accumulator = new Accumulator(curve, hash)
+    prover = new Prover(curve, hash)
+  })
+
+  function state(accumulator) {
+    const {z, Q, i, A, seq, link} = accumulator
+    return {z, Q, i, A: A.slice(), seq, link}
+  }
+
+  it('forms a hierarchy', function() {
+    const err = new DuplicateUpdateError('it has already been applied', 2, 1)
+    err.should.be.an.instanceOf(SequenceError)
+    err.should.be.an.instanceOf(InvalidUpdateError)
+    err.should.be.an.instanceOf(InvalidArgumentError)
+    err.should.be.an.instanceOf(AccumulatorError)
+    err.should.be.an.instanceOf(Error)
+    err.should.have.properties({name: 'DuplicateUpdateError', seq: 1, expected: 2, received: 1})
+    err.message.should.equal('Update 1 is invalid: it has already been applied')
+    for (let TypedError of [NotMemberError, DuplicateMemberError, EmptyAccumulatorError]) {
+      new TypedError('message').should.be.an.instanceOf(AccumulatorError)
+        .and.have.property('name', TypedError.name)
+    }
+    new InvalidPointError('message').should.be.an.instanceOf(InvalidArgumentError)
+  })
+
+  describe('deletion', function() {
+
+    it('rejects non-member without changing state', async function() {
+      const witness = await accumulator.add('a')
+      await accumulator.add('b')
+      const expected = state(accumulator)
+      // The witness returned by add is no longer valid after b was added.
+      await accumulator.del(witness).should.be.rejectedWith(NotMemberError)
+      const other = await new Accumulator(curve, hash).add('c')
+      await accumulator.del(other).should.be.rejectedWith(NotMemberError)
+      state(accumulator).should.eql(expected)
+      await accumulator.verify(await accumulator.prove('a')).should.be.fulfilledWith(true)
+    })
+
+    it('rejects batch with a non-member without changing state', async function() {
+      await accumulator.add('a')
+      await accumulator.add('b')
+      const witness = await accumulator.prove('a')
+      const expected = state(accumulator)
+      const other = await new Accumulator(curve, hash).add('c')
+      await accumulator.delBatch([witness, other]).should.be.rejectedWith(NotMemberError)
+      await accumulator.delBatch([witness, witness]).should.be.rejectedWith(DuplicateMemberError)
+      state(accumulator).should.eql(expected)
+    })
+
+    it('rejects empty accumulator', async function() {
+      const witness = await accumulator.add('a')
+      await accumulator.del(witness)
+      await accumulator.del(witness).should.be.rejectedWith(EmptyAccumulatorError)
+      await accumulator.delBatch([witness]).should.be.rejectedWith(EmptyAccumulatorError)
+      await accumulator.delBatch([]).should.be.rejectedWith(InvalidArgumentError)
+    })
+
+  })
+
+  describe('membership', function() {
+
+    it('rejects proof for non-member', async function() {
+      await prover.update(await accumulator.add('a'))
+      await accumulator.prove('b').should.be.rejectedWith(NotMemberError)
+      await prover.prove('b').should.be.rejectedWith(NotMemberError)
+      should(() => prover.proveSync('b')).throw(NotMemberError)
+    })
+
+    it('rejects proof of non-membership for member', async function() {
+      await prover.update(await accumulator.add('a'))
+      await accumulator.proveNonMembership('a').should.be.rejectedWith(DuplicateMemberError)
+      await prover.proveNonMembership('a').should.be.rejectedWith(DuplicateMemberError)
+    })
+
+    it('rejects verification by prover without accumulation', async function() {
+      const witness = await accumulator.add('a')
+      await prover.verify(witness).should.be.rejectedWith(EmptyAccumulatorError)
+      const nonMembership = await accumulator.proveNonMembership('b')
+      await prover.verifyNonMembership(nonMembership).should.be.rejectedWith(EmptyAccumulatorError)
+    })
+
+    it('rejects deletion of held element', async function() {
+      const holder = new WitnessHolder(curve, hash, await accumulator.add('a'))
+      await holder.update(await accumulator.add('b'))
+      const update = await accumulator.del(await accumulator.prove('a'))
+      await holder.update(update).should.be.rejectedWith(NotMemberError)
+    })
+
+  })
+
+  describe('invalid input', function() {
+
+    it('rejects invalid arguments', async function() {
+      should(() => new Accumulator(curve, 5)).throw(InvalidArgumentError)
+      await accumulator.add(NaN).should.be.rejectedWith(InvalidArgumentError)
+      await accumulator.addBatch([]).should.be.rejectedWith(InvalidArgumentError)
+      await prover.update({d: 'a'}).should.be.rejectedWith(InvalidArgumentError)
+    })
+
+    it('rejects invalid points', async function() {
+      await accumulator.verify({d: 'a', v: 5, w: 5}).should.be.rejectedWith(InvalidPointError)
+      const witness = await accumulator.add('a')
+      should(() => encoding.Witness.encode(p256, witness)).throw(InvalidPointError)
+      const json = encoding.Witness.toJSON(curve, witness)
+      json.v = 'zz'
+      should(() => encoding.Witness.fromJSON(curve, json)).throw(InvalidPointError)
+    })
+
+    it('rejects malformed encodings', async function() {
+      const witness = await accumulator.add('a')
+      const bytes = encoding.Witness.encode(curve, witness)
+      const json = encoding.Witness.toJSON(curve, witness)
+      for (let decode of [
+        () => encoding.Witness.decode(curve, bytes.subarray(0, bytes.length - 1)),
+        () => encoding.Witness.decode(curve, Buffer.concat([bytes, Buffer.from([0])])),
+        () => encoding.Update.decode(curve, bytes),
+        () => encoding.AnyUpdate.decode(curve, bytes),
+        () => encoding.Witness.fromJSON(curve, '{'),
+        () => encoding.Witness.fromJSON(curve, 'null'),
+        () => encoding.Witness.fromJSON(curve, Object.assign({}, json, {version: 1})),
+        () => encoding.Witness.fromJSON(curve, Object.assign({}, json, {d: {encoding: 'x'}})),
+        () => encoding.AnyUpdate.fromJSON(curve, json),
+        () => encoding.WitnessUpdate.fromJSON(curve, Object.assign(
+          encoding.WitnessUpdate.toJSON(curve, witness), {seq: -1})),
+        () => encoding.Witness.fromJSON(curve, Object.assign({}, json,
+          {d: {encoding: 'cbor', value: '1800'}})),
+      ]) {
+        should(decode).throw(InvalidArgumentError)
+        try {
+          decode()
+        } catch (err) {
+          err.should.be.an.instanceOf(AccumulatorError)
+          err.should.not.be.an.instanceOf(InvalidPointError)
+        }
+      }
+    })
+
+    it('rejects invalid snapshots', async function() {
+      await accumulator.add('a')
+      const snapshot = await accumulator.toSnapshot()
+      await Accumulator.fromSnapshot(curve, hash, snapshot)
+        .should.be.rejectedWith(InvalidArgumentError, {message: /does not include the secret/})
+      await Accumulator.fromSnapshot(curve, hash, snapshot, 1n)
+        .should.be.rejectedWith(InvalidArgumentError, {message: /Secret does not match/})
+      await Accumulator.fromSnapshot(curve, hash, JSON.stringify(snapshot) + '}')
+        .should.be.rejectedWith(InvalidArgumentError, {message: /not valid JSON/})
+      await Prover.fromSnapshot(curve, hash, snapshot)
+        .should.be.rejectedWith(InvalidArgumentError, {message: /not of type Prover/})
+      await Prover.fromSnapshot(curve, hash, Object.assign({}, snapshot, {version: 1}))
+        .should.be.rejectedWith(InvalidArgumentError, {message: /Unsupported snapshot version/})
+      await accumulator.publicKey().should.be.rejectedWith(InvalidArgumentError)
+    })
+
+    it('rejects points outside the groups of a pairing curve', function() {
+      const {bls12_381: bls} = require('@noble/curves/bls12-381')
+      const g1 = bls.G1.ProjectivePoint.BASE
+      should(() => new Verifier(bls, hash, g1, g1)).throw(InvalidPointError)
+    })
+
+    it('rejects unsupported hash algorithm', async function() {
+      await new Accumulator(curve, 'SHA-0').add('a')
+        .should.be.rejectedWith(InvalidArgumentError, {message: /Unsupported hash algorithm/})
+      await new Accumulator(curve, () => 'digest').add('a')
+        .should.be.rejectedWith(InvalidArgumentError, {message: /did not return a digest/})
+    })
+
+  })
+
+})
@@ -0,0 +1,167 @@
+const should = require('should')
+const {
+  Accumulator,
+  Prover,
+  WitnessHolder,
+  InvalidArgumentError,
+  DuplicateUpdateError,
+  UpdateGapError,
+  BrokenLinkError,
+  encoding,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('witness holder over ' + curve.name, function() {
+
+  this.timeout(10000)
+
+  const hash = 'SHA-256'
+
+  let accumulator
+  let prover
+
+  beforeEach('constructs accumulator and prover', function() {
+    accumulator = new Accumulator(curve, hash)
+    prover = new Prover(curve, hash)
+  })
+
+  async function add(d) {
+    const update = await accumulator.add(d)
+    await prover.update(update)
+    return update
+  }
+
+  async function del(d) {
+    const update = await accumulator.del(await prover.prove(d))
+    await prover.update(update)
+    return update
+  }
+
+  async function check(holder) {
+    const witness = holder.witness()
+    await accumulator.verify(witness).should.be.fulfilledWith(true)
+    await prover.verify(witness).should.be.fulfilledWith(true)
+    const expected = await prover.prove(holder.d)
+    witness.v.equals(expected.v).should.be.true()
+    witness.w.equals(expected.w).should.be.true()
+  }
+
+  it('constructs holder', async function() {
+    const holder = new WitnessHolder(curve, hash, await add('a'))
+    holder.should.have.property('d').which.equals('a')
+    holder.should.have.property('i').which.equals(0)
+    await check(holder)
+  })
+
+  it('follows additions', async function() {
+    const holder = new WitnessHolder(curve, hash, await add('a'))
+    for (let item of ['b', 'c', 'd']) {
+      await holder.update(await add(item))
+      await check(holder)
+    }
+  })
+
+  it('follows deletions', async function() {
+    await add('a')
+    await add('b')
+    const holder = new WitnessHolder(curve, hash, await add('c'))
+    await holder.update(await del('a'))
+    await check(holder)
+    await holder.update(await del('b'))
+    await check(holder)
+    holder.should.have.property('i').which.equals(0)
+  })
+
+  it('follows interleaved additions and deletions', async function() {
+    const holders = [new WitnessHolder(curve, hash, await add('a'))]
+    const update = await add(Buffer.from('b'))
+    await holders[0].update(update)
+    holders.push(new WitnessHolder(curve, hash, update))
+    const sequence = [
+      ['add', 'c'], ['del', 'c'], ['add', 'd'], ['add', 'e'], ['del', 'd'],
+      ['add', 'c'], ['add', 'f'], ['del', 'e'], ['del', 'f'], ['add', 'g'],
+    ]
+    for (let [op, item] of sequence) {
+      const update = op === 'add' ? await add(item) : await del(item)
+      // Updates travel to holders in their serialized form.
+      const codec = op === 'add' ? encoding.WitnessUpdate : encoding.Update
+      const decoded = codec.decode(curve, codec.encode(curve, update))
+      for (let holder of holders) {
+        await holder.update(decoded)
+        await check(holder)
+      }
+    }
+  })
+
+  it('starts from a prover witness', async function() {
+    await add('a')
+    await add('b')
+    await add('c')
+    const witness = await prover.prove('b')
+    should(() => new WitnessHolder(curve, hash, Object.assign({}, witness, {
+      z: prover.z,
+      i: prover.i,
+    }))).throw(InvalidArgumentError)
+    const holder = new WitnessHolder(curve, hash, Object.assign(witness, {
+      z: prover.z,
+      i: prover.i,
+      seq: prover.seq,
+      link: prover.link,
+    }))
+    await holder.update(await del('c'))
+    await holder.update(await add('d'))
+    await check(holder)
+  })
+
+  it('rejects deletion of its own element', async function() {
+    const holder = new WitnessHolder(curve, hash, await add('a'))
+    await holder.update(await add('b'))
+    const update = await del('a')
+    await holder.update(update).should.be.rejectedWith(/Witness element was deleted/)
+  })
+
+  it('rejects updates out of sequence', async function() {
+    const holder = new WitnessHolder(curve, hash, await add('a'))
+    const {v, w, z, i, seq, link} = holder
+    const skipped = await add('b')
+    const update = await add('c')
+    await holder.update(update).should.be.rejectedWith(UpdateGapError, {expected: 2, received: 3})
+    holder.should.have.properties({v, w, z, i, seq, link})
+    await holder.update(skipped)
+    await holder.update(update)
+    await check(holder)
+    holder.seq.should.equal(3)
+    holder.updateSync.bind(holder, skipped).should.throw(DuplicateUpdateError)
+    await holder.update(update).should.be.rejectedWith(DuplicateUpdateError)
+    await check(holder)
+  })
+
+  it('rejects replays that restore the index', async function() {
+    const holder = new WitnessHolder(curve, hash, await add('a'))
+    const added = await add('b')
+    await holder.update(added)
+    const deleted = await del('b')
+    await holder.update(deleted)
+    // Replaying the addition has the index the holder expects, but not the sequence number.
+    await holder.update(added).should.be.rejectedWith(DuplicateUpdateError)
+    await check(holder)
+  })
+
+  it('rejects updates that do not link to the last update', async function() {
+    const holder = new WitnessHolder(curve, hash, await add('a'))
+    const other = new Accumulator(curve, hash)
+    await other.add('x')
+    const forked = await other.add('y')
+    await holder.update(forked).should.be.rejectedWith(BrokenLinkError)
+    await holder.update(await add('b'))
+    await check(holder)
+  })
+
+  it('rejects aggregated updates', async function() {
+    const holder = new WitnessHolder(curve, hash, await add('a'))
+    const update = await accumulator.addBatch(['b', 'c'])
+    await holder.update(update).should.be.rejected()
+    should(holder.i).equal(0)
+  })
+
+})
@@ -0,0 +1,224 @@
+const should = require('should')
+const {
+  Accumulator,
+  Prover,
+  Verifier,
+  InvalidArgumentError,
+  InvalidUpdateError,
+  DuplicateUpdateError,
+  encoding,
+  keys,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('secret keys over ' + curve.name, function() {
+
+  this.timeout(10000)
+
+  const hash = 'SHA-256'
+  const seed = Buffer.from('000102030405060708090a0b0c0d0e0f', 'hex')
+
+  describe('derive', function() {
+
+    it('derives the same secret from the same seed', async function() {
+      const c = await keys.derive(curve, seed)
+      c.should.be.above(0n).and.below(curve.n)
+      const again = await keys.derive(curve, Buffer.from(seed))
+      again.should.equal(c)
+      const update = await new Accumulator(curve, hash, c).add('a')
+      const expected = await new Accumulator(curve, hash, again).add('a')
+      update.z.equals(expected.z).should.be.true()
+    })
+
+    it('derives independent secrets for each info and salt', async function() {
+      const secrets = [
+        await keys.derive(curve, seed),
+        await keys.derive(curve, seed, {info: 'rotation 1'}),
+        await keys.derive(curve, seed, {salt: 'salt'}),
+        await keys.derive(curve, Buffer.concat([seed, Buffer.from([0])])),
+      ]
+      new Set(secrets).size.should.equal(secrets.length)
+    })
+
+    it('rejects short seeds', async function() {
+      await keys.derive(curve, seed.subarray(1)).should.be.rejectedWith(InvalidArgumentError)
+    })
+
+  })
+
+  describe('keystore', function() {
+
+    const password = 'correct horse battery staple'
+    const options = {N: 2 ** 10}
+
+    let c
+    let keystore
+
+    before('encrypts secret', async function() {
+      c = await keys.derive(curve, seed)
+      keystore = await keys.encrypt(curve, c, password, options)
+    })
+
+    it('round trips secret', async function() {
+      keystore.should.have.properties(['version', 'curve', 'kdf', 'cipher', 'ciphertext'])
+      keystore.ciphertext.should.not.containEql(c.toString(16))
+      await keys.decrypt(curve, keystore, password).should.be.fulfilledWith(c)
+      await keys.decrypt(curve, JSON.stringify(keystore), Buffer.from(password))
+        .should.be.fulfilledWith(c)
+    })
+
+    it('uses a new salt and iv for each keystore', async function() {
+      const other = await keys.encrypt(curve, c, password, options)
+      other.kdf.salt.should.not.equal(keystore.kdf.salt)
+      other.cipher.iv.should.not.equal(keystore.cipher.iv)
+    })
+
+    it('rejects incorrect passwords', async function() {
+      await keys.decrypt(curve, keystore, 'incorrect').should.be.rejectedWith(InvalidArgumentError,
+        {message: /Password is incorrect/})
+    })
+
+    it('rejects modified keystores', async function() {
+      const modified = JSON.parse(JSON.stringify(keystore))
+      modified.ciphertext = (BigInt('0x' + modified.ciphertext) ^ 1n).toString(16)
+        .padStart(modified.ciphertext.length, '0')
+      await keys.decrypt(curve, modified, password).should.be.rejectedWith(InvalidArgumentError)
+      await keys.decrypt(curve, JSON.stringify(keystore).slice(0, -1), password)
+        .should.be.rejectedWith(InvalidArgumentError, {message: /not valid JSON/})
+      const unsupported = Object.assign({}, keystore, {version: 2})
+      await keys.decrypt(curve, unsupported, password)
+        .should.be.rejectedWith(/Unsupported keystore version/)
+    })
+
+    it('rejects scrypt parameters that are too large', async function() {
+      for (let kdf of [{N: 2 ** 21}, {r: 17}, {p: 17}, {N: 2 ** 40, r: 2 ** 20}, {N: 0}]) {
+        const crafted = Object.assign({}, keystore, {kdf: Object.assign({}, keystore.kdf, kdf)})
+        await keys.decrypt(curve, crafted, password).should.be.rejectedWith(InvalidArgumentError,
+          {message: /scrypt parameter/})
+      }
+      await keys.encrypt(curve, c, password, {r: 17}).should.be.rejectedWith(InvalidArgumentError)
+    })
+
+    it('rejects keystores of other curves', async function() {
+      const {p256} = require('@noble/curves/p256')
+      await keys.decrypt(p256, keystore, password).should.be.rejectedWith(/different curve/)
+    })
+
+    it('rejects secrets out of range', async function() {
+      await keys.encrypt(curve, curve.n, password, options)
+        .should.be.rejectedWith(InvalidArgumentError)
+    })
+
+  })
+
+  describe('rotate', function() {
+
+    let accumulator
+    let prover
+
+    beforeEach('constructs accumulator and prover', async function() {
+      accumulator = new Accumulator(curve, hash, await keys.derive(curve, seed))
+      prover = new Prover(curve, hash, undefined, {strict: true})
+      for (let item of ['a', 'b', 'c']) {
+        await prover.update(await accumulator.add(item))
+      }
+      await prover.update(await accumulator.del(await prover.prove('b')))
+    })
+
+    it('migrates provers to the new secret', async function() {
+      const c = await keys.derive(curve, seed, {info: 'rotation 1'})
+      const old = await prover.prove('a')
+      const update = await accumulator.rotate(c)
+      update.should.have.properties({op: 'rotate', i: 1, seq: 5})
+      update.Q.should.have.lengthOf(3)
+      accumulator.c.should.equal(c)
+      await accumulator.verify(old).should.be.fulfilledWith(false)
+      await prover.migrate(update)
+      prover.Q.should.have.lengthOf(3)
+      prover.link.should.equal(accumulator.link)
+      for (let item of ['a', 'c']) {
+        await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+      }
+      await accumulator.verifyNonMembership(await prover.proveNonMembership('b'))
+        .should.be.fulfilledWith(true)
+    })
+
+    it('continues after migration', async function() {
+      await prover.migrate(await accumulator.rotate())
+      await prover.update(await accumulator.add('d'))
+      await prover.update(await accumulator.del(await prover.prove('a')))
+      await prover.updateBatch(await accumulator.addBatch(['e', 'f']))
+      for (let item of ['c', 'd', 'e', 'f']) {
+        await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+      }
+      const checkpoint = await accumulator.checkpoint()
+      for (let k = 0; k < checkpoint.Q.length; k++) {
+        checkpoint.Q[k].equals(prover.Q[k]).should.be.true()
+      }
+    })
+
+    it('rotates empty accumulations', async function() {
+      const accumulator = new Accumulator(curve, hash)
+      const prover = new Prover(curve, hash)
+      const update = await accumulator.rotate()
+      should(update.i).be.null()
+      await prover.migrate(update)
+      await prover.update(await accumulator.add('a'))
+      await accumulator.verify(await prover.prove('a')).should.be.fulfilledWith(true)
+    })
+
+    it('round trips encoding', async function() {
+      const update = await accumulator.rotate()
+      const bytes = encoding.RotationUpdate.encode(curve, update)
+      const json = JSON.stringify(encoding.RotationUpdate.toJSON(curve, update))
+      const decoded = encoding.RotationUpdate.decode(curve, bytes)
+      encoding.RotationUpdate.fromJSON(curve, json).should.have.properties({op: 'rotate', i: 1})
+      encoding.link(curve, decoded).should.equal(accumulator.link)
+      await prover.migrate(decoded)
+      await accumulator.verify(await prover.prove('c')).should.be.fulfilledWith(true)
+    })
+
+    it('rejects invalid secrets', async function() {
+      await accumulator.rotate(accumulator.c).should.be.rejectedWith(InvalidArgumentError)
+      await accumulator.rotate(0n).should.be.rejectedWith(InvalidArgumentError)
+      await accumulator.rotate(curve.n).should.be.rejectedWith(InvalidArgumentError)
+    })
+
+    it('rejects invalid migrations', async function() {
+      const update = await accumulator.rotate()
+      const short = Object.assign({}, update, {Q: update.Q.slice(1)})
+      await prover.migrate(short).should.be.rejectedWith(InvalidUpdateError,
+        {reason: 'public components do not match members'})
+      const forged = Object.assign({}, update, {z: update.z.add(curve.BASE)})
+      await prover.migrate(forged).should.be.rejectedWith(InvalidUpdateError,
+        {reason: /Accumulation does not match/})
+      prover.rejected.should.have.lengthOf(1)
+      await prover.migrate(update)
+      await prover.migrate(update).should.be.rejectedWith(DuplicateUpdateError)
+    })
+
+  })
+
+})
+
+describe('secret rotation with public verification', function() {
+
+  this.timeout(10000)
+
+  const {bls12_381} = require('@noble/curves/bls12-381')
+
+  it('requires a new verifier', async function() {
+    const accumulator = new Accumulator(bls12_381, 'SHA-256')
+    const verifier = new Verifier(bls12_381, 'SHA-256', await accumulator.publicKey(),
+      accumulator.z)
+    const prover = new Prover(bls12_381.G1, 'SHA-256')
+    await prover.update(await accumulator.add('a'))
+    const update = await accumulator.rotate()
+    await verifier.update(update).should.be.rejectedWith(InvalidUpdateError)
+    await prover.migrate(update)
+    const rotated = new Verifier(bls12_381, 'SHA-256', await accumulator.publicKey(),
+      accumulator.z)
+    await rotated.verify(await prover.prove('a')).should.be.fulfilledWith(true)
+  })
+
+})
@@ -0,0 +1,157 @@
+const should = require('should')
+const crypto = require('crypto')
+const {
+  Accumulator,
+  Prover,
+  InvalidArgumentError,
+  InvalidLogError,
+  log,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('update log over ' + curve.name, function() {
+
+  this.timeout(10000)
+
+  const hash = 'SHA-256'
+  const {privateKey, publicKey} = crypto.generateKeyPairSync('ed25519')
+
+  let accumulator
+  let recorder
+
+  beforeEach('records updates', async function() {
+    accumulator = new Accumulator(curve, hash)
+    recorder = new log.Log(accumulator, privateKey)
+    await accumulator.addBatch(['a', 'b', 'c'])
+    await accumulator.add('d')
+    await accumulator.del(await accumulator.prove('a'))
+    await accumulator.rotate()
+    await accumulator.delElement('b')
+  })
+
+  it('records each update with a signed checkpoint', function() {
+    const json = recorder.toJSON()
+    json.entries.should.have.lengthOf(5)
+    json.checkpoints.should.have.lengthOf(5)
+    json.entries.map(({update}) => update.op).should.eql(['add', 'add', 'del', 'rotate', 'del'])
+    json.checkpoints.at(-1).should.have.properties({seq: 5, hash: json.entries[4].hash})
+    log.audit(curve, json, publicKey).should.be.true()
+    log.audit(curve, JSON.stringify(json), publicKey.export({type: 'spki', format: 'pem'}))
+      .should.be.true()
+  })
+
+  it('replays into a prover', async function() {
+    const prover = await Prover.fromLog(curve, hash, JSON.stringify(recorder), publicKey,
+      {strict: true})
+    prover.z.equals(accumulator.z).should.be.true()
+    prover.link.should.equal(accumulator.link)
+    for (let item of ['c', 'd']) {
+      await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+    }
+    await prover.has('a').should.be.fulfilledWith(false)
+  })
+
+  it('signs checkpoints at an interval', async function() {
+    const accumulator = new Accumulator(curve, hash)
+    const recorder = new log.Log(accumulator, privateKey, {interval: 2})
+    for (let item of ['a', 'b', 'c']) {
+      await accumulator.add(item)
+    }
+    recorder.checkpoints.map(({seq}) => seq).should.eql([2])
+    log.audit(curve, recorder.toJSON(), publicKey).should.be.true()
+    await Prover.fromLog(curve, hash, recorder.toJSON(), publicKey)
+      .should.be.rejectedWith(InvalidLogError, {seq: 3})
+    recorder.checkpoint().should.have.properties({seq: 3, i: 2})
+    await Prover.fromLog(curve, hash, recorder.toJSON(), publicKey)
+      .should.be.fulfilled()
+  })
+
+  it('stops recording when closed', async function() {
+    recorder.close()
+    await accumulator.add('e')
+    recorder.entries.should.have.lengthOf(5)
+  })
+
+  it('rejects accumulators that have published updates', function() {
+    should(() => new log.Log(accumulator, privateKey)).throw(InvalidArgumentError)
+    should(() => new log.Log(new Accumulator(curve, hash), privateKey).checkpoint())
+      .throw(InvalidArgumentError)
+  })
+
+  it('rejects modified entries', function() {
+    const json = JSON.parse(JSON.stringify(recorder))
+    // Remove an entry.
+    const removed = Object.assign({}, json, {
+      entries: json.entries.slice(0, 2).concat(json.entries.slice(3)),
+      checkpoints: [],
+    })
+    log.audit(curve, removed, publicKey).should.be.false()
+    // Change the time of an entry.
+    const retimed = JSON.parse(JSON.stringify(json))
+    retimed.entries[1].time += 1
+    log.audit(curve, retimed, publicKey).should.be.false()
+    // Change the data of an element.
+    const changed = JSON.parse(JSON.stringify(json))
+    changed.entries[1].update.d = Buffer.from('e').toString('hex')
+    log.audit(curve, changed, publicKey).should.be.false()
+    // Truncate the log and its checkpoints.
+    const truncated = Object.assign({}, json, {
+      entries: json.entries.slice(0, 3),
+      checkpoints: json.checkpoints.slice(0, 3),
+    })
+    log.audit(curve, truncated, publicKey).should.be.true()
+  })
+
+  it('rejects modified checkpoints', function() {
+    const json = JSON.parse(JSON.stringify(recorder))
+    const other = crypto.generateKeyPairSync('ed25519')
+    log.audit(curve, json, other.publicKey).should.be.false()
+    const forged = JSON.parse(JSON.stringify(json))
+    forged.checkpoints[2].i = 0
+    log.audit(curve, forged, publicKey).should.be.false()
+    const reordered = Object.assign({}, json, {checkpoints: json.checkpoints.slice().reverse()})
+    log.audit(curve, reordered, publicKey).should.be.false()
+  })
+
+  it('rejects checkpoints that do not match the updates', async function() {
+    // The operator signs a checkpoint of an accumulation the updates do not reach.
+    const accumulator = new Accumulator(curve, hash)
+    const recorder = new log.Log(accumulator, privateKey, {interval: 0})
+    await accumulator.add('a')
+    accumulator.z = accumulator.z.add(curve.BASE)
+    recorder.checkpoint()
+    log.audit(curve, recorder.toJSON(), publicKey).should.be.true()
+    await Prover.fromLog(curve, hash, recorder.toJSON(), publicKey)
+      .should.be.rejectedWith(InvalidLogError, {seq: 1, message: /does not match the checkpoint/})
+  })
+
+  it('rejects malformed logs', async function() {
+    const json = JSON.stringify(recorder)
+    const invalid = Object.assign(recorder.toJSON(), {entries: 'a'})
+    for (let malformed of [json.slice(0, -1), 'null', '[]', invalid, JSON.stringify(invalid)]) {
+      log.audit(curve, malformed, publicKey).should.be.false()
+      await Prover.fromLog(curve, hash, malformed, publicKey)
+        .should.be.rejectedWith(InvalidLogError, {seq: 0, message: /malformed/})
+    }
+    should(() => log.audit(curve, 5, publicKey)).throw(InvalidArgumentError)
+  })
+
+  it('rejects logs that cannot be replayed', async function() {
+    // A log of a multiset accumulator cannot be replayed by a prover that rejects duplicates.
+    const accumulator = new Accumulator(curve, hash, undefined, {duplicates: 'multiset'})
+    const recorder = new log.Log(accumulator, privateKey)
+    await accumulator.add('a')
+    await accumulator.add('a')
+    log.audit(curve, recorder.toJSON(), publicKey).should.be.true()
+    await Prover.fromLog(curve, hash, recorder.toJSON(), publicKey)
+      .should.be.rejectedWith(InvalidLogError, {seq: 2, message: /already contains/})
+    await Prover.fromLog(curve, hash, recorder.toJSON(), publicKey, {duplicates: 'multiset'})
+      .should.be.fulfilled()
+  })
+
+  it('rejects logs of other curves', function() {
+    const {p256} = require('@noble/curves/p256')
+    log.audit(p256, recorder.toJSON(), publicKey).should.be.false()
+  })
+
+})
@@ -0,0 +1,114 @@
+const should = require('should')
+const {
+  Accumulator,
+  Prover,
+  InvalidArgumentError,
+  NotMemberError,
+  encoding,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('aggregated witness over ' + curve.name, function() {
+
+  this.timeout(10000)
+
+  const hash = 'SHA-256'
+  const items = ['a', 'b', 'c', 'd', 'e']
+
+  let accumulator
+  let prover
+
+  before('accumulates values', async function() {
+    accumulator = new Accumulator(curve, hash)
+    prover = new Prover(curve, hash)
+    for (let item of items) {
+      await prover.update(await accumulator.add(item))
+    }
+    await prover.update(await accumulator.del(await prover.prove('e')))
+  })
+
+  it('matches between accumulator and prover', async function() {
+    for (let D of [['a'], ['b', 'd'], ['d', 'a', 'c'], ['a', 'b', 'c', 'd']]) {
+      const witness = await prover.proveMany(D)
+      witness.should.have.properties(['D', 'v'])
+      witness.D.should.eql(D)
+      const expected = await accumulator.proveMany(D)
+      witness.v.equals(expected.v).should.be.true()
+      await accumulator.verifyMany(witness).should.be.fulfilledWith(true)
+      await prover.verifyMany(witness).should.be.fulfilledWith(true)
+    }
+  })
+
+  it('proves every member', async function() {
+    const witness = await prover.proveMany(['a', 'b', 'c', 'd'])
+    witness.v.equals(curve.BASE).should.be.true()
+    await accumulator.verifyMany(witness).should.be.fulfilledWith(true)
+  })
+
+  it('matches witnesses of single elements', async function() {
+    const witness = await prover.proveMany(['b'])
+    witness.v.equals((await prover.prove('b')).v).should.be.true()
+  })
+
+  it('rejects subsets that include non-members', async function() {
+    for (let party of [accumulator, prover]) {
+      await party.proveMany(['a', 'e']).should.be.rejectedWith(NotMemberError)
+      await party.proveMany(['a', 'f']).should.be.rejectedWith(NotMemberError)
+      await party.proveMany(['a', 'a']).should.be.rejectedWith(NotMemberError)
+      await party.proveMany([]).should.be.rejectedWith(InvalidArgumentError)
+    }
+    const witness = await prover.proveMany(['a', 'b'])
+    for (let D of [['a', 'e'], ['a', 'b', 'e'], ['a'], []]) {
+      const forged = Object.assign({}, witness, {D})
+      await accumulator.verifyMany(forged).should.be.fulfilledWith(false)
+      await prover.verifyMany(forged).should.be.fulfilledWith(false)
+    }
+    const forged = Object.assign({}, witness, {v: witness.v.add(curve.BASE)})
+    await accumulator.verifyMany(forged).should.be.fulfilledWith(false)
+    await prover.verifyMany(forged).should.be.fulfilledWith(false)
+  })
+
+  it('is invalidated by updates', async function() {
+    const accumulator = new Accumulator(curve, hash)
+    const prover = new Prover(curve, hash)
+    await prover.updateBatch(await accumulator.addBatch(['a', 'b']))
+    const witness = await prover.proveMany(['a', 'b'])
+    await prover.update(await accumulator.add('c'))
+    await accumulator.verifyMany(witness).should.be.fulfilledWith(false)
+    await prover.verifyMany(witness).should.be.fulfilledWith(false)
+    await accumulator.verifyMany(await prover.proveMany(['a', 'b']))
+      .should.be.fulfilledWith(true)
+  })
+
+  it('proves duplicates', async function() {
+    const accumulator = new Accumulator(curve, hash, undefined, {duplicates: 'multiset'})
+    const prover = new Prover(curve, hash, undefined, {duplicates: 'multiset'})
+    await prover.updateBatch(await accumulator.addBatch(['a', 'a', 'b']))
+    const witness = await prover.proveMany(['a', 'a'])
+    await accumulator.verifyMany(witness).should.be.fulfilledWith(true)
+    await accumulator.proveMany(['a', 'a', 'a']).should.be.rejectedWith(NotMemberError)
+  })
+
+  it('provides synchronous versions', function() {
+    const witness = prover.proveManySync(['a', 'c'])
+    accumulator.verifyManySync(witness).should.be.true()
+    prover.verifyManySync(accumulator.proveManySync(['a', 'c'])).should.be.true()
+  })
+
+  it('round trips encoding', async function() {
+    const witness = await prover.proveMany(['a', 'c', 'd'])
+    const bytes = encoding.AggregateWitness.encode(curve, witness)
+    const decoded = encoding.AggregateWitness.decode(curve, bytes)
+    decoded.D.map(d => Buffer.from(d).toString()).should.eql(['a', 'c', 'd'])
+    await accumulator.verifyMany(decoded).should.be.fulfilledWith(true)
+    const json = JSON.stringify(encoding.AggregateWitness.toJSON(curve, witness))
+    await accumulator.verifyMany(encoding.AggregateWitness.fromJSON(curve, json))
+      .should.be.fulfilledWith(true)
+  })
+
+  it('rejects prover verification without an accumulation', function() {
+    const prover = new Prover(curve, hash)
+    should(() => prover.verifyManySync({D: ['a'], v: curve.BASE})).throw(/not received/)
+  })
+
+})
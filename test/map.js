@@ -0,0 +1,192 @@
+const should = require('should')
+const {webcrypto: {subtle}} = require('crypto')
+const {
+  Accumulator,
+  Prover,
+  Verifier,
+  WitnessHolder,
+  InvalidArgumentError,
+  zk,
+} = require('..')
+const map = require('../map')
+const curve = require('./support/curve')
+
+describe('hash to field over ' + curve.name, function() {
+
+  describe('RFC 9380 test vectors', function() {
+
+    it('expands message with SHA-256', async function() {
+      // Appendix K.1.
+      const dst = 'QUUX-V01-CS02-with-expander-SHA256-128'
+      const vectors = [
+        ['', '68a985b87eb6b46952128911f2a4412bbc302a9d759667f87f7a21d803f07235'],
+        ['abc', 'd8ccab23b5985ccea865c6c97b6e5b8350e794e603b4b97902f53a8a0d605615'],
+        ['abcdef0123456789', 'eff31487c770a893cfb36f912fbfcbff40d5661771ca4b2cb4eafe524333f5c1'],
+      ]
+      for (let [msg, expected] of vectors) {
+        const bytes = await map.expandMessage('SHA-256', Buffer.from(msg), Buffer.from(dst), 32,
+          'xmd')
+        bytes.toString('hex').should.equal(expected)
+      }
+    })
+
+    it('expands message with SHAKE128', async function() {
+      // Appendix K.3.
+      const dst = 'QUUX-V01-CS02-with-expander-SHAKE128'
+      const vectors = [
+        ['', '86518c9cd86581486e9485aa74ab35ba150d1c75c88e26b7043e44e2acd735a2'],
+        ['abc', '8696af52a4d862417c0763556073f47bc9b9ba43c99b505305cb1ec04a9ab468'],
+      ]
+      for (let [msg, expected] of vectors) {
+        const bytes = await map.expandMessage('SHAKE128', Buffer.from(msg), Buffer.from(dst), 32,
+          'xof')
+        bytes.toString('hex').should.equal(expected)
+      }
+    })
+
+    it('hashes to field of secp256k1', async function() {
+      // Appendix J.8.1, secp256k1_XMD:SHA-256_SSWU_RO_.
+      const {secp256k1} = require('@noble/curves/secp256k1')
+      const options = {dst: 'QUUX-V01-CS02-with-secp256k1_XMD:SHA-256_SSWU_RO_'}
+      const vectors = [
+        ['', [
+          '6b0f9910dd2ba71c78f2ee9f04d73b5f4c5f7fc773a701abea1e573cab002fb3',
+          '1ae6c212e08fe1a5937f6202f929a2cc8ef4ee5b9782db68b0d5799fd8f09e16',
+        ]],
+        ['abc', [
+          '128aab5d3679a1f7601e3bdf94ced1f43e491f544767e18a4873f397b08a2b61',
+          '5897b65da3b595a813d0fdcc75c895dc531be76a03518b044daaa0f2e4689e00',
+        ]],
+      ]
+      for (let [msg, expected] of vectors) {
+        const u = await map.hashToField('SHA-256', msg, secp256k1.CURVE.Fp.ORDER, 2, options)
+        u.should.eql(expected.map(x => BigInt('0x' + x)))
+      }
+    })
+
+  })
+
+  for (let [expand, hash] of [['xmd', 'SHA-256'], ['xof', 'SHAKE256']]) {
+
+    describe('with expand_message_' + expand, function() {
+
+      const hashToField = {dst: 'ECC-ACC-TEST-V01', expand}
+
+      let accumulator
+      let prover
+
+      before('constructs accumulator and prover', function() {
+        accumulator = new Accumulator(curve, hash, undefined, {hashToField})
+        prover = new Prover(curve, hash, undefined, {hashToField, strict: true})
+      })
+
+      const items = ['a', Buffer.from('b'), 'c']
+
+      before('accumulates values', async function() {
+        for (let item of items) {
+          await prover.update(await accumulator.add(item))
+        }
+      })
+
+      it('maps elements with hash_to_field', async function() {
+        const expected = await map.hashToField(hash, 'a', curve.n, 1, hashToField)
+        accumulator.A[0].should.equal(expected[0])
+      })
+
+      it('proves and verifies', async function() {
+        for (let item of items) {
+          const witness = await prover.prove(item)
+          await accumulator.verify(witness).should.be.fulfilledWith(true)
+          await prover.verify(witness).should.be.fulfilledWith(true)
+        }
+        await prover.update(await accumulator.del(await prover.prove('c')))
+        await accumulator.verifyNonMembership(await prover.proveNonMembership('c'))
+          .should.be.fulfilledWith(true)
+      })
+
+      it('proves in zero knowledge', async function() {
+        const witness = await prover.prove('a')
+        const proof = await zk.prove(curve, hash, prover.z, witness, {hashToField})
+        await accumulator.verifyProof(proof).should.be.fulfilledWith(true)
+        await prover.verifyProof(proof).should.be.fulfilledWith(true)
+      })
+
+      it('updates held witness', async function() {
+        const added = await accumulator.add('d')
+        await prover.update(added)
+        const holder = new WitnessHolder(curve, hash, added, {hashToField})
+        const update = await accumulator.add('e')
+        await prover.update(update)
+        await holder.update(update)
+        await accumulator.verify(holder.witness()).should.be.fulfilledWith(true)
+      })
+
+      it('separates domains', async function() {
+        const other = {dst: 'ECC-ACC-TEST-V02', expand}
+        const verifier = new Accumulator(curve, hash, accumulator.c, {hashToField: other})
+        verifier.z = accumulator.z
+        await verifier.verify(await prover.prove('a')).should.be.fulfilledWith(false)
+      })
+
+      it('restores options from snapshot', async function() {
+        const restored = await Prover.fromSnapshot(curve, hash,
+          JSON.stringify(await prover.toSnapshot()))
+        await accumulator.verify(await restored.prove('a')).should.be.fulfilledWith(true)
+        await Accumulator.fromSnapshot(curve, hash, await accumulator.toSnapshot(true), undefined,
+          {hashToField: {dst: 'ECC-ACC-TEST-V02', expand}})
+          .should.be.rejectedWith(InvalidArgumentError)
+        await Accumulator.fromSnapshot(curve, hash, await accumulator.toSnapshot(true), undefined,
+          {hashToField: null}).should.be.rejectedWith(InvalidArgumentError)
+      })
+
+    })
+
+  }
+
+  describe('over bls12-381', function() {
+
+    this.timeout(10000)
+
+    const {bls12_381} = require('@noble/curves/bls12-381')
+    const hashToField = {dst: 'ECC-ACC-TEST-V01'}
+
+    it('verifies with pairing', async function() {
+      const accumulator = new Accumulator(bls12_381, 'SHA-256', undefined, {hashToField})
+      const witness = await accumulator.add('a')
+      const verifier = new Verifier(bls12_381, 'SHA-256', await accumulator.publicKey(),
+        accumulator.z, {hashToField})
+      await verifier.verify(witness).should.be.fulfilledWith(true)
+    })
+
+  })
+
+  describe('legacy mapping', function() {
+
+    it('reduces digest', async function() {
+      const accumulator = new Accumulator(curve, 'SHA-256')
+      await accumulator.add('a')
+      const digest = Buffer.from(await subtle.digest('SHA-256', Buffer.from('a')))
+      accumulator.A[0].should.equal(BigInt('0x' + digest.toString('hex')) % curve.n)
+    })
+
+  })
+
+  describe('unsupported hashes', function() {
+
+    it('rejects hashes without an expander', async function() {
+      const vectors = [
+        ['SHA-1', 'xmd'],
+        ['SHAKE256', 'xmd'],
+        ['SHA-256', 'xof'],
+        [async d => await subtle.digest('SHA-256', d), 'xmd'],
+      ]
+      for (let [hash, expand] of vectors) {
+        const options = {hashToField: {dst: 'ECC-ACC-TEST-V01', expand}}
+        await new Accumulator(curve, hash, undefined, options).add('a')
+          .should.be.rejectedWith(InvalidArgumentError)
+      }
+    })
+
+  })
+
+})
@@ -0,0 +1,131 @@
+const should = require('should')
+const {
+  Accumulator,
+  Prover,
+  SequenceError,
+  DuplicateUpdateError,
+  UpdateGapError,
+  BrokenLinkError,
+  encoding,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('update sequencing over ' + curve.name, function() {
+
+  const hash = 'SHA-256'
+
+  let accumulator
+  let prover
+
+  beforeEach('constructs accumulator and prover', function() {
+    accumulator = new Accumulator(curve, hash)
+    prover = new Prover(curve, hash)
+  })
+
+  function state(prover) {
+    const {A, Q, i, z, seq, link} = prover
+    return {A: A.slice(), Q: Q.slice(), i, z, seq, link}
+  }
+
+  it('numbers and links updates', async function() {
+    const u1 = await accumulator.add('a')
+    const u2 = await accumulator.addBatch(['b', 'c'])
+    const u3 = await accumulator.del(await accumulator.prove('a'))
+    u1.should.have.properties({seq: 1, op: 'add', prev: '0'.repeat(64)})
+    u2.should.have.properties({seq: 2, op: 'add', prev: encoding.link(curve, u1)})
+    u3.should.have.properties({seq: 3, op: 'del', prev: encoding.link(curve, u2)})
+    accumulator.seq.should.equal(3)
+    accumulator.link.should.equal(encoding.link(curve, u3))
+  })
+
+  it('links witness updates and updates alike', async function() {
+    const witnessUpdate = await accumulator.add('a')
+    const bytes = encoding.Update.encode(curve, witnessUpdate)
+    const update = encoding.Update.decode(curve, bytes)
+    update.should.have.properties({seq: 1, op: 'add', prev: witnessUpdate.prev})
+    encoding.link(curve, update).should.equal(encoding.link(curve, witnessUpdate))
+  })
+
+  it('rejects duplicate updates', async function() {
+    const update = await accumulator.add('a')
+    await prover.update(update)
+    await prover.update(await accumulator.add('b'))
+    const expected = state(prover)
+    const err = await prover.update(update).should.be.rejectedWith(DuplicateUpdateError)
+    err.should.be.an.instanceOf(SequenceError)
+    err.should.have.properties({expected: 3, received: 1})
+    state(prover).should.eql(expected)
+  })
+
+  it('rejects gaps and accepts the missing update', async function() {
+    await prover.update(await accumulator.add('a'))
+    const missing = await accumulator.add('b')
+    const update = await accumulator.add('c')
+    const expected = state(prover)
+    await prover.update(update).should.be.rejectedWith(UpdateGapError, {expected: 2, received: 3})
+    state(prover).should.eql(expected)
+    await prover.update(missing)
+    await prover.update(update)
+    await accumulator.verify(await prover.prove('b')).should.be.fulfilledWith(true)
+  })
+
+  it('rejects updates from a different history', async function() {
+    const other = new Accumulator(curve, hash)
+    await prover.update(await accumulator.add('a'))
+    await other.add('b')
+    const expected = state(prover)
+    await prover.update(await other.add('c')).should.be.rejectedWith(BrokenLinkError)
+    state(prover).should.eql(expected)
+  })
+
+  it('rejects modified updates', async function() {
+    await prover.update(await accumulator.add('a'))
+    const update = await accumulator.add('b')
+    // Replaying an update for a different element breaks the link of the next update.
+    await prover.update(Object.assign({}, update, {d: 'x'}))
+    await prover.update(await accumulator.add('c')).should.be.rejectedWith(BrokenLinkError)
+  })
+
+  it('sequences aggregated updates', async function() {
+    const update = await accumulator.addBatch(['a', 'b'])
+    await prover.updateBatch(update)
+    await prover.updateBatch(update).should.be.rejectedWith(DuplicateUpdateError)
+    const deletion = await accumulator.delBatch([await accumulator.add('c')])
+    await prover.updateBatch(deletion).should.be.rejectedWith(UpdateGapError)
+    prover.A.should.have.lengthOf(2)
+  })
+
+  it('continues from a checkpoint', async function() {
+    await accumulator.add('a')
+    await accumulator.add('b')
+    const checkpoint = await accumulator.checkpoint()
+    checkpoint.should.have.properties({seq: 2, link: accumulator.link})
+    const decoded = encoding.Checkpoint.decode(curve, encoding.Checkpoint.encode(curve, checkpoint))
+    const late = new Prover(curve, hash, decoded)
+    await late.update(await accumulator.add('c'))
+    await accumulator.verify(await late.prove('a')).should.be.fulfilledWith(true)
+  })
+
+  it('continues from a snapshot', async function() {
+    await prover.update(await accumulator.add('a'))
+    const restoredAccumulator = await Accumulator.fromSnapshot(curve, hash,
+      await accumulator.toSnapshot(true))
+    const restoredProver = await Prover.fromSnapshot(curve, hash, await prover.toSnapshot())
+    restoredAccumulator.should.have.properties({seq: 1, link: accumulator.link})
+    restoredProver.should.have.properties({seq: 1, link: prover.link})
+    const update = await restoredAccumulator.add('b')
+    await restoredProver.update(update)
+    await restoredProver.update(update).should.be.rejectedWith(DuplicateUpdateError)
+  })
+
+  it('round trips sequence fields', async function() {
+    const update = await accumulator.add(Buffer.from('a'))
+    const json = JSON.stringify(encoding.WitnessUpdate.toJSON(curve, update))
+    const decoded = encoding.WitnessUpdate.fromJSON(curve, json)
+    decoded.should.have.properties({seq: 1, op: 'add', prev: '0'.repeat(64)})
+    const modified = JSON.parse(json)
+    modified.op = 'mul'
+    should(() => encoding.WitnessUpdate.fromJSON(curve, modified)).throw(/Unknown operation/)
+  })
+
+})
@@ -0,0 +1,216 @@
+const should = require('should')
+const {once} = require('events')
+const {
+  Accumulator,
+  Prover,
+  InvalidArgumentError,
+  UpdateGapError,
+  HttpError,
+  encoding,
+  server,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('server over ' + curve.name, function() {
+
+  this.timeout(10000)
+
+  const hash = 'SHA-256'
+  const token = 'admin token'
+  const bearer = 'Bearer ' + token
+
+  let accumulator
+  let admin
+  let url
+
+  beforeEach('starts admin server', async function() {
+    accumulator = new Accumulator(curve, hash, undefined, {history: 4})
+    admin = new server.Server(accumulator, {token, timeout: 2000, limit: 4096})
+    url = await admin.listen()
+  })
+
+  afterEach('stops admin server', async function() {
+    if (admin.http.listening) {
+      await admin.close()
+    }
+  })
+
+  // Send a request and parse its response.
+  async function request(base, path, {method = 'GET', body, authorization} = {}) {
+    const headers = {}
+    if (body !== undefined) {
+      headers['content-type'] = 'application/json'
+    }
+    if (authorization !== undefined) {
+      headers.authorization = authorization
+    }
+    const response = await fetch(base + path, {
+      method,
+      headers,
+      body: typeof(body) === 'string' ? body : JSON.stringify(body),
+    })
+    return {status: response.status, headers: response.headers, json: await response.json()}
+  }
+
+  function post(path, body, authorization) {
+    return request(url, path, {method: 'POST', body, authorization})
+  }
+
+  it('listens on the loopback address', function() {
+    url.should.match(/^http:\/\/127\.0\.0\.1:[0-9]+$/)
+  })
+
+  it('issues and revokes memberships', async function() {
+    let response = await post('/add', {element: 'a'}, bearer)
+    response.status.should.equal(200)
+    response.json.should.have.properties({seq: 1, op: 'add', size: 1})
+    const update = encoding.AnyUpdate.fromJSON(curve, response.json.update)
+    await accumulator.verify(update).should.be.fulfilledWith(true)
+    response = await post('/add', {elements: ['62', '63'], hex: true}, bearer)
+    response.json.should.have.properties({seq: 2, op: 'add', size: 3})
+    response.json.update.type.should.equal('BatchUpdate')
+    await accumulator.has(Buffer.from('b')).should.be.fulfilledWith(true)
+    response = await post('/del', {element: 'a'}, bearer)
+    response.json.should.have.properties({seq: 3, op: 'del', size: 2})
+    response = await request(url, '/has?element=a')
+    response.json.should.eql({member: false, size: 2})
+    response = await request(url, '/has?element=62&hex=true')
+    response.json.should.eql({member: true, size: 2})
+    response = await post('/del', {element: 'a'}, bearer)
+    response.status.should.equal(404)
+    response.json.should.have.properties({error: 'NotMemberError'})
+    response = await post('/add', {element: 'b'}, bearer)
+    response.status.should.equal(409)
+    response.json.should.have.properties({error: 'DuplicateMemberError'})
+    response = await request(url, '/status')
+    response.json.should.eql({role: 'admin', curve: response.json.curve, seq: 3,
+      link: accumulator.link, size: 2})
+  })
+
+  it('requires the token to add and delete', async function() {
+    for (let authorization of [undefined, 'Bearer other token', 'Basic ' + token]) {
+      const response = await post('/add', {element: 'a'}, authorization)
+      response.status.should.equal(401)
+      response.headers.get('www-authenticate').should.equal('Bearer')
+      response.json.should.have.properties({error: 'HttpError'})
+    }
+    accumulator.size.should.equal(0)
+    should(() => new server.Server(accumulator)).throw(InvalidArgumentError)
+  })
+
+  it('proves and verifies membership', async function() {
+    await accumulator.addBatch(['a', 'b', 'c'])
+    let response = await post('/prove', {element: 'a'})
+    response.status.should.equal(200)
+    const {witness} = response.json
+    witness.type.should.equal('Witness')
+    response = await post('/verify', {witness})
+    response.json.should.eql({valid: true})
+    response = await post('/prove', {elements: ['b', 'c']})
+    response.json.witness.type.should.equal('AggregateWitness')
+    response = await post('/verify', response.json)
+    response.json.should.eql({valid: true})
+    // The witness of a is no longer valid once another element is added.
+    await accumulator.add('d')
+    response = await post('/verify', {witness})
+    response.json.should.eql({valid: false})
+    response = await post('/prove', {element: 'e'})
+    response.status.should.equal(404)
+  })
+
+  it('serves provers that follow the updates', async function() {
+    await accumulator.add('a')
+    const {json: {checkpoint}} = await request(url, '/checkpoint')
+    const prover = new Prover(curve, hash, encoding.Checkpoint.fromJSON(curve, checkpoint))
+    const follower = prover.follow(new server.HttpSource(url + '/'))
+    const publicServer = new server.Server(prover)
+    const publicUrl = await publicServer.listen()
+    try {
+      await post('/add', {elements: ['b', 'c']}, bearer)
+      await post('/del', {element: 'a'}, bearer)
+      while (prover.seq < accumulator.seq) {
+        await once(follower, 'update')
+      }
+      let response = await request(publicUrl, '/prove', {method: 'POST',
+        body: {elements: ['b', 'c']}})
+      response.status.should.equal(200)
+      response = await post('/verify', response.json)
+      response.json.should.eql({valid: true})
+      response = await request(publicUrl, '/status')
+      response.json.should.have.properties({role: 'public', seq: 3, size: 2})
+      for (let path of ['/add', '/del', '/checkpoint', '/updates']) {
+        response = await request(publicUrl, path)
+        response.status.should.equal(404)
+      }
+      // Closing the admin server ends the stream.
+      await admin.close()
+      await follower.done
+      follower.status.should.equal('stopped')
+      should(follower.error).be.null()
+    } finally {
+      await follower.stop()
+      await publicServer.close()
+    }
+  })
+
+  it('reports updates that are no longer retained to followers', async function() {
+    for (let item of ['a', 'b', 'c', 'd', 'e']) {
+      await accumulator.add(item)
+    }
+    const follower = new Prover(curve, hash).follow(new server.HttpSource(url))
+    await follower.done
+    follower.status.should.equal('failed')
+    follower.error.should.be.an.instanceOf(HttpError)
+    follower.error.should.have.properties({status: 410})
+  })
+
+  it('returns updates to long polls', async function() {
+    await accumulator.add('a')
+    await accumulator.add('b')
+    let response = await request(url, '/updates?from=1')
+    response.json.seq.should.equal(2)
+    response.json.updates.map(({seq}) => seq).should.eql([1, 2])
+    response = await request(url, '/updates?wait=0')
+    response.json.should.eql({updates: [], seq: 2})
+    // A poll for the next update waits until it is published.
+    const poll = request(url, '/updates')
+    await new Promise(resolve => setTimeout(resolve, 100))
+    await accumulator.add('c')
+    response = await poll
+    response.json.updates.map(({seq}) => seq).should.eql([3])
+    for (let item of ['d', 'e']) {
+      await accumulator.add(item)
+    }
+    response = await request(url, '/updates?from=1')
+    response.status.should.equal(410)
+    response.json.should.have.properties({error: UpdateGapError.name})
+  })
+
+  it('rejects invalid requests', async function() {
+    let response = await request(url, '/unknown')
+    response.should.have.properties({status: 404})
+    response = await request(url, '/add')
+    response.status.should.equal(405)
+    response.headers.get('allow').should.equal('POST')
+    response = await post('/add', '{', bearer)
+    response.should.have.properties({status: 400})
+    response.json.should.have.properties({error: 'SyntaxError'})
+    response = await post('/add', {element: 'a'.repeat(4096)}, bearer)
+    response.should.have.properties({status: 413})
+    for (let body of [{}, {element: 'a', elements: ['b']}, {elements: []}, {elements: 'a'},
+      {element: 'zz', hex: true}]) {
+      response = await post('/add', body, bearer)
+      response.status.should.equal(400)
+      response.json.should.have.properties({error: 'InvalidArgumentError'})
+    }
+    response = await request(url, '/updates?from=0&wait=0')
+    response.status.should.equal(400)
+    response = await request(url, '/updates?from=2&wait=0')
+    response.status.should.equal(400)
+    response.json.should.have.properties({error: 'InvalidArgumentError'})
+    response = await post('/verify', {witness: 'a'})
+    response.status.should.equal(400)
+    accumulator.size.should.equal(0)
+  })
+
+})
@@ -0,0 +1,192 @@
+const should = require('should')
+const {createHash, webcrypto: {subtle}} = require('crypto')
+const {Accumulator, Prover, InvalidArgumentError} = require('..')
+const curve = require('./support/curve')
+
+describe('snapshot over ' + curve.name, function() {
+
+  const {p256} = require('@noble/curves/p256')
+  const hash = 'SHA-256'
+  const c = BigInt('0x154d396505ca22e65c0c5e055853715e34971edc27018657afe2817e2de41b68') %
+    curve.n
+
+  let accumulator
+  let prover
+
+  before('constructs accumulator and prover', function() {
+    accumulator = new Accumulator(curve, hash, c)
+    prover = new Prover(curve, hash)
+  })
+
+  const items = ['a', 'b', 'c']
+  const updates = []
+
+  before('accumulates values', async function() {
+    for (let item of items) {
+      updates.push(await accumulator.add(item))
+      await prover.update(updates[updates.length - 1])
+    }
+    await prover.update(await accumulator.del(await accumulator.prove('b')))
+  })
+
+  describe('accumulator', function() {
+
+    it('leaves secret out by default', async function() {
+      const snapshot = await accumulator.toSnapshot()
+      snapshot.should.have.properties({version: 2, type: 'Accumulator', hash: 'SHA-256', i: 1})
+      snapshot.should.have.properties(['curve', 'checksum', 'z', 'Q', 'commitment'])
+      snapshot.should.not.have.property('c')
+      await Accumulator.fromSnapshot(curve, hash, snapshot)
+        .should.be.rejectedWith(/does not include the secret/)
+    })
+
+    it('restores with separate secret', async function() {
+      const snapshot = JSON.stringify(await accumulator.toSnapshot())
+      const restored = await Accumulator.fromSnapshot(curve, hash, snapshot, c)
+      restored.z.equals(accumulator.z).should.be.true()
+      restored.Q.equals(accumulator.Q).should.be.true()
+      restored.i.should.equal(accumulator.i)
+      await restored.verify(await prover.prove('c')).should.be.fulfilledWith(true)
+    })
+
+    it('rejects wrong secret', async function() {
+      const snapshot = await accumulator.toSnapshot()
+      await Accumulator.fromSnapshot(curve, hash, snapshot, c + 1n)
+        .should.be.rejectedWith(/Secret does not match/)
+    })
+
+    it('restores with included secret', async function() {
+      const snapshot = await accumulator.toSnapshot(true)
+      snapshot.should.have.property('c')
+      const original = await Accumulator.fromSnapshot(curve, hash, snapshot)
+      const restored = await Accumulator.fromSnapshot(curve, hash, JSON.stringify(snapshot))
+      restored.c.should.equal(c)
+      const expected = await original.add('d')
+      const actual = await restored.add('d')
+      actual.i.should.equal(expected.i)
+      for (let property of ['z', 'v', 'w', 'Q']) {
+        actual[property].equals(expected[property]).should.be.true()
+      }
+    })
+
+  })
+
+  describe('prover', function() {
+
+    it('restores prover', async function() {
+      const snapshot = await prover.toSnapshot()
+      snapshot.should.have.properties({version: 2, type: 'Prover', i: 1})
+      const restored = await Prover.fromSnapshot(curve, hash, JSON.parse(JSON.stringify(snapshot)))
+      restored.A.should.eql(prover.A)
+      restored.i.should.equal(prover.i)
+      for (let item of ['a', 'c']) {
+        const expected = await prover.prove(item)
+        const actual = await restored.prove(item)
+        actual.v.equals(expected.v).should.be.true()
+        actual.w.equals(expected.w).should.be.true()
+      }
+    })
+
+    it('keeps producing witnesses', async function() {
+      const snapshot = await accumulator.toSnapshot()
+      const original = await Accumulator.fromSnapshot(curve, hash, snapshot, c)
+      const restored = await Prover.fromSnapshot(curve, hash, await prover.toSnapshot())
+      await restored.update(await original.add('e'))
+      for (let item of ['a', 'c', 'e']) {
+        await original.verify(await restored.prove(item)).should.be.fulfilledWith(true)
+      }
+    })
+
+    it('restores empty prover', async function() {
+      const snapshot = await new Prover(curve, hash).toSnapshot()
+      const restored = await Prover.fromSnapshot(curve, hash, snapshot)
+      restored.A.should.be.empty()
+      restored.Q.should.have.lengthOf(1)
+      should(restored.i).be.null()
+      should(restored.z).be.undefined()
+    })
+
+  })
+
+  describe('validation', function() {
+
+    // Recompute the checksum of a modified snapshot.
+    function reseal(snapshot) {
+      const canonicalize = value => {
+        if (Array.isArray(value)) {
+          return '[' + value.map(canonicalize).join(',') + ']'
+        }
+        if (value !== null && typeof(value) === 'object') {
+          return '{' + Object.keys(value).sort().map(key => {
+            return JSON.stringify(key) + ':' + canonicalize(value[key])
+          }).join(',') + '}'
+        }
+        return JSON.stringify(value)
+      }
+      delete snapshot.checksum
+      snapshot.checksum = createHash('sha256').update(canonicalize(snapshot)).digest('hex')
+      return snapshot
+    }
+
+    it('restores resealed snapshot', async function() {
+      const snapshot = reseal(await prover.toSnapshot())
+      await Prover.fromSnapshot(curve, hash, snapshot).should.be.fulfilled()
+    })
+
+    it('rejects snapshots of version 1', async function() {
+      const snapshot = await accumulator.toSnapshot(true)
+      for (let property of ['seq', 'link', 'duplicates', 'members', 'hashToField']) {
+        delete snapshot[property]
+      }
+      snapshot.version = 1
+      await Accumulator.fromSnapshot(curve, hash, reseal(snapshot))
+        .should.be.rejectedWith(/Unsupported snapshot version 1; expected version 2/)
+    })
+
+    it('rejects invalid state', async function() {
+      for (let [property, value] of [['A', undefined], ['Q', ['zz']], ['seq', -1],
+        ['link', 'a'], ['z', 1], ['members', {a: 'b'}], ['duplicates', 'other']]) {
+        const snapshot = await prover.toSnapshot()
+        snapshot[property] = value
+        await Prover.fromSnapshot(curve, hash, reseal(snapshot))
+          .should.be.rejectedWith(InvalidArgumentError)
+      }
+      const snapshot = await accumulator.toSnapshot()
+      delete snapshot.commitment
+      await Accumulator.fromSnapshot(curve, hash, reseal(snapshot), c)
+        .should.be.rejectedWith(InvalidArgumentError)
+    })
+
+    it('rejects modified snapshot', async function() {
+      const snapshot = await prover.toSnapshot()
+      snapshot.i = 0
+      await Prover.fromSnapshot(curve, hash, snapshot).should.be.rejectedWith(/checksum/)
+    })
+
+    it('rejects other class', async function() {
+      const snapshot = await prover.toSnapshot()
+      await Accumulator.fromSnapshot(curve, hash, snapshot, c).should.be.rejectedWith(/not of type/)
+    })
+
+    it('rejects other curve', async function() {
+      const snapshot = await prover.toSnapshot()
+      await Prover.fromSnapshot(p256, hash, snapshot).should.be.rejectedWith(/different curve/)
+    })
+
+    it('rejects other hash', async function() {
+      const snapshot = await prover.toSnapshot()
+      await Prover.fromSnapshot(curve, 'SHA-384', snapshot).should.be.rejectedWith(/different hash/)
+    })
+
+    it('identifies hash functions', async function() {
+      const sha256 = async d => await subtle.digest('SHA-256', d)
+      const sha384 = async d => await subtle.digest('SHA-384', d)
+      const snapshot = await new Prover(curve, sha256).toSnapshot()
+      snapshot.hash.should.startWith('function:')
+      await Prover.fromSnapshot(curve, sha256, snapshot).should.be.fulfilled()
+      await Prover.fromSnapshot(curve, sha384, snapshot).should.be.rejectedWith(/different hash/)
+    })
+
+  })
+
+})
@@ -0,0 +1,243 @@
+const should = require('should')
+const {once} = require('events')
+const {
+  Accumulator,
+  Prover,
+  ThresholdAccumulator,
+  Follower,
+  BrokenLinkError,
+  UpdateGapError,
+  InvalidArgumentError,
+  encoding,
+  threshold,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('update stream over ' + curve.name, function() {
+
+  this.timeout(10000)
+
+  const hash = 'SHA-256'
+
+  let accumulator
+  let prover
+
+  beforeEach('constructs accumulator and prover', function() {
+    accumulator = new Accumulator(curve, hash, undefined, {history: 4})
+    prover = new Prover(curve, hash, undefined, {strict: true})
+  })
+
+  describe('accumulator', function() {
+
+    it('emits updates', async function() {
+      const emitted = []
+      accumulator.on('update', update => emitted.push(update))
+      const update = await accumulator.add('a')
+      const batch = await accumulator.addBatch(['b', 'c'])
+      const deleted = await accumulator.delElement('b')
+      const rotated = await accumulator.rotate()
+      emitted.should.have.lengthOf(4)
+      emitted[0].should.equal(update)
+      emitted[1].should.equal(batch)
+      emitted[2].should.equal(deleted)
+      emitted[3].should.equal(rotated)
+    })
+
+    it('replays retained updates', async function() {
+      const updates = []
+      for (let item of ['a', 'b', 'c']) {
+        updates.push(await accumulator.add(item))
+      }
+      const iterator = accumulator.updates(2)
+      for (let k = 1; k < updates.length; k++) {
+        const {value: replayed} = await iterator.next()
+        replayed.should.equal(updates[k])
+      }
+      const next = iterator.next()
+      const update = await accumulator.add('d')
+      const {value} = await next
+      value.should.equal(update)
+      await iterator.return()
+    })
+
+    it('iterates over new updates', async function() {
+      await accumulator.add('a')
+      const seqs = []
+      const iteration = (async () => {
+        for await (let update of accumulator) {
+          seqs.push(update.seq)
+          if (seqs.length === 2) {
+            break
+          }
+        }
+      })()
+      await accumulator.add('b')
+      await accumulator.add('c')
+      await iteration
+      seqs.should.eql([2, 3])
+      accumulator.listenerCount('update').should.equal(0)
+    })
+
+    it('rejects updates that are no longer retained', async function() {
+      for (let item of ['a', 'b', 'c', 'd', 'e']) {
+        await accumulator.add(item)
+      }
+      accumulator.published.should.have.lengthOf(4)
+      should(() => accumulator.updates(1)).throw(UpdateGapError)
+      const {value} = await accumulator.updates(2).next()
+      value.should.have.property('seq', 2)
+    })
+
+    it('streams live updates without history', async function() {
+      accumulator = new Accumulator(curve, hash, undefined, {history: 0})
+      const follower = prover.follow(accumulator)
+      for (let item of ['a', 'b', 'c']) {
+        const applied = once(follower, 'update')
+        await accumulator.add(item)
+        await applied
+      }
+      prover.link.should.equal(accumulator.link)
+      await follower.stop()
+      accumulator.published.should.have.lengthOf(0)
+      should(() => accumulator.updates(3)).throw(UpdateGapError)
+      const iterator = accumulator.updates()
+      const next = iterator.next()
+      const update = await accumulator.add('d')
+      const {value} = await next
+      value.should.equal(update)
+      await iterator.return()
+    })
+
+    it('rejects subscriptions ahead of the next update', async function() {
+      should(() => accumulator.updates(10)).throw(InvalidArgumentError)
+      await accumulator.add('a')
+      should(() => accumulator.updates(3)).throw(InvalidArgumentError)
+      const iterator = accumulator.updates(2)
+      const next = iterator.next()
+      await accumulator.add('b')
+      const {value} = await next
+      value.should.have.property('seq', 2)
+      await iterator.return()
+    })
+
+    it('ends iteration when aborted', async function() {
+      const controller = new AbortController()
+      const iterator = accumulator.updates(undefined, {signal: controller.signal})
+      const next = iterator.next()
+      controller.abort()
+      await next.should.be.fulfilledWith({value: undefined, done: true})
+      accumulator.listenerCount('update').should.equal(0)
+    })
+
+  })
+
+  describe('follow', function() {
+
+    it('applies updates from an accumulator', async function() {
+      await prover.update(await accumulator.add('a'))
+      await accumulator.add('b')
+      const follower = prover.follow(accumulator)
+      follower.should.be.an.instanceOf(Follower)
+      follower.status.should.equal('syncing')
+      await once(follower, 'status')
+      follower.status.should.equal('synced')
+      prover.seq.should.equal(2)
+      const applied = once(follower, 'update')
+      await accumulator.addBatch(['c', 'd'])
+      await applied
+      await accumulator.delElement('a')
+      await accumulator.rotate()
+      await accumulator.add('e')
+      while (prover.seq < accumulator.seq) {
+        await once(follower, 'update')
+      }
+      prover.link.should.equal(accumulator.link)
+      for (let item of ['b', 'c', 'd', 'e']) {
+        await accumulator.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+      }
+      await follower.stop()
+      follower.status.should.equal('stopped')
+      accumulator.listenerCount('update').should.equal(0)
+      await accumulator.add('f')
+      prover.seq.should.equal(accumulator.seq - 1)
+    })
+
+    it('follows a serialized transport', async function() {
+      // A transport that carries binary or JSON encodings of the accumulator's updates.
+      const transport = {
+        updates(from, options) {
+          const updates = accumulator.updates(from, options)
+          return (async function* () {
+            for await (let update of updates) {
+              yield update.seq % 2 ? encoding.AnyUpdate.encode(curve, update) :
+                JSON.stringify(encoding.AnyUpdate.toJSON(curve, update))
+            }
+          })()
+        },
+      }
+      await accumulator.add('a')
+      const follower = prover.follow(transport)
+      follower.status.should.equal('synced')
+      await accumulator.addBatch(['b', 'c'])
+      await accumulator.rotate()
+      await accumulator.del(await accumulator.prove('b'))
+      while (prover.seq < accumulator.seq) {
+        await once(follower, 'update')
+      }
+      await accumulator.verifyMany(await prover.proveMany(['a', 'c']))
+        .should.be.fulfilledWith(true)
+      await follower.stop()
+    })
+
+    it('follows an array of updates', async function() {
+      const updates = [await accumulator.add('a'), await accumulator.add('b')]
+      const follower = prover.follow(updates.concat(updates))
+      await follower.done
+      follower.status.should.equal('stopped')
+      should(follower.error).be.null()
+      prover.seq.should.equal(2)
+    })
+
+    it('reports updates that cannot be applied', async function() {
+      const update = await accumulator.add('a')
+      await accumulator.add('b')
+      const follower = prover.follow([await accumulator.add('c'), update])
+      await follower.done
+      follower.status.should.equal('failed')
+      follower.error.should.be.an.instanceOf(UpdateGapError)
+      prover.seq.should.equal(0)
+      const forged = Object.assign({}, update, {prev: 'f'.repeat(64)})
+      const other = new Prover(curve, hash).follow([forged])
+      await other.done
+      other.error.should.be.an.instanceOf(BrokenLinkError)
+    })
+
+    it('reports updates that are no longer retained', async function() {
+      for (let item of ['a', 'b', 'c', 'd', 'e']) {
+        await accumulator.add(item)
+      }
+      const follower = prover.follow(accumulator)
+      await follower.done
+      follower.status.should.equal('failed')
+      follower.error.should.be.an.instanceOf(UpdateGapError)
+    })
+
+    it('follows a threshold accumulator', async function() {
+      const {group, shares} = threshold.split(curve, undefined, 2, 3)
+      const transport = new threshold.LocalTransport(shares.map(share => {
+        return new threshold.Party(curve, share)
+      }))
+      const accumulator = new ThresholdAccumulator(curve, hash, group, transport)
+      const follower = prover.follow(accumulator)
+      await accumulator.add('a')
+      await accumulator.add('b')
+      while (prover.seq < accumulator.seq) {
+        await once(follower, 'update')
+      }
+      await accumulator.verify(await prover.prove('a')).should.be.fulfilledWith(true)
+      await follower.stop()
+    })
+
+  })
+
+})
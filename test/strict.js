@@ -0,0 +1,122 @@
+const should = require('should')
+const {Accumulator, Prover, InvalidUpdateError, encoding} = require('..')
+const curve = require('./support/curve')
+
+describe('strict prover over ' + curve.name, function() {
+
+  const hash = 'SHA-256'
+  const g = curve.BASE
+
+  let accumulator
+  let prover
+
+  beforeEach('constructs accumulator and strict prover', function() {
+    accumulator = new Accumulator(curve, hash)
+    prover = new Prover(curve, hash, undefined, {strict: true})
+  })
+
+  function state(prover) {
+    const {A, Q, i, z, seq, link} = prover
+    return {A: A.slice(), Q: Q.slice(), i, z, seq, link}
+  }
+
+  async function rejects(update, reason) {
+    const expected = state(prover)
+    const promise = 'D' in update ? prover.updateBatch(update) : prover.update(update)
+    const err = await promise.should.be.rejectedWith(InvalidUpdateError)
+    err.reason.should.match(reason)
+    err.seq.should.equal(update.seq)
+    state(prover).should.eql(expected)
+    prover.rejected[prover.rejected.length - 1].should.have.properties({seq: update.seq, update})
+    prover.rejected[prover.rejected.length - 1].reason.should.equal(err.reason)
+  }
+
+  it('accepts consistent updates', async function() {
+    const u1 = await accumulator.add('a')
+    await prover.update(u1)
+    // Updates without a witness are checked against the public components.
+    const u2 = await accumulator.add('b')
+    await prover.update(encoding.Update.decode(curve, encoding.Update.encode(curve, u2)))
+    await prover.updateBatch(await accumulator.addBatch(['c', 'd']))
+    await prover.update(await accumulator.del(await prover.prove('b')))
+    await prover.updateBatch(await accumulator.delBatch([await prover.prove('c')]))
+    await prover.update(await accumulator.add('e'))
+    await prover.update(await accumulator.del(await prover.prove('a')))
+    await prover.update(await accumulator.del(await prover.prove('d')))
+    await prover.update(await accumulator.del(await prover.prove('e')))
+    await prover.update(await accumulator.add('f'))
+    prover.rejected.should.be.empty()
+    await accumulator.verify(await prover.prove('f')).should.be.fulfilledWith(true)
+  })
+
+  it('rejects accumulation that does not match witness', async function() {
+    const update = await accumulator.add('a')
+    await rejects(Object.assign({}, update, {z: update.z.add(g)}), /does not match the witness/)
+    await prover.update(update)
+    prover.rejected.should.have.lengthOf(1)
+  })
+
+  it('rejects witness that does not match previous accumulation', async function() {
+    await prover.update(await accumulator.add('a'))
+    const update = await accumulator.add('b')
+    const v = update.v.add(g)
+    await rejects(Object.assign({}, update, {v}), /does not match the previous accumulation/)
+  })
+
+  it('rejects public component that does not extend the power chain', async function() {
+    await prover.update(await accumulator.add('a'))
+    const update = encoding.Update.decode(curve,
+      encoding.Update.encode(curve, await accumulator.add('b')))
+    await rejects(Object.assign({}, update, {Q: update.Q.add(g)}), /does not match members/)
+  })
+
+  it('rejects public component that changes the power chain', async function() {
+    await prover.update(await accumulator.add('a'))
+    await prover.update(await accumulator.add('b'))
+    await prover.update(await accumulator.del(await prover.prove('b')))
+    const update = await accumulator.add('c')
+    await rejects(Object.assign({}, update, {Q: update.Q.add(g)}), /published power chain/)
+  })
+
+  it('rejects deletion of non-member', async function() {
+    await prover.update(await accumulator.add('a'))
+    await prover.update(await accumulator.add('b'))
+    const update = await accumulator.del(await prover.prove('b'))
+    await rejects(Object.assign({}, update, {d: 'x'}), /not a member/)
+  })
+
+  it('rejects index that does not match members', async function() {
+    await prover.update(await accumulator.add('a'))
+    const update = await accumulator.addBatch(['b', 'c'])
+    await rejects(Object.assign({}, update, {i: 1}), /Index does not match/)
+  })
+
+  it('rejects inconsistent checkpoint', async function() {
+    await accumulator.add('a')
+    const checkpoint = await accumulator.checkpoint()
+    should(() => new Prover(curve, hash, checkpoint, {strict: true})).not.throw()
+    checkpoint.z = checkpoint.z.add(g)
+    should(() => new Prover(curve, hash, checkpoint, {strict: true}))
+      .throw(/does not match members/)
+    should(() => new Prover(curve, hash, checkpoint)).not.throw()
+  })
+
+  it('restores strict prover from snapshot', async function() {
+    await prover.update(await accumulator.add('a'))
+    const restored = await Prover.fromSnapshot(curve, hash, await prover.toSnapshot(),
+      {strict: true})
+    restored.strict.should.be.true()
+    const update = await accumulator.add('b')
+    await restored.update(Object.assign({}, update, {z: update.z.add(g)}))
+      .should.be.rejectedWith(InvalidUpdateError)
+  })
+
+  it('does not check updates by default', async function() {
+    const lenient = new Prover(curve, hash)
+    const update = await accumulator.add('a')
+    await lenient.update(Object.assign({}, update, {z: update.z.add(g)}))
+    lenient.strict.should.be.false()
+    lenient.rejected.should.be.empty()
+  })
+
+})
@@ -0,0 +1,7 @@
+'use strict'
+const {curves} = require('../..')
+
+/**
+ * The adapter the test suite runs against, named by the value of ECC_ACC_CURVE.
+ */
+module.exports = curves.byName(process.env.ECC_ACC_CURVE || 'secp256k1')
@@ -0,0 +1,168 @@
+const should = require('should')
+const {webcrypto: {subtle}} = require('crypto')
+const {sha256} = require('@noble/hashes/sha256')
+const {sha3_256} = require('@noble/hashes/sha3')
+const {blake2b} = require('@noble/hashes/blake2b')
+const {
+  Accumulator,
+  Prover,
+  Verifier,
+  WitnessHolder,
+  hashes,
+  InvalidArgumentError,
+  NotMemberError,
+  DuplicateMemberError,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('synchronous API over ' + curve.name, function() {
+
+  const c = BigInt('0x154d396505ca22e65c0c5e055853715e34971edc27018657afe2817e2de41b68') %
+    curve.n
+
+  for (let [name, hash] of [
+    ['hash name', 'SHA-256'],
+    ['synchronous hash function', sha256],
+  ]) {
+
+    describe('with ' + name, function() {
+
+      let accumulator
+      let prover
+
+      before('constructs accumulator and prover', function() {
+        accumulator = new Accumulator(curve, hash, c)
+        prover = new Prover(curve, hash, undefined, {strict: true})
+      })
+
+      it('adds and proves', function() {
+        const update = accumulator.addSync('a')
+        update.should.not.be.a.Promise()
+        prover.updateSync(update)
+        prover.updateBatchSync(accumulator.addBatchSync(['b', Buffer.from('c'), 'd']))
+        for (let item of ['a', 'b', 'c', 'd']) {
+          const witness = prover.proveSync(item)
+          accumulator.verifySync(witness).should.be.true()
+          prover.verifySync(witness).should.be.true()
+          accumulator.verifySync(accumulator.proveSync(item)).should.be.true()
+          accumulator.hasSync(item).should.be.true()
+          prover.hasSync(item).should.be.true()
+        }
+      })
+
+      it('matches asynchronous API', async function() {
+        const other = new Accumulator(curve, 'SHA-256', c)
+        await other.addBatch(['a', 'b', 'c', 'd'])
+        other.z.equals(accumulator.z).should.be.true()
+        await accumulator.verify(await prover.prove('a')).should.be.fulfilledWith(true)
+      })
+
+      it('deletes', function() {
+        prover.updateSync(accumulator.delSync(prover.proveSync('a')))
+        prover.updateSync(accumulator.delElementSync('b'))
+        prover.updateBatchSync(accumulator.delBatchSync([prover.proveSync('c')]))
+        accumulator.hasSync('a').should.be.false()
+        prover.hasSync('b').should.be.false()
+        accumulator.verifySync(prover.proveSync('d')).should.be.true()
+        should(() => accumulator.delElementSync('a')).throw(NotMemberError)
+        prover.updateBatchSync(accumulator.delElementBatchSync(['d']))
+        prover.A.should.have.lengthOf(0)
+      })
+
+      it('proves non-membership', function() {
+        prover.updateSync(accumulator.addSync('e'))
+        const witness = prover.proveNonMembershipSync('a')
+        accumulator.verifyNonMembershipSync(witness).should.be.true()
+        prover.verifyNonMembershipSync(witness).should.be.true()
+        accumulator.verifyNonMembershipSync(accumulator.proveNonMembershipSync('a'))
+          .should.be.true()
+        should(() => prover.proveNonMembershipSync('e')).throw(DuplicateMemberError)
+      })
+
+      it('updates held witness', function() {
+        const update = accumulator.addSync('f')
+        prover.updateSync(update)
+        const holder = new WitnessHolder(curve, hash, update)
+        const next = accumulator.addSync('g')
+        prover.updateSync(next)
+        holder.updateSync(next)
+        accumulator.verifySync(holder.witness()).should.be.true()
+      })
+
+    })
+
+  }
+
+  it('rejects asynchronous hash function', async function() {
+    const hash = async d => await subtle.digest('SHA-256', d)
+    const accumulator = new Accumulator(curve, hash)
+    should(() => accumulator.addSync('a'))
+      .throw(InvalidArgumentError, {message: /not synchronous/})
+    await accumulator.add('a')
+    accumulator.A.should.have.lengthOf(1)
+  })
+
+  describe('over bls12-381', function() {
+
+    this.timeout(10000)
+
+    const {bls12_381} = require('@noble/curves/bls12-381')
+
+    it('verifies with pairing', async function() {
+      const accumulator = new Accumulator(bls12_381, sha256)
+      const witness = accumulator.addSync('a')
+      const verifier = new Verifier(bls12_381, sha256, await accumulator.publicKey(),
+        accumulator.z)
+      verifier.verifySync(witness).should.be.true()
+    })
+
+  })
+
+})
+
+describe('hash backends', function() {
+
+  const c = BigInt('0x154d396505ca22e65c0c5e055853715e34971edc27018657afe2817e2de41b68') %
+    curve.n
+
+  it('registers standard hashes', function() {
+    hashes.names().should.containDeep([
+      'SHA-1', 'SHA-256', 'SHA-384', 'SHA-512', 'SHA3-256', 'SHA3-512', 'BLAKE2b-512',
+      'SHAKE128', 'SHAKE256',
+    ])
+    for (let [name, hash] of [['SHA-256', sha256], ['SHA3-256', sha3_256]]) {
+      const data = Buffer.from('abc')
+      Buffer.from(hashes.get(name).digest(data)).should.eql(Buffer.from(hash(data)))
+    }
+  })
+
+  it('maps names to backends', function() {
+    const named = new Accumulator(curve, 'SHA3-256', c)
+    const direct = new Accumulator(curve, sha3_256, c)
+    named.addSync('a').z.equals(direct.addSync('a').z).should.be.true()
+  })
+
+  it('registers custom backends', async function() {
+    hashes.register('BLAKE2b-256', {
+      digest: data => blake2b(data, {dkLen: 32}),
+      blockSize: blake2b.blockLen,
+    })
+    hashes.get('BLAKE2b-256').should.have.property('blockSize', 128)
+    const accumulator = new Accumulator(curve, 'BLAKE2b-256', c, {
+      hashToField: {dst: 'ECC-ACC-TEST-V01'},
+    })
+    const prover = new Prover(curve, 'BLAKE2b-256', undefined, {
+      hashToField: {dst: 'ECC-ACC-TEST-V01'},
+    })
+    prover.updateSync(accumulator.addSync('a'))
+    await prover.update(await accumulator.add('b'))
+    accumulator.verifySync(prover.proveSync('a')).should.be.true()
+  })
+
+  it('rejects unknown names and invalid backends', async function() {
+    should(() => hashes.get('MD5')).throw(InvalidArgumentError, {message: /Unsupported/})
+    should(() => hashes.register('MD5', {})).throw(InvalidArgumentError)
+    await new Accumulator(curve, 'MD5').add('a').should.be.rejectedWith(InvalidArgumentError)
+  })
+
+})
@@ -0,0 +1,132 @@
+const should = require('should')
+const {
+  Accumulator,
+  Prover,
+  ThresholdAccumulator,
+  NotMemberError,
+  QuorumError,
+  InvalidArgumentError,
+  threshold,
+} = require('..')
+const curve = require('./support/curve')
+
+describe('threshold accumulator over ' + curve.name, function() {
+
+  this.timeout(20000)
+
+  const hash = 'SHA-256'
+  const c = BigInt('0x154d396505ca22e65c0c5e055853715e34971edc27018657afe2817e2de41b68') %
+    curve.n
+
+  let group
+  let shares
+  let transport
+  let accumulator
+  let reference
+  let prover
+
+  beforeEach('splits secret and constructs accumulators', function() {
+    ({group, shares} = threshold.split(curve, c, 3, 5))
+    transport = new threshold.LocalTransport(shares.map(share => new threshold.Party(curve, share)))
+    accumulator = new ThresholdAccumulator(curve, hash, group, transport)
+    reference = new Accumulator(curve, hash, c)
+    prover = new Prover(curve, hash, undefined, {strict: true})
+  })
+
+  it('splits secret', async function() {
+    group.should.have.property('t', 3)
+    group.keys.should.have.lengthOf(5)
+    shares.map(({index}) => index).should.eql([1, 2, 3, 4, 5])
+    for (let k = 0; k < 5; k++) {
+      group.keys[k].equals(curve.BASE.multiply(shares[k].secret)).should.be.true()
+    }
+    const point = await threshold.multiply(curve, group, transport, curve.BASE)
+    point.equals(curve.BASE.multiply(c)).should.be.true()
+  })
+
+  it('rejects invalid thresholds', function() {
+    should(() => threshold.split(curve, c, 0, 5)).throw(InvalidArgumentError)
+    should(() => threshold.split(curve, c, 6, 5)).throw(InvalidArgumentError)
+    should(() => threshold.split(curve, 0n, 3, 5)).throw(InvalidArgumentError)
+  })
+
+  it('produces the updates of an accumulator with the same secret', async function() {
+    for (let item of ['a', 'b', 'c']) {
+      const update = await accumulator.add(item)
+      const expected = await reference.add(item)
+      for (let property of ['z', 'v', 'w', 'Q']) {
+        update[property].equals(expected[property]).should.be.true()
+      }
+      update.should.have.properties({i: expected.i, seq: expected.seq, prev: expected.prev})
+      await prover.update(update)
+    }
+    const update = await accumulator.del(await prover.prove('b'))
+    const expected = await reference.del(await prover.prove('b'))
+    update.z.equals(expected.z).should.be.true()
+    update.Q.equals(expected.Q).should.be.true()
+    accumulator.link.should.equal(reference.link)
+    await prover.update(update)
+    await prover.update(await accumulator.add('d'))
+    for (let item of ['a', 'c', 'd']) {
+      const witness = await prover.prove(item)
+      await accumulator.verify(witness).should.be.fulfilledWith(true)
+    }
+    await accumulator.verify(await reference.prove('a')).should.be.fulfilledWith(false)
+  })
+
+  it('rejects deleting non-members', async function() {
+    const update = await accumulator.add('a')
+    await accumulator.del(Object.assign({}, update, {d: 'b'}))
+      .should.be.rejectedWith(NotMemberError)
+    const forged = Object.assign({}, update, {v: update.v.add(curve.BASE)})
+    await accumulator.del(forged).should.be.rejectedWith(NotMemberError)
+    accumulator.size.should.equal(1)
+  })
+
+  it('tolerates parties that are not reachable', async function() {
+    transport.disconnect(1)
+    transport.disconnect(4)
+    await prover.update(await accumulator.add('a'))
+    await accumulator.verify(await prover.prove('a')).should.be.fulfilledWith(true)
+  })
+
+  it('fails without a quorum and keeps its state', async function() {
+    await prover.update(await accumulator.add('a'))
+    for (let index of [1, 2, 3]) {
+      transport.disconnect(index)
+    }
+    const err = await accumulator.add('b').should.be.rejectedWith(QuorumError)
+    err.failed.should.eql([1, 2, 3])
+    accumulator.size.should.equal(1)
+    accumulator.seq.should.equal(1)
+    transport.connect(2)
+    await prover.update(await accumulator.add('b'))
+    await accumulator.verify(await prover.prove('b')).should.be.fulfilledWith(true)
+  })
+
+  it('ignores invalid shares', async function() {
+    const parties = shares.map(share => new threshold.Party(curve, share))
+    // A party that uses a different share cannot prove its response.
+    parties[0] = new threshold.Party(curve, {index: 1, secret: shares[0].secret + 1n})
+    transport = new threshold.LocalTransport(parties)
+    accumulator = new ThresholdAccumulator(curve, hash, group, transport)
+    const update = await accumulator.add('a')
+    update.z.equals((await reference.add('a')).z).should.be.true()
+    transport.disconnect(2)
+    transport.disconnect(3)
+    const err = await accumulator.add('b').should.be.rejectedWith(QuorumError)
+    err.failed.should.eql([1, 2, 3])
+  })
+
+  it('applies concurrent operations in order', async function() {
+    const updates = await Promise.all(['a', 'b', 'c'].map(item => accumulator.add(item)))
+    updates.map(({seq}) => seq).should.eql([1, 2, 3])
+    for (let update of updates) {
+      await prover.update(update)
+    }
+    const checkpoint = await accumulator.checkpoint()
+    const restored = new Prover(curve, hash, checkpoint, {strict: true})
+    await accumulator.verify(await restored.prove('b')).should.be.fulfilledWith(true)
+  })
+
+})
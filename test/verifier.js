@@ -0,0 +1,94 @@
+const should = require('should')
+const {Accumulator, Prover, Verifier, encoding, zk} = require('..')
+
+describe('verifier over bls12-381', function() {
+
+  this.timeout(10000)
+
+  const {bls12_381: curve} = require('@noble/curves/bls12-381')
+  const {secp256k1} = require('@noble/curves/secp256k1')
+  const hash = 'SHA-256'
+
+  let accumulator
+  let prover
+  let verifier
+
+  before('constructs accumulator and prover', function() {
+    accumulator = new Accumulator(curve, hash)
+    prover = new Prover(curve.G1, hash)
+  })
+
+  it('accumulates in the first group', function() {
+    accumulator.should.have.property('g').which.equals(curve.G1.ProjectivePoint.BASE)
+    accumulator.should.have.property('n').which.equals(curve.G1.CURVE.n)
+  })
+
+  before('constructs verifier', async function() {
+    verifier = new Verifier(curve, hash, await accumulator.publicKey(), accumulator.z)
+  })
+
+  it('publishes public key in the second group', async function() {
+    const publicKey = await accumulator.publicKey()
+    publicKey.should.be.an.instanceOf(curve.G2.ProjectivePoint)
+    publicKey.equals(curve.G2.ProjectivePoint.BASE.multiply(accumulator.c)).should.be.true()
+  })
+
+  const items = ['a', 'b', 'c']
+  const updates = []
+
+  before('accumulates values', async function() {
+    for (let item of items) {
+      updates.push(await accumulator.add(item))
+      await prover.update(updates[updates.length - 1])
+    }
+  })
+
+  it('verifies witnesses', async function() {
+    await verifier.update(updates[updates.length - 1])
+    for (let item of items) {
+      await verifier.verify(await prover.prove(item)).should.be.fulfilledWith(true)
+    }
+    await verifier.verify(updates[updates.length - 1]).should.be.fulfilledWith(true)
+  })
+
+  it('rejects stale witnesses', async function() {
+    await verifier.verify(updates[0]).should.be.fulfilledWith(false)
+  })
+
+  it('rejects witnesses for other elements', async function() {
+    const witness = await prover.prove('a')
+    await verifier.verify(Object.assign({}, witness, {d: 'x'})).should.be.fulfilledWith(false)
+    await verifier.verify(Object.assign({}, witness, {v: curve.G1.ProjectivePoint.ZERO}))
+      .should.be.fulfilledWith(false)
+  })
+
+  it('follows deletions', async function() {
+    const witness = await prover.prove('b')
+    const update = await accumulator.del(witness)
+    await prover.update(update)
+    const bytes = encoding.Update.encode(curve.G1, update)
+    await verifier.update(encoding.Update.decode(curve.G1, bytes))
+    await verifier.verify(witness).should.be.fulfilledWith(false)
+    await verifier.verify(await prover.prove('c')).should.be.fulfilledWith(true)
+  })
+
+  it('verifies zero-knowledge proofs', async function() {
+    const proof = await zk.prove(curve.G1, hash, verifier.z, await prover.prove('c'))
+    await verifier.verifyProof(proof).should.be.fulfilledWith(true)
+    const forged = Object.assign({}, proof, {W: proof.W.add(curve.G1.ProjectivePoint.BASE)})
+    await verifier.verifyProof(forged).should.be.fulfilledWith(false)
+  })
+
+  it('encodes public key', async function() {
+    const publicKey = await accumulator.publicKey()
+    const bytes = encoding.Point.encode(curve.G2, publicKey)
+    encoding.Point.decode(curve.G2, bytes).equals(publicKey).should.be.true()
+  })
+
+  it('requires a pairing curve', async function() {
+    await new Accumulator(secp256k1, hash).publicKey().should.be.rejectedWith(/pairing curve/)
+    should(() => new Verifier(secp256k1, hash, accumulator.g, accumulator.z)).throw()
+    should(() => new Verifier(curve, hash, accumulator.g, accumulator.z)).throw(/second group/)
+  })
+
+})
@@ -0,0 +1,122 @@
+const should = require('should')
+const {webcrypto: {subtle}} = require('crypto')
+const {Accumulator, Prover, InvalidArgumentError, encoding, zk} = require('..')
+const curve = require('./support/curve')
+
+describe('zero-knowledge proof of membership over ' + curve.name, function() {
+
+  for (let [name, hash] of [
+    ['hash name', 'SHA-256'],
+    ['hash function', async d => await subtle.digest('SHA-256', d)],
+  ]) {
+
+    describe('with ' + name, function() {
+
+      let accumulator
+      let prover
+
+      before('constructs accumulator and prover', function() {
+        accumulator = new Accumulator(curve, hash)
+        prover = new Prover(curve, hash)
+      })
+
+      const items = ['a', 'b', 'c']
+
+      before('accumulates values', async function() {
+        for (let item of items) {
+          await prover.update(await accumulator.add(item))
+        }
+      })
+
+      describe('non-interactive', function() {
+
+        it('proves membership', async function() {
+          for (let item of items) {
+            const proof = await zk.prove(curve, hash, prover.z, await prover.prove(item))
+            proof.should.have.properties(['V', 'W', 'T', 's1', 's2'])
+            proof.should.not.have.property('d')
+            await accumulator.verifyProof(proof).should.be.fulfilledWith(true)
+            await prover.verifyProof(proof).should.be.fulfilledWith(true)
+          }
+        })
+
+        it('produces unlinkable proofs', async function() {
+          const witness = await prover.prove('a')
+          const proof1 = await zk.prove(curve, hash, prover.z, witness)
+          const proof2 = await zk.prove(curve, hash, prover.z, witness)
+          proof1.V.equals(proof2.V).should.be.false()
+          proof1.V.equals(witness.v).should.be.false()
+        })
+
+        it('rejects modified proofs', async function() {
+          const proof = await zk.prove(curve, hash, prover.z, await prover.prove('a'))
+          for (let property of ['s1', 's2']) {
+            const modified = Object.assign({}, proof, {[property]: proof[property] + 1n})
+            await accumulator.verifyProof(modified).should.be.fulfilledWith(false)
+            await prover.verifyProof(modified).should.be.fulfilledWith(false)
+          }
+          const modified = Object.assign({}, proof, {T: proof.T.add(curve.BASE)})
+          await accumulator.verifyProof(modified).should.be.fulfilledWith(false)
+        })
+
+        it('rejects witnesses that are not raised to the secret', async function() {
+          // Any v and w = z / (v ^ e) satisfy the relation checked by the prover.
+          const v = curve.BASE.multiply(12345n)
+          const e = 67890n
+          const w = prover.z.subtract(v.multiply(e))
+          const forged = {d: 'x', v, w}
+          const proof = await zk.prove(curve, hash, prover.z, forged)
+          await accumulator.verifyProof(proof).should.be.fulfilledWith(false)
+        })
+
+        it('rejects stale proofs', async function() {
+          const proof = await zk.prove(curve, hash, prover.z, await prover.prove('a'))
+          await prover.update(await accumulator.add('d'))
+          await accumulator.verifyProof(proof).should.be.fulfilledWith(false)
+          await prover.verifyProof(proof).should.be.fulfilledWith(false)
+        })
+
+        it('rejects deleted elements', async function() {
+          const witness = await prover.prove('b')
+          await prover.update(await accumulator.del(witness))
+          const proof = await zk.prove(curve, hash, prover.z, witness)
+          await accumulator.verifyProof(proof).should.be.fulfilledWith(false)
+        })
+
+        it('round trips encoding', async function() {
+          const proof = await zk.prove(curve, hash, prover.z, await prover.prove('c'))
+          const bytes = encoding.MembershipProof.encode(curve, proof)
+          await accumulator.verifyProof(encoding.MembershipProof.decode(curve, bytes))
+            .should.be.fulfilledWith(true)
+        })
+
+      })
+
+      describe('interactive', function() {
+
+        it('proves membership', async function() {
+          const witness = await prover.prove('a')
+          const {commitment, respond} = await zk.commit(curve, hash, prover.z, witness)
+          commitment.should.have.properties(['V', 'W', 'T'])
+          const challenge = zk.challenge(curve)
+          const proof = Object.assign({}, commitment, respond(challenge))
+          await accumulator.verifyProof(proof, challenge).should.be.fulfilledWith(true)
+          await prover.verifyProof(proof, challenge).should.be.fulfilledWith(true)
+          await accumulator.verifyProof(proof, challenge + 1n).should.be.fulfilledWith(false)
+        })
+
+        it('responds to only one challenge', async function() {
+          const witness = await prover.prove('a')
+          const {respond} = await zk.commit(curve, hash, prover.z, witness)
+          respond(zk.challenge(curve))
+          should(() => respond(zk.challenge(curve)))
+            .throw(InvalidArgumentError, {message: /already responded/})
+        })
+
+      })
+
+    })
+
+  }
+
+})
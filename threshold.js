@@ -0,0 +1,244 @@
+'use strict'
+const crypto = require('crypto')
+const {randBetween} = require('bigint-crypto-utils')
+const {modInv} = require('bigint-mod-arith')
+const type = require('./type')
+const tf = type.typeforce
+const encoding = require('./encoding')
+const curves = require('./curves')
+const {InvalidArgumentError, QuorumError} = require('./errors')
+
+/**
+ * Tag that separates the challenges of share proofs from other uses of the hash.
+ * @private
+ */
+const DOMAIN = 'ecc-acc threshold share'
+
+/**
+ * Split a secret into Shamir shares so that any t of m parties can cooperate to use it and fewer
+ * than t learn nothing about it.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {BigInt} [c] The secret, such as the secret of an existing Accumulator. If not provided,
+ * a random secret is generated.
+ * @param {Number} t The number of parties that must cooperate.
+ * @param {Number} m The number of parties.
+ * @returns {{group: ThresholdGroup, shares: KeyShare[]}} The public description of the group and
+ * the share of each party, which must be delivered to the party in secret.
+ */
+function split(curve, c, t, m) {
+  tf(tf.tuple(type.Curve, tf.maybe(type.BigInt), tf.UInt32, tf.UInt32), arguments)
+  const {n, BASE: g, ZERO: inf} = curves.adapt(curve)
+  if (t < 1 || t > m) {
+    throw new InvalidArgumentError('Threshold must be between 1 and the number of parties')
+  }
+  c = c === undefined ? randBetween(n - 1n) : c
+  if (c <= 0n || c >= n) {
+    throw new InvalidArgumentError('Secret is not in the range of the group order')
+  }
+  // The secret is the constant term of a random polynomial of degree t - 1.
+  const coefficients = [c].concat(Array.from({length: t - 1}, () => randBetween(n - 1n)))
+  const shares = Array.from({length: m}, (_, k) => {
+    const x = BigInt(k + 1)
+    const secret = coefficients.reduceRight((sum, a) => (sum * x + a) % n, 0n)
+    return {index: k + 1, secret}
+  })
+  const keys = shares.map(({secret}) => curves.scale(g, secret, n, inf))
+  return {group: {t, keys}, shares}
+}
+
+/**
+ * Multiply a point by the shared secret. The point is sent to every party, the share proof of
+ * each response is checked against the party's verification key, and the first t valid
+ * responses are combined with Lagrange interpolation.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {ThresholdGroup} group The public description of the group.
+ * @param {Transport} transport The transport to the parties.
+ * @param {Point} point The point.
+ * @returns {Promise<Point>} The point raised to the shared secret.
+ * @throws {QuorumError} If fewer than t parties return a valid response.
+ */
+async function multiply(curve, group, transport, point) {
+  tf(tf.tuple(type.Curve, type.ThresholdGroup, type.Transport, type.Point), arguments)
+  const {n, ZERO: inf} = curves.adapt(curve)
+  const {t, keys} = group
+  const message = {op: 'multiply', point: encoding.Point.toJSON(curve, point)}
+  const results = await Promise.allSettled(keys.map((key, k) => {
+    return transport.request(k + 1, message)
+  }))
+  const valid = []
+  const failed = []
+  for (let k = 0; k < keys.length && valid.length < t; k++) {
+    const share = results[k].status === 'fulfilled' ?
+      readShare(curve, point, keys[k], results[k].value) : null
+    if (share === null) {
+      failed.push(k + 1)
+    } else {
+      valid.push([BigInt(k + 1), share])
+    }
+  }
+  if (valid.length < t) {
+    throw new QuorumError('Only ' + valid.length + ' of ' + t + ' parties returned a valid share',
+      failed)
+  }
+  // Interpolate the shares at 0 in the exponent.
+  return valid.reduce((sum, [x, share]) => {
+    const lambda = valid.reduce((product, [y]) => {
+      return y === x ? product : product * y % n * modInv((y - x + n) % n, n) % n
+    }, 1n)
+    return sum.add(curves.scale(share, lambda, n, inf))
+  }, inf)
+}
+
+class Party {
+
+  /**
+   * Creates a party. A Party holds one share of the secret of a threshold accumulator and
+   * responds to requests sent by the accumulator through a transport.
+   * @param {Curve} curve An object containing the curve parameters.
+   * @param {KeyShare} share The party's share of the secret.
+   */
+  constructor(curve, share) {
+    tf(tf.tuple(type.Curve, type.KeyShare), arguments)
+    this.curve = curves.adapt(curve)
+    this.index = share.index
+    this.secret = share.secret
+  }
+
+  /**
+   * Respond to a request of a threshold accumulator, which is to raise a point to the party's
+   * share along with a proof that the same share was used as in the party's verification key.
+   * @param {Object} message The request.
+   * @returns {Promise<Object>} The response.
+   */
+  async handle(message) {
+    tf(tf.tuple(tf.object({op: tf.String, point: tf.String})), arguments)
+    if (message.op !== 'multiply') {
+      throw new InvalidArgumentError('Unsupported request ' + message.op)
+    }
+    const {curve, secret} = this
+    const {n, BASE: g, ZERO: inf} = curve
+    const point = encoding.Point.fromJSON(curve, message.point)
+    const share = curves.scale(point, secret, n, inf)
+    // Prove log_g(key) = log_point(share) without revealing the secret.
+    const k = randBetween(n - 1n)
+    const commitment = [g.multiply(k), curves.scale(point, k, n, inf)]
+    const key = curves.scale(g, secret, n, inf)
+    const challenge = deriveChallenge(curve, point, key, share, commitment)
+    const s = (k + challenge * secret) % n
+    return {
+      index: this.index,
+      share: encoding.Point.toJSON(curve, share),
+      proof: {c: challenge.toString(16), s: s.toString(16)},
+    }
+  }
+
+}
+
+class LocalTransport {
+
+  /**
+   * Creates a transport that delivers requests to parties in the same process. Each request and
+   * response is serialized as JSON as it would be on a network, and parties can be disconnected
+   * to simulate failures.
+   * @param {Party[]} parties The parties.
+   */
+  constructor(parties) {
+    tf(tf.tuple(tf.arrayOf(tf.quacksLike('Party'))), arguments)
+    this.parties = new Map(parties.map(party => [party.index, party]))
+    this.disconnected = new Set()
+  }
+
+  /**
+   * Send a request to a party.
+   * @param {Number} index The index of the party.
+   * @param {Object} message The request.
+   * @returns {Promise<Object>} The response.
+   */
+  async request(index, message) {
+    tf(tf.tuple(tf.UInt32, tf.Object), arguments)
+    if (!this.parties.has(index) || this.disconnected.has(index)) {
+      throw new InvalidArgumentError('Party ' + index + ' is not reachable')
+    }
+    const response = await this.parties.get(index).handle(JSON.parse(JSON.stringify(message)))
+    return JSON.parse(JSON.stringify(response))
+  }
+
+  /**
+   * Stop delivering requests to a party.
+   * @param {Number} index The index of the party.
+   */
+  disconnect(index) {
+    tf(tf.tuple(tf.UInt32), arguments)
+    this.disconnected.add(index)
+  }
+
+  /**
+   * Resume delivering requests to a party.
+   * @param {Number} index The index of the party.
+   */
+  connect(index) {
+    tf(tf.tuple(tf.UInt32), arguments)
+    this.disconnected.delete(index)
+  }
+
+}
+
+/**
+ * Decode the share in a party's response and check its proof.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {Point} point The point that was sent to the party.
+ * @param {Point} key The verification key of the party.
+ * @param {Object} response The response.
+ * @returns {?Point} The share, or null if the response is not valid.
+ * @private
+ */
+function readShare(curve, point, key, response) {
+  const {n, BASE: g, ZERO: inf} = curves.adapt(curve)
+  let share
+  let c
+  let s
+  try {
+    share = encoding.Point.fromJSON(curve, response.share)
+    c = BigInt('0x' + response.proof.c)
+    s = BigInt('0x' + response.proof.s)
+  } catch (err) {
+    return null
+  }
+  if (c >= n || s >= n) {
+    return null
+  }
+  // Recover the commitment (g ^ s) / (key ^ c) and (point ^ s) / (share ^ c) and compare the
+  // challenge it derives.
+  const commitment = [
+    curves.scale(g, s, n, inf).subtract(curves.scale(key, c, n, inf)),
+    curves.scale(point, s, n, inf).subtract(curves.scale(share, c, n, inf)),
+  ]
+  return deriveChallenge(curve, point, key, share, commitment) === c ? share : null
+}
+
+/**
+ * Derive the challenge of a share proof with the Fiat-Shamir transform.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {Point} point The point that was sent to the party.
+ * @param {Point} key The verification key of the party.
+ * @param {Point} share The point raised to the party's share.
+ * @param {Point[]} commitment The commitment to the nonce in both bases.
+ * @returns {BigInt} The challenge.
+ * @private
+ */
+function deriveChallenge(curve, point, key, share, commitment) {
+  const {n, BASE: g} = curves.adapt(curve)
+  const hash = crypto.createHash('sha256').update(DOMAIN)
+  for (let p of [g, key, point, share].concat(commitment)) {
+    const bytes = encoding.Point.encode(curve, p)
+    hash.update(Buffer.from([bytes.length])).update(bytes)
+  }
+  return BigInt('0x' + hash.digest('hex')) % n
+}
+
+module.exports = {
+  split,
+  multiply,
+  Party,
+  LocalTransport,
+}
@@ -1,6 +1,8 @@
 'use strict'
 const crypto = require('crypto')
 const tf = require('typeforce')
+const data = require('./data')
+const {InvalidArgumentError, InvalidPointError} = require('./errors')
 
 /**
  * @typedef {Object} BigInt
@@ -11,39 +13,194 @@ function BigInt(x) {
 BigInt.toJSON = () => 'bigint'
 
 /**
- * @typedef {Object} Curve
+ * An element of a group of prime order, written additively.
+ * @typedef {Object} Point
+ * @property {function} add Return the sum of the point and another point.
+ * @property {function} subtract Return the difference of the point and another point.
+ * @property {function} multiply Return the point multiplied by a scalar in [1, n).
+ * @property {function} equals Return true if the point equals another point; false otherwise.
+ */
+function Point(x) {
+  return x !== null && typeof(x) === 'object' && typeof(x.add) === 'function' &&
+    typeof(x.subtract) === 'function' && typeof(x.multiply) === 'function' &&
+    typeof(x.equals) === 'function'
+}
+Point.toJSON = () => 'Point'
+
+/**
+ * The interface through which the accumulator uses a group of prime order. The curves module has
+ * adapters for common groups.
+ * @typedef {Object} CurveAdapter
+ * @property {String} [name] The name of the group.
+ * @property {BigInt} n The order of the group.
+ * @property {Point} ZERO The identity of the group.
+ * @property {Point} BASE The generator of the group.
+ * @property {function} isPoint Return true if a value is a point of the group; false otherwise.
+ * @property {function} toBytes Return the canonical encoding of a point other than the identity
+ * as a Uint8Array.
+ * @property {function} fromBytes Decode a point from its canonical encoding, throwing an error if
+ * the encoding is not of a point of the group.
+ */
+const CurveAdapter = tf.object({
+  n: BigInt,
+  ZERO: Point,
+  BASE: Point,
+  isPoint: tf.Function,
+  toBytes: tf.Function,
+  fromBytes: tf.Function,
+})
+
+/**
+ * Check whether a value is a curve adapter.
+ * @param {*} x The value to check.
+ * @returns {Boolean} True if the value is a curve adapter; false otherwise.
+ * @private
+ */
+function isCurveAdapter(x) {
+  try {
+    return tf(CurveAdapter, x)
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * A curve adapter, or a @noble curve with a ProjectivePoint or ExtendedPoint class, which is
+ * adapted automatically.
+ * @typedef {(CurveAdapter|Object)} Curve
+ */
+const Curve = tf.oneOf(
+  CurveAdapter,
+  tf.object({ProjectivePoint: tf.Function, CURVE: {n: BigInt}}),
+  tf.object({ExtendedPoint: tf.Function, CURVE: {n: BigInt}}),
+)
+
+/**
+ * @typedef {Object} Bytes
+ */
+function Bytes(x) {
+  return x instanceof Uint8Array
+}
+Bytes.toJSON = () => 'Uint8Array'
+
+/**
+ * @typedef {Object} PairingCurve
  */
-const Curve = tf.object({
-  ProjectivePoint: tf.Function,
-  CURVE: {n: BigInt},
+const PairingCurve = tf.object({
+  G1: tf.object({ProjectivePoint: tf.Function, CURVE: {n: BigInt}}),
+  G2: tf.object({ProjectivePoint: tf.Function, CURVE: {n: BigInt}}),
+  pairing: tf.Function,
+  fields: {Fp12: {eql: tf.Function}},
 })
 
-const Data = tf.oneOf(tf.String, tf.Buffer)
+/**
+ * Check whether a value is a pairing curve.
+ * @param {*} x The value to check.
+ * @returns {Boolean} True if the value is a pairing curve; false otherwise.
+ * @private
+ */
+function isPairingCurve(x) {
+  try {
+    return tf(PairingCurve, x)
+  } catch (err) {
+    return false
+  }
+}
+
+/**
+ * The data of an element. A string is mapped by its UTF-8 encoding and a byte array by its bytes.
+ * Any other value is structured data, which may be an integer, BigInt or other finite number, a
+ * boolean, null, or an array or plain object of these, strings and byte arrays, and is mapped by
+ * its canonical CBOR encoding. Equal integers are the same data whether they are Numbers or
+ * BigInts, as are the same properties of objects in any order.
+ * @typedef {(String|Uint8Array|Number|BigInt|Boolean|null|Array|Object)} Data
+ */
+function Data(value) {
+  return data.isData(value)
+}
+Data.toJSON = () => 'Data'
+
+const Octets = tf.oneOf(tf.String, tf.Buffer)
 
 const Hash = tf.oneOf(tf.String, tf.Function)
 
+const Op = tf.oneOf(tf.value('add'), tf.value('del'))
+
+const Duplicates = tf.oneOf(tf.value('reject'), tf.value('multiset'))
+
 /**
- * @typedef {Object} Point
+ * @typedef {Object} HashBackend
+ * @property {function} digest A function that synchronously returns the digest of a Buffer or
+ * Uint8Array as a Buffer or Uint8Array.
+ * @property {Number} [blockSize] The input block size of the hash in bytes, which is required to
+ * map elements with expand_message_xmd.
+ * @property {function} [xof] For an extendable-output function, a function with the signature
+ * `xof(data, length)` that synchronously returns `length` bytes of output, which is required to
+ * map elements with expand_message_xof.
+ */
+const HashBackend = tf.object({
+  digest: tf.Function,
+  blockSize: tf.maybe(tf.UInt32),
+  xof: tf.maybe(tf.Function),
+})
+
+/**
+ * @typedef {Object} HashToField
+ * @property {(String|Buffer)} dst The domain separation tag, which should be unique to the
+ * application.
+ * @property {String} [expand] The expander, which is 'xmd' for expand_message_xmd with a hash
+ * such as SHA-256, or 'xof' for expand_message_xof with an extendable-output function such as
+ * SHAKE128. The hash must be given by the name of a registered backend. Defaults to 'xmd'.
  */
-const Point = tf.quacksLike('Point')
+const HashToField = tf.object({
+  dst: Octets,
+  expand: tf.maybe(tf.oneOf(tf.value('xmd'), tf.value('xof'))),
+})
+
+const MapOptions = tf.object({
+  hashToField: tf.maybe(HashToField),
+})
+
+const MemberOptions = tf.object({
+  duplicates: tf.maybe(Duplicates),
+  track: tf.maybe(tf.Boolean),
+  hashToField: tf.maybe(HashToField),
+  history: tf.maybe(tf.UInt32),
+})
+
+const ProverOptions = tf.object({
+  strict: tf.maybe(tf.Boolean),
+  duplicates: tf.maybe(Duplicates),
+  track: tf.maybe(tf.Boolean),
+  hashToField: tf.maybe(HashToField),
+})
+
+const Link = tf.HexN(64)
 
 /**
  * @typedef {Object} Update
- * @property {(String|Buffer)} d The element.
+ * @property {Data} d The element.
  * @property {Point} z The current accumulation.
  * @property {Point} Q The public component.
  * @property {Number} i The index.
+ * @property {Number} seq The sequence number of the update, which starts at 1 and increases by one
+ * with each update.
+ * @property {String} op The operation, which is either 'add' or 'del'.
+ * @property {String} prev The link of the previous update, or 64 zeros for the first update.
  */
 const Update = tf.object({
   d: Data,
   z: Point,
   Q: Point,
   i: tf.oneOf(tf.Null, tf.Number),
+  seq: tf.UInt32,
+  op: Op,
+  prev: Link,
 })
 
 /**
  * @typedef {Object} Witness
- * @property {(String|Buffer)} d The element.
+ * @property {Data} d The element.
  * @property {Point} v The previous accumulation.
  * @property {Point} w The previous accumulation raised to the secret value.
  */
@@ -55,12 +212,16 @@ const Witness = tf.object({
 
 /**
  * @typedef {Object} WitnessUpdate
- * @property {(String|Buffer)} d The element.
+ * @property {Data} d The element.
  * @property {Point} z The current accumulation.
  * @property {Point} v The previous accumulation.
  * @property {Point} w The previous accumulation raised to the secret value.
  * @property {Point} Q The public component.
  * @property {Number} i The index.
+ * @property {Number} seq The sequence number of the update, which starts at 1 and increases by one
+ * with each update.
+ * @property {String} op The operation, which is either 'add' or 'del'.
+ * @property {String} prev The link of the previous update, or 64 zeros for the first update.
  */
 const WitnessUpdate = tf.object({
   d: Data,
@@ -69,15 +230,420 @@ const WitnessUpdate = tf.object({
   w: Point,
   Q: Point,
   i: tf.oneOf(tf.Null, tf.Number),
-})  
+  seq: tf.UInt32,
+  op: Op,
+  prev: Link,
+})
+
+/**
+ * @typedef {Object} HeldWitness
+ * @property {Data} d The element.
+ * @property {Point} v The quotient of the accumulation divided by the element.
+ * @property {Point} w The quotient raised to the secret value.
+ * @property {Point} z The accumulation the witness is valid for.
+ * @property {?Number} i The index of the accumulation.
+ * @property {Number} seq The sequence number of the last update applied to the accumulation.
+ * @property {String} link The link of the last update applied to the accumulation.
+ */
+const HeldWitness = tf.oneOf(WitnessUpdate, tf.object({
+  d: Data,
+  z: Point,
+  v: Point,
+  w: Point,
+  i: tf.oneOf(tf.Null, tf.Number),
+  seq: tf.UInt32,
+  link: Link,
+}))
+
+/**
+ * @typedef {Object} NonMembershipWitness
+ * @property {Data} d The element.
+ * @property {Point} v The quotient of the accumulation divided by the element.
+ * @property {Point} w The quotient raised to the secret value.
+ * @property {BigInt} r The remainder of the accumulation divided by the element.
+ */
+const NonMembershipWitness = tf.object({
+  d: Data,
+  v: Point,
+  w: Point,
+  r: BigInt,
+})
+
+/**
+ * @typedef {Object} AggregateWitness
+ * @property {Data[]} D The elements.
+ * @property {Point} v The accumulation of every member except the elements.
+ */
+const AggregateWitness = tf.object({
+  D: tf.arrayOf(Data),
+  v: Point,
+})
+
+/**
+ * @typedef {Object} MembershipProof
+ * @property {Point} V The blinded witness, which is the previous accumulation raised to a random
+ * value.
+ * @property {Point} W The blinded witness raised to the secret value.
+ * @property {Point} T The commitment.
+ * @property {BigInt} s1 The response for the blinding value.
+ * @property {BigInt} s2 The response for the element.
+ */
+const MembershipProof = tf.object({
+  V: Point,
+  W: Point,
+  T: Point,
+  s1: BigInt,
+  s2: BigInt,
+})
+
+/**
+ * @typedef {Object} BatchUpdate
+ * @property {Data[]} D The elements.
+ * @property {Point} z The current accumulation.
+ * @property {Point[]} Q The new public components, which end at the index plus one.
+ * @property {Number} i The index.
+ * @property {Number} seq The sequence number of the update, which starts at 1 and increases by one
+ * with each update.
+ * @property {String} op The operation, which is either 'add' or 'del'.
+ * @property {String} prev The link of the previous update, or 64 zeros for the first update.
+ */
+const BatchUpdate = tf.object({
+  D: tf.arrayOf(Data),
+  z: Point,
+  Q: tf.arrayOf(Point),
+  i: tf.oneOf(tf.Null, tf.Number),
+  seq: tf.UInt32,
+  op: Op,
+  prev: Link,
+})
+
+/**
+ * @typedef {Object} BatchWitnessUpdate
+ * @property {Data[]} D The elements.
+ * @property {Point} z The current accumulation.
+ * @property {Point[]} Q The new public components, which end at the index plus one.
+ * @property {Number} i The index.
+ * @property {Number} seq The sequence number of the update, which starts at 1 and increases by one
+ * with each update.
+ * @property {String} op The operation, which is either 'add' or 'del'.
+ * @property {String} prev The link of the previous update, or 64 zeros for the first update.
+ * @property {Witness[]} witnesses A witness of each element's membership.
+ */
+const BatchWitnessUpdate = tf.object({
+  D: tf.arrayOf(Data),
+  z: Point,
+  Q: tf.arrayOf(Point),
+  i: tf.oneOf(tf.Null, tf.Number),
+  seq: tf.UInt32,
+  op: Op,
+  prev: Link,
+  witnesses: tf.arrayOf(Witness),
+})
+
+/**
+ * @typedef {Object} Checkpoint
+ * @property {Point} z The current accumulation.
+ * @property {Point[]} Q The public components, which are the base point raised to each power of
+ * the secret from 0 through i + 1.
+ * @property {BigInt[]} A The members of the accumulation mapped to elements in Zq.
+ * @property {Number} i The index.
+ * @property {Number} seq The sequence number of the last update, or 0 if there have been none.
+ * @property {String} link The link of the last update, or 64 zeros if there have been none.
+ */
+const Checkpoint = tf.object({
+  z: Point,
+  Q: tf.arrayOf(Point),
+  A: tf.arrayOf(BigInt),
+  i: tf.oneOf(tf.Null, tf.Number),
+  seq: tf.UInt32,
+  link: Link,
+})
+
+/**
+ * @typedef {Object} RotationUpdate
+ * @property {Point} z The accumulation under the new secret.
+ * @property {Point[]} Q The public components under the new secret, which are the base point
+ * raised to each power of the new secret from 0 through i + 1.
+ * @property {Number} i The index, which is unchanged.
+ * @property {Number} seq The sequence number of the update.
+ * @property {String} op The operation, which is 'rotate'.
+ * @property {String} prev The link of the previous update.
+ */
+const RotationUpdate = tf.object({
+  z: Point,
+  Q: tf.arrayOf(Point),
+  i: tf.oneOf(tf.Null, tf.Number),
+  seq: tf.UInt32,
+  op: tf.value('rotate'),
+  prev: Link,
+})
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {Number} version The version of the snapshot format.
+ * @property {String} type The name of the class the snapshot was taken of.
+ * @property {String} curve An identifier of the curve.
+ * @property {String} hash An identifier of the hash.
+ * @property {String} checksum A digest of every other property of the snapshot.
+ */
+const Snapshot = tf.object({
+  version: tf.Number,
+  type: tf.String,
+  curve: tf.String,
+  hash: tf.String,
+  checksum: tf.String,
+})
+
+/**
+ * The hex representation of a scalar, which has no leading zeros and so may have an odd length.
+ * @private
+ */
+function Scalar(x) {
+  return typeof(x) === 'string' && /^[0-9a-f]+$/.test(x)
+}
+Scalar.toJSON = () => 'Scalar'
+
+/**
+ * The state in a snapshot of an accumulator or prover, which is checked before it is restored.
+ * Points are in the JSON form of their codec.
+ * @private
+ */
+const SnapshotState = {
+  A: tf.arrayOf(Scalar),
+  i: tf.oneOf(tf.Null, tf.UInt32),
+  seq: tf.UInt32,
+  link: Link,
+  duplicates: Duplicates,
+  members: tf.oneOf(tf.Null, tf.map(tf.oneOf(tf.value(''), tf.Hex), Scalar)),
+  hashToField: tf.oneOf(tf.Null, tf.object({dst: tf.Hex, expand: tf.String})),
+}
+
+const AccumulatorState = tf.object(Object.assign({
+  z: tf.Hex,
+  Q: tf.Hex,
+  commitment: tf.Hex,
+  c: tf.maybe(Scalar),
+}, SnapshotState))
+
+const ProverState = tf.object(Object.assign({
+  Q: tf.arrayOf(tf.Hex),
+  z: tf.oneOf(tf.Null, tf.Hex),
+}, SnapshotState))
+
+/**
+ * @typedef {Object} Keystore
+ * @property {Number} version The version of the keystore format.
+ * @property {String} curve An identifier of the curve the secret belongs to.
+ * @property {Object} kdf The name and parameters of the function that derives the encryption key
+ * from the password, which is 'scrypt'.
+ * @property {Object} cipher The name and parameters of the cipher, which is 'aes-256-gcm'.
+ * @property {String} ciphertext The hex representation of the encrypted secret.
+ */
+const Keystore = tf.object({
+  version: tf.Number,
+  curve: tf.String,
+  kdf: tf.object({
+    name: tf.String,
+    salt: tf.String,
+    N: tf.Number,
+    r: tf.Number,
+    p: tf.Number,
+  }),
+  cipher: tf.object({
+    name: tf.String,
+    iv: tf.String,
+    tag: tf.String,
+  }),
+  ciphertext: tf.String,
+})
+
+const DeriveOptions = tf.object({
+  salt: tf.maybe(Octets),
+  info: tf.maybe(Octets),
+})
+
+const KeystoreOptions = tf.object({
+  N: tf.maybe(tf.UInt32),
+  r: tf.maybe(tf.UInt32),
+  p: tf.maybe(tf.UInt32),
+})
+
+/**
+ * @typedef {Object} KeyShare
+ * @property {Number} index The index of the party that holds the share, starting at 1.
+ * @property {BigInt} secret The share of the secret.
+ */
+const KeyShare = tf.object({
+  index: tf.UInt32,
+  secret: BigInt,
+})
+
+/**
+ * @typedef {Object} ThresholdGroup
+ * @property {Number} t The number of parties that must cooperate.
+ * @property {Point[]} keys The verification key of each party in order of index, which is the
+ * base point raised to the party's share.
+ */
+const ThresholdGroup = tf.object({
+  t: tf.UInt32,
+  keys: tf.arrayOf(Point),
+})
+
+/**
+ * @typedef {Object} Transport
+ * @property {function} request Send a request to a party and return its response with the
+ * signature `async request(index, message)`. Requests and responses can be serialized as JSON.
+ */
+const Transport = tf.object({
+  request: tf.Function,
+})
+
+const AsymmetricKey = tf.oneOf(tf.String, tf.Buffer, tf.quacksLike('PrivateKeyObject'),
+  tf.quacksLike('PublicKeyObject'))
+
+const LogOptions = tf.object({
+  interval: tf.maybe(tf.UInt32),
+})
+
+const ServerOptions = tf.object({
+  token: tf.maybe(tf.String),
+  timeout: tf.maybe(tf.UInt32),
+  limit: tf.maybe(tf.UInt32),
+})
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {Number} time The time the update was recorded in milliseconds since the epoch.
+ * @property {Object} update The JSON form of the update.
+ * @property {String} hash The hex representation of the hash of the entry, which commits to the
+ * previous entry, the time and the update.
+ */
+const LogEntry = tf.object({
+  time: tf.UInt53,
+  update: tf.Object,
+  hash: Link,
+})
+
+/**
+ * @typedef {Object} LogCheckpoint
+ * @property {Number} seq The sequence number of the entry the checkpoint was taken at.
+ * @property {Number} time The time the checkpoint was signed in milliseconds since the epoch.
+ * @property {String} hash The hash of the entry.
+ * @property {String} z The hex representation of the accumulation.
+ * @property {?Number} i The index of the accumulation.
+ * @property {String} Q The hex representation of the public component of the index.
+ * @property {String} signature The hex representation of the signature.
+ */
+const LogCheckpoint = tf.object({
+  seq: tf.UInt32,
+  time: tf.UInt53,
+  hash: Link,
+  z: tf.Hex,
+  i: tf.oneOf(tf.Null, tf.UInt32),
+  Q: tf.Hex,
+  signature: tf.Hex,
+})
+
+/**
+ * @typedef {Object} AuditLog
+ * @property {Number} version The version of the log format.
+ * @property {String} curve The identifier of the curve.
+ * @property {LogEntry[]} entries The entries, one for each update in order.
+ * @property {LogCheckpoint[]} checkpoints The signed checkpoints in order.
+ */
+const AuditLog = tf.object({
+  version: tf.UInt32,
+  curve: tf.Hex,
+  entries: tf.arrayOf(LogEntry),
+  checkpoints: tf.arrayOf(LogCheckpoint),
+})
+
+/**
+ * @typedef {Object} UpdateSource
+ * @property {function} [updates] Return an async iterable of the updates published by an
+ * accumulator, in order, with the signature `updates(from, {signal})`, where from is the first
+ * sequence number to replay and signal is an AbortSignal that ends the iteration. A source
+ * without this method must itself be an iterable or async iterable of updates.
+ * @property {Number} [seq] The sequence number of the last update published.
+ */
+function UpdateSource(value) {
+  return value !== null && typeof(value) === 'object' && [
+    value.updates, value[Symbol.asyncIterator], value[Symbol.iterator],
+  ].some(method => typeof(method) === 'function')
+}
+UpdateSource.toJSON = () => 'UpdateSource'
+
+const StreamOptions = tf.object({
+  signal: tf.maybe(tf.quacksLike('AbortSignal')),
+})
+
+/**
+ * Check a value against a type like typeforce, but throw an InvalidPointError if the value that
+ * does not match is expected to be a point, or an InvalidArgumentError otherwise. Every property
+ * of typeforce, such as `tuple` and `maybe`, is available on this function.
+ * @param {*} type The type.
+ * @param {*} value The value to check.
+ * @param {Boolean} [strict] True to reject properties that the type does not define.
+ * @returns {Boolean} True if the value matches the type.
+ * @private
+ */
+function typeforce(type, value, strict) {
+  try {
+    return tf(type, value, strict)
+  } catch (err) {
+    if (!(err instanceof tf.TfTypeError || err instanceof tf.TfPropertyTypeError)) {
+      throw err
+    }
+    const TypedError = err.__type === Point ? InvalidPointError : InvalidArgumentError
+    throw new TypedError(err.message)
+  }
+}
+Object.assign(typeforce, tf)
 
 module.exports = {
+  AccumulatorState,
+  AggregateWitness,
+  AsymmetricKey,
+  AuditLog,
+  BatchUpdate,
+  BatchWitnessUpdate,
   BigInt,
+  Bytes,
+  Checkpoint,
   Curve,
+  CurveAdapter,
   Data,
+  DeriveOptions,
   Hash,
+  HashBackend,
+  HashToField,
+  HeldWitness,
+  isCurveAdapter,
+  isPairingCurve,
+  KeyShare,
+  Keystore,
+  KeystoreOptions,
+  LogCheckpoint,
+  LogEntry,
+  LogOptions,
+  MapOptions,
+  MemberOptions,
+  MembershipProof,
+  NonMembershipWitness,
+  Octets,
+  PairingCurve,
   Point,
+  ProverOptions,
+  ProverState,
+  RotationUpdate,
+  ServerOptions,
+  Snapshot,
+  StreamOptions,
+  ThresholdGroup,
+  Transport,
+  typeforce,
   Update,
+  UpdateSource,
   Witness,
   WitnessUpdate,
 }
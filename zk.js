@@ -0,0 +1,154 @@
+'use strict'
+const {randBetween} = require('bigint-crypto-utils')
+const type = require('./type')
+const tf = type.typeforce
+const encoding = require('./encoding')
+const curves = require('./curves')
+const map = require('./map')
+const {InvalidArgumentError} = require('./errors')
+
+/**
+ * Tag that separates Fiat-Shamir challenges of membership proofs from other uses of the hash.
+ * @private
+ */
+const DOMAIN = 'ecc-acc membership proof'
+
+/**
+ * Begin an interactive proof of knowledge of a witness of membership. The proof reveals neither
+ * the element nor the witness. The witness is blinded by a random r so that V = v ^ r and
+ * W = w ^ r, and the proof shows knowledge of r and e such that W = (z ^ r) / (V ^ e).
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(String|function)} H The name of a hash algorithm or a hash function.
+ * @param {Point} z The current accumulation.
+ * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+ * @param {Object} [options] Optional settings.
+ * @param {HashToField} [options.hashToField] Options to map elements and challenges to Zq with
+ * hash_to_field from RFC 9380, which must match those of the Accumulator.
+ * @returns {Promise<Session>} The commitment to send to the verifier and a function that
+ * computes the response to the verifier's challenge.
+ */
+async function commit(curve, H, z, witness, options = {}) {
+  tf(tf.tuple(type.Curve, type.Hash, type.Point, type.Witness, tf.maybe(type.MapOptions)),
+    arguments)
+  const {n} = curves.adapt(curve)
+  // Map data to e in Zq.
+  const e = await map(H, witness.d, n, options.hashToField)
+  // Blind the witness.
+  const r = randBetween(n - 1n)
+  const V = witness.v.multiply(r)
+  const W = witness.w.multiply(r)
+  // Commit to random nonces for r and -e.
+  const k1 = randBetween(n - 1n)
+  const k2 = randBetween(n - 1n)
+  const T = z.multiply(k1).add(V.multiply(k2))
+  let responded = false
+  return {
+    commitment: {V, W, T},
+    respond(challenge) {
+      tf(tf.tuple(type.BigInt), arguments)
+      // Responding to a second challenge with the same nonces would reveal e.
+      if (responded) {
+        throw new InvalidArgumentError('Session has already responded to a challenge')
+      }
+      responded = true
+      const s1 = (k1 + challenge * r) % n
+      const s2 = ((k2 - challenge * e) % n + n) % n
+      return {s1, s2}
+    },
+  }
+}
+
+/**
+ * Generate a random challenge for an interactive proof of membership.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @returns {BigInt} The challenge.
+ */
+function challenge(curve) {
+  tf(tf.tuple(type.Curve), arguments)
+  return randBetween(curves.adapt(curve).n - 1n)
+}
+
+/**
+ * Compute a non-interactive proof of knowledge of a witness of membership. The challenge is
+ * derived from the commitment with the Fiat-Shamir transform.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(String|function)} H The name of a hash algorithm or a hash function.
+ * @param {Point} z The current accumulation.
+ * @param {(Witness|WitnessUpdate)} witness A witness of the element's membership.
+ * @param {Object} [options] Optional settings.
+ * @param {HashToField} [options.hashToField] Options to map elements and challenges to Zq with
+ * hash_to_field from RFC 9380, which must match those of the Accumulator.
+ * @returns {Promise<MembershipProof>} The proof.
+ */
+async function prove(curve, H, z, witness, options = {}) {
+  tf(tf.tuple(type.Curve, type.Hash, type.Point, type.Witness, tf.maybe(type.MapOptions)),
+    arguments)
+  const {commitment, respond} = await commit(curve, H, z, witness, options)
+  const response = respond(await deriveChallenge(curve, H, z, commitment, options))
+  return Object.assign(commitment, response)
+}
+
+/**
+ * Verify a proof of knowledge of a witness of membership. This checks only that the prover knows
+ * r and e such that W = (z ^ r) / (V ^ e). Checking that W = V ^ c, which completes the proof of
+ * membership, requires the secret or a pairing.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(String|function)} H The name of a hash algorithm or a hash function.
+ * @param {Point} z The current accumulation.
+ * @param {MembershipProof} proof The commitment and response.
+ * @param {BigInt} [challenge] The challenge sent to the prover in an interactive proof. If not
+ * provided, the challenge is derived with the Fiat-Shamir transform.
+ * @param {Object} [options] Optional settings.
+ * @param {HashToField} [options.hashToField] Options to map elements and challenges to Zq with
+ * hash_to_field from RFC 9380, which must match those of the Accumulator.
+ * @returns {Promise<Boolean>} True if the proof is valid; false otherwise.
+ */
+async function verify(curve, H, z, proof, challenge, options = {}) {
+  tf(tf.tuple(type.Curve, type.Hash, type.Point, type.MembershipProof, tf.maybe(type.BigInt),
+    tf.maybe(type.MapOptions)), arguments)
+  const {V, W, T, s1, s2} = proof
+  const {n, ZERO: inf} = curves.adapt(curve)
+  // A blinded witness at infinity would prove nothing.
+  if (V.equals(inf) || W.equals(inf)) {
+    return false
+  }
+  if (challenge === undefined) {
+    challenge = await deriveChallenge(curve, H, z, proof, options)
+  }
+  // Compare (z ^ s1) * (V ^ s2) and T * (W ^ challenge)
+  return curves.scale(z, s1, n, inf).add(curves.scale(V, s2, n, inf))
+    .equals(T.add(curves.scale(W, challenge, n, inf)))
+}
+
+/**
+ * Derive the challenge for a commitment with the Fiat-Shamir transform.
+ * @param {Curve} curve An object containing the curve parameters.
+ * @param {(String|function)} H The name of a hash algorithm or a hash function.
+ * @param {Point} z The current accumulation.
+ * @param {Object} commitment The commitment.
+ * @param {Object} options Optional settings.
+ * @returns {Promise<BigInt>} The challenge.
+ * @private
+ */
+async function deriveChallenge(curve, H, z, {V, W, T}, options) {
+  const transcript = Buffer.concat([Buffer.from(DOMAIN)].concat([z, V, W, T].map(point => {
+    const bytes = encoding.Point.encode(curve, point)
+    return Buffer.concat([Buffer.from([bytes.length]), bytes])
+  })))
+  return await map(H, transcript, curves.adapt(curve).n, options.hashToField)
+}
+
+/**
+ * @typedef {Object} Session
+ * @property {Object} commitment The blinded witness V and W and the commitment T to send to the
+ * verifier.
+ * @property {function} respond Compute the response to the verifier's challenge with the
+ * signature `respond(challenge)`. A session responds to only one challenge.
+ */
+
+module.exports = {
+  commit,
+  challenge,
+  prove,
+  verify,
+}